@@ -1,55 +1,67 @@
 ﻿const fs = require('fs');
 const path = require('path');
 const cheerio = require('cheerio');
+const { snapshotId, createSnapshotRecorder, loadSnapshot } = require('./lib/snapshot');
+const { compareReports } = require('./lib/compare');
+const { DEFAULT_RULES_PATH, loadRules } = require('./lib/rules');
+const { assessStructuredData, buildStructuredDataEvidence } = require('./lib/structured-data');
+const { extractSeo, scoreSeo, buildSeoEvidence, markDuplicateMetadata } = require('./lib/seo');
+const { assessAccessibility, buildAccessibilityEvidence } = require('./lib/accessibility');
+const { DEFAULT_OPTIONS: HTTP_DEFAULTS, createHttpClient } = require('./lib/http-client');
+const { buildCoverage } = require('./lib/coverage');
+const { extractFacilities, buildFacilityMatrix } = require('./lib/facilities');
+const {
+  extractPerformance,
+  scorePerformance,
+  buildPerformanceEvidence,
+  findWorstOffenders,
+  createResourceSizer
+} = require('./lib/performance');
+const {
+  imageRefs,
+  loadSharp,
+  createImageFetcher,
+  createImageAnalyzer,
+  findImageDuplicates,
+  summarizeImageAnalysis,
+  buildImageAnalysisEvidence
+} = require('./lib/images');
+const { createRenderer, summarizeRendering, buildRenderingEvidence } = require('./lib/renderer');
+const { createLinkChecker, resolveHref, verifyGymLinks, buildLinkCheckEvidence } = require('./lib/link-checker');
+const { extractNap, compareNap, buildNapEvidence } = require('./lib/nap');
+const { createPlacesProvider, lookupPlace } = require('./lib/places');
+const { createPlacesCache } = require('./lib/places-cache');
+const { themesOnPage, analyzeReviews, buildReviewEvidence, summarizeReviewComplaints } = require('./lib/reviews');
+const { escapeHtml, gymPageFile, renderBarChart } = require('./lib/html');
+const { DEFAULT_REGIONS_PATH, loadRegions, assignGroup, buildRollups, townFromTitle } = require('./lib/regions');
+const { extractIntro, analyzeCopy, assessCopy, markCopySimilarity } = require('./lib/copy');
+const { buildTickets, trackTickets, generateTicketsCsv, generateGymTicketsMarkdown } = require('./lib/tickets');
+const { DEFAULT_SITES_PATH, loadSites, selectSite, applySiteRules, siteRef, gymUrl, slugFromUrl } = require('./lib/sites');
+const { buildBenchmark, generateBenchmarkCsv } = require('./lib/benchmark');
+const { EXIT_CODES, USAGE, parseCommandLine, globToRegExp, checkGates } = require('./lib/cli');
 
 const ROOT = process.cwd();
 const OUT_DIR = path.join(ROOT, 'docs');
 const DATA_DIR = path.join(ROOT, 'data');
-
-const SITEMAP_URL = 'https://www.nuffieldhealth.com/sitemap_gyms.xml';
-const SITE_BASE = 'https://www.nuffieldhealth.com';
+const SNAPSHOTS_DIR = path.join(ROOT, 'snapshots');
+const LOGS_DIR = path.join(ROOT, 'logs');
+const GOOGLE_CACHE_FILE = path.join(ROOT, 'cache', 'google-places.json');
 
 const CONCURRENCY = 8;
 const GOOGLE_CONCURRENCY = 3;
 const GOOGLE_PLACES_API_KEY = process.env.GOOGLE_PLACES_API_KEY || '';
-
-const NON_GYM_SLUGS = new Set([
-  'membership',
-  'services',
-  'day-passes',
-  'public-services',
-  '247',
-  'virtual-club-tour',
-  'gyms-in-london',
-  'gyms-in-glasgow',
-  'club-in-club-social',
-  'club-in-club-sporty',
-  'nhanniversary',
-  'health-mot-online-booking-coming-soon',
-  'merton-abbey-gym-closure',
-  'barrow',
-  'canary-wharf-gym',
-  'crawley-central-gym'
-]);
-
-const CORE_FACILITIES = [
-  { key: 'gym', label: 'Gym', test: (t) => /\bgym\b|gym floor|fitness suite/.test(t) },
-  { key: 'sauna', label: 'Sauna', test: (t) => /\bsauna\b/.test(t) },
-  { key: 'steam', label: 'Steam', test: (t) => /\bsteam\b|steam room/.test(t) },
-  { key: 'pool', label: 'Pool', test: (t) => /\bpool\b|swimming pool/.test(t) },
-  { key: 'pt', label: 'PT', test: (t) => /\bpersonal training\b|\bpt\b/.test(t) },
-  { key: 'classes', label: 'Classes', test: (t) => /\bclasses?\b|group exercise|studio classes/.test(t) }
+const GOOGLE_PLACES_BASE_URL = process.env.GOOGLE_PLACES_BASE_URL || '';
+
+const CRITERIA = [
+  { key: 'coreFacilities', label: 'Core Facilities', cardLabel: 'Core Facilities' },
+  { key: 'imagery', label: 'Imagery', cardLabel: 'Imagery Quality' },
+  { key: 'structuredData', label: 'Structured Data', cardLabel: 'Structured Data' },
+  { key: 'seo', label: 'SEO', cardLabel: 'SEO & Metadata' },
+  { key: 'accessibility', label: 'Accessibility', cardLabel: 'Accessibility' },
+  { key: 'performance', label: 'Performance', cardLabel: 'Performance Budget' }
 ];
 
-const JOIN_TEXT_TERMS = [
-  'join',
-  'join now',
-  'join online',
-  'become a member',
-  'membership',
-  'start your membership',
-  'get started'
-];
+const SCORED_CRITERIA = [...CRITERIA.map((c) => c.key), 'joinRoute', 'clubDescription'];
 
 function decodeEntities(s) {
   return s
@@ -60,28 +72,6 @@ function decodeEntities(s) {
     .replace(/&#39;/g, "'");
 }
 
-async function fetchText(url) {
-  const res = await fetch(url, {
-    headers: {
-      'user-agent': 'NuffieldGymAuditBot/1.0 (+internal assessment)'
-    }
-  });
-  const text = await res.text();
-  return { status: res.status, text, url: res.url };
-}
-
-async function fetchJson(url) {
-  const res = await fetch(url, {
-    headers: {
-      'user-agent': 'NuffieldGymAuditBot/1.0 (+internal assessment)'
-    }
-  });
-  if (!res.ok) {
-    throw new Error(`HTTP ${res.status} for ${url}`);
-  }
-  return res.json();
-}
-
 function parseLocs(xmlText) {
   const locs = [];
   const regex = /<loc>(.*?)<\/loc>/g;
@@ -92,11 +82,6 @@ function parseLocs(xmlText) {
   return locs;
 }
 
-function slugFromGymUrl(url) {
-  const m = url.match(/^https:\/\/www\.nuffieldhealth\.com\/gyms\/([^/?#]+)\/?$/);
-  return m ? m[1] : null;
-}
-
 function titleizeSlug(slug) {
   return slug
     .split('-')
@@ -108,38 +93,100 @@ function unique(arr) {
   return [...new Set(arr)];
 }
 
-function criterion(pass, evidence) {
+function ratio(value, target) {
+  return target > 0 ? Math.min(value / target, 1) : 1;
+}
+
+function criterion(score, passScore, evidence) {
+  const pass = score >= passScore;
   return {
     result: pass ? 'Pass' : 'Fail',
     pass,
+    score,
     evidence
   };
 }
 
-function buildImageryEvidence(meaningfulImagesCount, modernFormatCount, lazyCount, pass) {
-  const lazyStatus = lazyCount >= 3 ? 'Good' : 'Needs work';
-  const modernStatus = modernFormatCount >= 1 ? 'Good' : 'Needs work';
+function scoreCoreFacilities(foundCount, rules) {
+  return Math.floor(100 * ratio(foundCount, rules.coreFacilities.length));
+}
+
+function modernFormatCount(imagery) {
+  return imagery.analysis && imagery.analysis.checked ? imagery.analysis.modernFormatCount : imagery.modernFormatCount;
+}
+
+function scoreImagery(imagery, rules) {
+  const { minMeaningfulImages, minModernFormat, minLazy } = rules.imagery;
+  const w = rules.scoring.components.imagery;
+  const parts = [
+    [w.count, ratio(imagery.meaningfulCount, minMeaningfulImages)],
+    [w.delivery, Math.max(ratio(modernFormatCount(imagery), minModernFormat), ratio(imagery.lazyCount, minLazy))]
+  ];
+  if (imagery.analysis && imagery.analysis.checked) parts.push([w.quality, imagery.analysis.qualityRatio]);
+  const weightSum = parts.reduce((sum, [weight]) => sum + weight, 0);
+  const total = parts.reduce((sum, [weight, value]) => sum + weight * value, 0);
+  return weightSum ? Math.floor((100 * total) / weightSum + 1e-9) : 0;
+}
+
+function scoreJoinRoute(hasMembershipOptionsLink, hasCandidates, hasOnlineSignal, hasTopCTA, rules) {
+  if (hasMembershipOptionsLink) return 100;
+  const w = rules.scoring.components.joinRoute;
+  return Number(hasCandidates) * w.candidates + Number(hasOnlineSignal) * w.onlineDestination + Number(hasTopCTA) * w.nearTop;
+}
+
+function scoreOverall(subScores, rules) {
+  const { weights } = rules.scoring;
+  let total = 0;
+  let weightSum = 0;
+  for (const [key, weight] of Object.entries(weights)) {
+    if (subScores[key] == null) continue;
+    total += subScores[key] * weight;
+    weightSum += weight;
+  }
+  return weightSum ? Math.round(total / weightSum) : 0;
+}
+
+function buildImageryEvidence(imagery, pass, rules) {
+  const { minMeaningfulImages, minModernFormat, minLazy } = rules.imagery;
+  const meaningfulImagesCount = imagery.meaningfulCount;
+  const modernCount = modernFormatCount(imagery);
+  const lazyCount = imagery.lazyCount;
+  const analysis = imagery.analysis ? buildImageAnalysisEvidence(imagery.analysis, rules) : '';
+  const lazyStatus = lazyCount >= minLazy ? 'Good' : 'Needs work';
+  const modernStatus = modernCount >= minModernFormat ? 'Good' : 'Needs work';
+  const stats = `Relevant images: ${meaningfulImagesCount} (target ${minMeaningfulImages}+). Lazy-load: ${lazyStatus} (${lazyCount} of ${minLazy} target). Modern format: ${modernStatus} (${modernCount} of ${minModernFormat} target).`;
 
   if (pass) {
-    return `Imagery looks strong. Relevant images: ${meaningfulImagesCount} (target 8+). Lazy-load: ${lazyStatus} (${lazyCount} of 3 target). Modern format: ${modernStatus} (${modernFormatCount} of 1 target).`;
+    return [`Imagery looks strong. ${stats}`, analysis].filter(Boolean).join(' ');
   }
 
   const improvements = [];
-  if (meaningfulImagesCount < 8) {
-    improvements.push(`add more high-quality club imagery (currently ${meaningfulImagesCount}, target at least 8)`);
+  if (meaningfulImagesCount < minMeaningfulImages) {
+    improvements.push(`add more high-quality club imagery (currently ${meaningfulImagesCount}, target at least ${minMeaningfulImages})`);
   }
-  if (modernFormatCount < 1) {
+  if (modernCount < minModernFormat) {
     improvements.push('serve hero/gallery images in WebP or AVIF');
   }
-  if (lazyCount < 3) {
-    improvements.push(`enable lazy-loading on more non-critical images (currently ${lazyCount}, target at least 3)`);
+  if (lazyCount < minLazy) {
+    improvements.push(`enable lazy-loading on more non-critical images (currently ${lazyCount}, target at least ${minLazy})`);
+  }
+  if (imagery.analysis && imagery.analysis.checked > imagery.analysis.good) {
+    improvements.push('replace or re-export the images flagged by the image analysis');
   }
 
-  return `Imagery needs improvement. Relevant images: ${meaningfulImagesCount} (target 8+). Lazy-load: ${lazyStatus} (${lazyCount} of 3 target). Modern format: ${modernStatus} (${modernFormatCount} of 1 target). Recommended actions: ${improvements.join('; ')}.`;
+  return [`Imagery needs improvement. ${stats}`, analysis, improvements.length ? `Recommended actions: ${improvements.join('; ')}.` : '']
+    .filter(Boolean)
+    .join(' ');
+}
+
+function buildImageryCriterion(imagery, rules) {
+  const score = scoreImagery(imagery, rules);
+  const passScore = rules.scoring.passScores.imagery;
+  return criterion(score, passScore, buildImageryEvidence(imagery, score >= passScore, rules));
 }
 
-function buildCoreFacilitiesEvidence(foundLabels, pass) {
-  const required = CORE_FACILITIES.map((f) => f.label);
+function buildCoreFacilitiesEvidence(foundLabels, pass, rules) {
+  const required = rules.coreFacilities.map((f) => f.label);
   if (pass) {
     return `Core facilities are clearly listed: ${required.join(', ')}.`;
   }
@@ -148,54 +195,6 @@ function buildCoreFacilitiesEvidence(foundLabels, pass) {
   return `Core facilities are incomplete. Missing from the page copy: ${missing.join(', ')}. Recommended action: add these items explicitly in a dedicated facilities section near the top of the page.`;
 }
 
-function assessClubDescription(h1, metaDescription, bodyText) {
-  const snippet = `${h1}. ${metaDescription}`.trim();
-  const lowerSnippet = snippet.toLowerCase();
-  const lowerBody = bodyText.toLowerCase();
-
-  const appealTerms = [
-    'modern',
-    'state-of-the-art',
-    'expert',
-    'friendly',
-    'support',
-    'wellbeing',
-    'community',
-    'spacious',
-    'premium',
-    'motivating',
-    'award',
-    'refurbished'
-  ];
-
-  const benefitTerms = [
-    'help you',
-    'whether you',
-    'whatever your goal',
-    'tailored',
-    'personalised',
-    'achieve',
-    'improve',
-    'feel better'
-  ];
-
-  const appealHits = appealTerms.filter((t) => lowerSnippet.includes(t) || lowerBody.includes(t)).length;
-  const benefitHits = benefitTerms.filter((t) => lowerSnippet.includes(t) || lowerBody.includes(t)).length;
-  const hasStrongDescription = snippet.length >= 120 && appealHits >= 2 && benefitHits >= 1;
-
-  if (hasStrongDescription) {
-    return {
-      tone: 'Appealing',
-      text: 'The club description is appealing. It communicates clear benefits and uses persuasive language about the experience.'
-    };
-  }
-
-  return {
-    tone: 'Needs improvement',
-    text: 'The club description is not very compelling yet. Improve it by adding clearer member benefits, more distinctive language about the experience, and one strong value proposition in the opening paragraph.'
-  };
-}
-
 function normalizeGoogleAssessment(data) {
   if (!data || data.status !== 'ok') {
     return {
@@ -237,68 +236,124 @@ function normalizeGoogleAssessment(data) {
   return { reviewSummary, profileAssessment };
 }
 
-async function fetchGoogleDataForGym(gym) {
-  if (!GOOGLE_PLACES_API_KEY) {
-    return {
-      status: 'not_configured',
-      message: 'Google data unavailable: set GOOGLE_PLACES_API_KEY to enable Places lookup.'
-    };
+function applyGoogleResult(gym, google, rules) {
+  const normalized = normalizeGoogleAssessment(google);
+  const staleNote = google.stale ? `STALE: cached Google data from ${google.fetchedAt.slice(0, 10)} (request budget used up). ` : '';
+  gym.google = google;
+  gym.reviewAnalysis = google.status === 'ok' ? analyzeReviews(google.details.reviews, gym.reviewThemesOnPage, rules) : null;
+  gym.googleReview = [`${staleNote}${normalized.reviewSummary}`, buildReviewEvidence(gym.reviewAnalysis)].filter(Boolean).join(' ');
+  gym.napConsistency =
+    google.status === 'ok' ? compareNap(gym.nap, google.details) : { status: 'not_checked', checked: [], mismatches: [] };
+  gym.googleProfileAssessment = `${staleNote}${normalized.profileAssessment} ${buildNapEvidence(gym.nap, gym.napConsistency)}`;
+  return gym;
+}
+
+function assessFixPriority(criteria, joinRoutePresent, rules) {
+  const { criteria: counted, highWhenJoinRouteMissing, highMinFailures, mediumMinFailures } = rules.fixPriority;
+  const failCount = counted.filter((key) => criteria[key] && !criteria[key].pass).length;
+  if ((highWhenJoinRouteMissing && !joinRoutePresent) || failCount >= highMinFailures) {
+    return 'High';
+  }
+  if (failCount >= mediumMinFailures) {
+    return 'Medium';
   }
+  return 'Low';
+}
 
-  const query = encodeURIComponent(`${gym.gymName} Nuffield Health UK`);
-  const textSearchUrl = `https://maps.googleapis.com/maps/api/place/textsearch/json?query=${query}&key=${GOOGLE_PLACES_API_KEY}`;
+function applySeoCriterion(gym, rules) {
+  const { score, issues } = scoreSeo(gym.seo, rules);
+  const passScore = rules.scoring.passScores.seo;
+  gym.criteria.seo = criterion(score, passScore, buildSeoEvidence(gym.seo, issues, score >= passScore));
+}
 
-  try {
-    const search = await fetchJson(textSearchUrl);
-    const results = Array.isArray(search.results) ? search.results : [];
-    if (!results.length) {
-      return { status: 'not_found', message: 'Google profile not found for this gym.' };
-    }
+function applyPerformanceCriterion(gym, rules) {
+  const { score, issues } = scorePerformance(gym.performance, rules);
+  const passScore = rules.scoring.passScores.performance;
+  gym.criteria.performance = criterion(score, passScore, buildPerformanceEvidence(gym.performance, issues, score >= passScore));
+}
 
-    const best = results.find((r) => (r.name || '').toLowerCase().includes('nuffield')) || results[0];
-    if (!best.place_id) {
-      return { status: 'not_found', message: 'Google place ID not found for this gym.' };
-    }
+function refreshScores(gym, rules) {
+  const disabled = rules.disabledCriteria || [];
+  for (const key of disabled) {
+    delete gym.criteria[key];
+    delete gym.subScores[key];
+  }
+  for (const [key, c] of Object.entries(gym.criteria)) {
+    gym.subScores[key] = c.score;
+  }
+  gym.score = scoreOverall(gym.subScores, rules);
+  gym.fixPriority = assessFixPriority(gym.criteria, gym.joinRoutePresent || disabled.includes('joinRoute'), rules);
+}
 
-    const fields = [
-      'name',
-      'formatted_address',
-      'rating',
-      'user_ratings_total',
-      'business_status',
-      'opening_hours',
-      'photos',
-      'website',
-      'formatted_phone_number',
-      'url'
-    ].join(',');
-    const detailsUrl = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${encodeURIComponent(best.place_id)}&fields=${fields}&key=${GOOGLE_PLACES_API_KEY}`;
-    const detailsResponse = await fetchJson(detailsUrl);
-    const details = detailsResponse.result || {};
+async function measureRenderBlocking(gyms, source) {
+  const sizer = createResourceSizer((url) => source.fetchStatus(url));
+  await runPool(gyms, (gym) => sizer.measure(gym.performance), CONCURRENCY);
+  return sizer.requests();
+}
 
-    return {
-      status: 'ok',
-      placeId: best.place_id,
-      details: {
-        name: details.name || best.name || '',
-        formatted_address: details.formatted_address || '',
-        rating: details.rating,
-        user_ratings_total: details.user_ratings_total,
-        business_status: details.business_status || best.business_status || 'UNKNOWN',
-        has_hours: Boolean(details.opening_hours && Array.isArray(details.opening_hours.weekday_text) && details.opening_hours.weekday_text.length),
-        photos_count: Array.isArray(details.photos) ? details.photos.length : 0,
-        has_website: Boolean(details.website),
-        has_phone: Boolean(details.formatted_phone_number),
-        google_maps_url: details.url || ''
+async function checkOgImages(gyms, source) {
+  const withImage = gyms.filter((g) => g.seo && g.seo.ogImage);
+  await runPool(
+    withImage,
+    async (gym) => {
+      try {
+        const res = await source.fetchStatus(gym.seo.ogImage);
+        gym.seo.ogImageStatus = res.status;
+      } catch (err) {
+        gym.seo.ogImageStatus = err.code === 'NOT_CAPTURED' ? null : 0;
       }
-    };
-  } catch (err) {
-    return { status: 'error', message: `Google lookup failed: ${String(err.message || err)}` };
+    },
+    CONCURRENCY
+  );
+}
+
+function applyLinkCheck(gym, rules) {
+  const evidence = buildLinkCheckEvidence(gym.linkCheck);
+  if (gym.linkCheck.joinRouteBroken) {
+    gym.joinRoutePresent = false;
+    gym.subScores.joinRoute = 0;
+    gym.joinRouteEvidence = evidence;
+  } else if (evidence) {
+    gym.joinRouteEvidence = `${gym.joinRouteEvidence} ${evidence}`;
   }
+  refreshScores(gym, rules);
 }
 
-function assessPage(url, html) {
-  const $ = cheerio.load(html);
+async function checkGymLinks(gyms, source, rules) {
+  const checker = createLinkChecker((url) => source.fetchStatus(url, rules.linkCheck.maxRedirects));
+  await runPool(
+    gyms,
+    async (gym) => {
+      gym.linkCheck = await verifyGymLinks(gym, checker, rules);
+      applyLinkCheck(gym, rules);
+    },
+    CONCURRENCY
+  );
+  return { ...checker.stats };
+}
+
+async function analyzeGymImages(gyms, source, rules) {
+  const analyzer = createImageAnalyzer(source.fetchImage);
+  await runPool(
+    gyms,
+    async (gym) => {
+      gym.imagery.images = await Promise.all(gym.imagery.images.map(async (ref) => ({ ...ref, ...(await analyzer.analyze(ref.url)) })));
+    },
+    CONCURRENCY
+  );
+  const duplicates = findImageDuplicates(gyms, rules);
+  for (const gym of gyms) {
+    gym.imagery.analysis = summarizeImageAnalysis(gym.imagery.images, rules);
+    gym.criteria.imagery = buildImageryCriterion(gym.imagery, rules);
+    gym.performance.imageBytes = gym.imagery.analysis.checked ? gym.imagery.analysis.totalBytes : null;
+    applyPerformanceCriterion(gym, rules);
+    refreshScores(gym, rules);
+  }
+  return { ...analyzer.stats, duplicates };
+}
+
+function assessPage(url, html, rules, rendered = null) {
+  const $ = cheerio.load(rendered ? rendered.html : html);
 
   const title = ($('title').first().text() || '').trim();
   const h1 = ($('h1').first().text() || '').trim();
@@ -306,8 +361,9 @@ function assessPage(url, html) {
   const bodyText = $('body').text().replace(/\s+/g, ' ').trim();
   const lower = bodyText.toLowerCase();
 
-  const slug = slugFromGymUrl(url);
-  const pagePath = slug ? `/gyms/${slug}` : '';
+  const site = rules.site || resolveSite().site;
+  const slug = slugFromUrl(site, url);
+  const pagePath = slug ? new URL(url).pathname.replace(/\/$/, '') : '';
 
   const hasTimetableOrSubNav =
     $(`a[href*="${pagePath}/timetable"]`).length > 0 ||
@@ -319,9 +375,18 @@ function assessPage(url, html) {
   const isClosureOrPromo = /closure|coming soon|closed|promo|anniversary/i.test(`${title} ${h1} ${metaDescription}`);
   const isLikelyGymPage = ((hasTimetableOrSubNav && hasGymWords) || (hasGymWords && hasJoinWords)) && !isClosureOrPromo;
 
-  const coreFound = CORE_FACILITIES.filter((f) => f.test(lower)).map((f) => f.label);
-  const coreFacilitiesPass = coreFound.length === CORE_FACILITIES.length;
-  const descriptionAssessment = assessClubDescription(h1, metaDescription, bodyText);
+  const coreFound = rules.coreFacilities.filter((f) => f.test(lower)).map((f) => f.label);
+  const coreFacilitiesScore = scoreCoreFacilities(coreFound.length, rules);
+  const facilities = extractFacilities($, rules);
+  const copy = analyzeCopy(
+    extractIntro($, { h1, metaDescription }, rules),
+    {
+      towns: [townFromTitle(title), slug ? titleizeSlug(slug) : ''],
+      facilities: rules.facilityInventory.vocabulary.filter((v) => facilities.some((f) => f.key === v.key)).map((v) => ({ label: v.label, re: v.re }))
+    },
+    rules
+  );
+  const descriptionAssessment = assessCopy(copy, rules);
 
   const imageRows = $('img')
     .toArray()
@@ -332,23 +397,28 @@ function assessPage(url, html) {
         srcset: (el.attr('srcset') || '').trim(),
         alt: (el.attr('alt') || '').trim(),
         cls: (el.attr('class') || '').trim(),
-        loading: (el.attr('loading') || '').trim()
+        loading: (el.attr('loading') || '').trim(),
+        width: (el.attr('width') || '').trim(),
+        height: (el.attr('height') || '').trim()
       };
     });
 
   const meaningfulImages = imageRows.filter((img) => {
     const hay = `${img.src} ${img.srcset} ${img.alt} ${img.cls}`.toLowerCase();
-    const ignore = /logo|icon|sprite|favicon|social|avatar/.test(hay);
+    const ignore = rules.imagery.ignoreRe.test(hay);
     return !ignore && (img.src || img.srcset);
   });
 
-  const modernFormatCount = meaningfulImages.filter((img) => {
-    const hay = `${img.src} ${img.srcset}`.toLowerCase();
-    return hay.includes('.webp') || hay.includes('.avif') || hay.includes('format=webp') || hay.includes('f_auto');
-  }).length;
-
-  const lazyCount = meaningfulImages.filter((img) => img.loading.toLowerCase() === 'lazy').length;
-  const imageryPass = meaningfulImages.length >= 8 && (modernFormatCount >= 1 || lazyCount >= 3);
+  const imagery = {
+    meaningfulCount: meaningfulImages.length,
+    modernFormatCount: meaningfulImages.filter((img) => {
+      const hay = `${img.src} ${img.srcset}`.toLowerCase();
+      return rules.imagery.modernFormatMarkers.some((marker) => hay.includes(marker));
+    }).length,
+    lazyCount: meaningfulImages.filter((img) => img.loading.toLowerCase() === 'lazy').length,
+    images: imageRefs(meaningfulImages, url, rules),
+    analysis: null
+  };
 
   const anchors = $('a').toArray().map((a, idx) => {
     const el = $(a);
@@ -372,49 +442,90 @@ function assessPage(url, html) {
   for (const c of [...anchors, ...buttons]) {
     const t = c.text.toLowerCase();
     const h = c.href.toLowerCase();
-    const textMatch = JOIN_TEXT_TERMS.some((term) => t.includes(term));
-    const hrefMatch = /join|membership|become-a-member|start/.test(h);
+    const textMatch = rules.joinCta.textTerms.some((term) => t.includes(term));
+    const hrefMatch = rules.joinCta.hrefRe.test(h);
     if (textMatch || hrefMatch) ctaCandidates.push(c);
   }
 
-  const hasOnlineSignal = ctaCandidates.some((c) => /join|membership|become-a-member|buy|checkout/.test(c.href.toLowerCase()));
-  const hasTopCTA = ctaCandidates.some((c) => c.index < 30);
-  const membershipOptionsLink = anchors.find((a) => /membership options/i.test(a.text));
-  const joinRoutePresent = Boolean(membershipOptionsLink) || (ctaCandidates.length > 0 && hasOnlineSignal && hasTopCTA);
-
-  let fixPriority = 'Low';
-  const failCount = Number(!coreFacilitiesPass) + Number(!imageryPass);
-  if (!joinRoutePresent || failCount >= 2) {
-    fixPriority = 'High';
-  } else if (failCount === 1) {
-    fixPriority = 'Medium';
+  const hasOnlineSignal = ctaCandidates.some((c) => rules.joinCta.onlineRe.test(c.href.toLowerCase()));
+  const rendering = rendered ? summarizeRendering(rendered, rules) : { mode: 'static' };
+  const hasTopCTA = rendered ? rendering.aboveFoldEverywhere : ctaCandidates.some((c) => c.index < rules.joinCta.maxTopIndex);
+  const membershipOptionsLink = anchors.find((a) => rules.joinCta.membershipOptionsRe.test(a.text));
+  const joinCandidates = [];
+  for (const c of [...(membershipOptionsLink ? [membershipOptionsLink] : []), ...ctaCandidates]) {
+    const resolved = resolveHref(c.href, site.baseUrl);
+    if (resolved && !joinCandidates.some((j) => j.url === resolved) && joinCandidates.length < rules.linkCheck.maxLinksPerGym) {
+      joinCandidates.push({ text: c.text, url: resolved });
+    }
   }
+  const joinRouteScore = scoreJoinRoute(Boolean(membershipOptionsLink), ctaCandidates.length > 0, hasOnlineSignal, hasTopCTA, rules);
+  const joinRoutePresent = joinRouteScore >= rules.scoring.passScores.joinRoute;
+
+  const { passScores } = rules.scoring;
+  const coreFacilitiesPass = coreFacilitiesScore >= passScores.coreFacilities;
+  const criteria = {
+    coreFacilities: criterion(
+      coreFacilitiesScore,
+      passScores.coreFacilities,
+      buildCoreFacilitiesEvidence(coreFound, coreFacilitiesPass, rules)
+    ),
+    imagery: buildImageryCriterion(imagery, rules)
+  };
+  const structuredData = assessStructuredData($, { title, h1, bodyText }, rules);
+  criteria.structuredData = criterion(
+    structuredData.score,
+    passScores.structuredData,
+    buildStructuredDataEvidence(structuredData.details, structuredData.score >= passScores.structuredData, rules)
+  );
+  const accessibility = assessAccessibility($, rules);
+  criteria.accessibility = criterion(
+    accessibility.score,
+    passScores.accessibility,
+    buildAccessibilityEvidence(accessibility.findings, accessibility.score >= passScores.accessibility)
+  );
 
-  return {
+  const gym = {
     url,
     slug,
     gymName: h1 || (slug ? titleizeSlug(slug) : title),
     title,
     isLikelyGymPage,
-    criteria: {
-      coreFacilities: criterion(
-        coreFacilitiesPass,
-        buildCoreFacilitiesEvidence(coreFound, coreFacilitiesPass)
-      ),
-      imagery: criterion(
-        imageryPass,
-        buildImageryEvidence(meaningfulImages.length, modernFormatCount, lazyCount, imageryPass)
-      )
+    gymPageSignals: { hasTimetableOrSubNav, hasGymWords, hasJoinWords, isClosureOrPromo },
+    score: 0,
+    subScores: {
+      joinRoute: joinRouteScore,
+      clubDescription: descriptionAssessment.score
     },
+    criteria,
     clubDescription: descriptionAssessment,
+    coreFacilitiesFound: coreFound,
+    facilities,
+    imagery,
+    structuredData: structuredData.details,
+    accessibility: { findings: accessibility.findings },
+    seo: extractSeo($, url, { title, metaDescription }, rules),
+    performance: extractPerformance(rendered ? cheerio.load(html) : $, url, html, rules),
     joinRoutePresent,
-    joinRouteEvidence: joinRoutePresent
-      ? 'Membership options/join route detected.'
-      : 'No clear membership options/join route found on this page.',
-    fixPriority,
+    joinCandidates,
+    joinRouteEvidence: [
+      joinRoutePresent ? 'Membership options/join route detected.' : 'No clear membership options/join route found on this page.',
+      buildRenderingEvidence(rendering)
+    ]
+      .filter(Boolean)
+      .join(' '),
+    rendering,
+    nap: extractNap($, bodyText),
+    reviewThemesOnPage: themesOnPage(bodyText, rules),
+    napConsistency: { status: 'not_checked', checked: [], mismatches: [] },
+    fixPriority: 'Low',
     googleReview: 'Pending Google lookup...',
     googleProfileAssessment: 'Pending Google lookup...'
   };
+
+  applySeoCriterion(gym, rules);
+  applyPerformanceCriterion(gym, rules);
+  refreshScores(gym, rules);
+  return gym;
 }
 
 async function runPool(items, worker, concurrency) {
@@ -437,44 +548,76 @@ async function runPool(items, worker, concurrency) {
   return results;
 }
 
-function generateHtml(report) {
-  const total = report.summary.total || 0;
-  const corePass = report.summary.coreFacilitiesPass || 0;
-  const coreFail = total - corePass;
-  const imageryPass = report.summary.imageryPass || 0;
-  const imageryFail = total - imageryPass;
-  const joinMissing = report.summary.joinRouteMissing || 0;
-  const highPriority = report.gyms.filter((g) => g.fixPriority === 'High').length;
-  const googlePopulated = report.summary.googlePopulated || 0;
-  const googleNotPopulated = total - googlePopulated;
+function csvText(value) {
+  return `"${String(value == null ? '' : value).replaceAll('"', '""')}"`;
+}
 
-  const rows = report.gyms
-    .map((g) => {
-      const pf = (v) => `<span class="badge ${v.pass ? 'pass' : 'fail'}">${v.result}</span>`;
-      return `<tr>
-<td><a href="${g.url}" target="_blank" rel="noopener">${g.gymName}</a></td>
-<td>${pf(g.criteria.coreFacilities)}</td>
-<td>${pf(g.criteria.imagery)}</td>
-<td><span class="badge ${g.fixPriority === 'High' ? 'fail' : g.fixPriority === 'Medium' ? 'med' : 'pass'}">${g.fixPriority}</span></td>
-<td>${g.joinRoutePresent ? 'Present' : 'Missing'}</td>
-<td class="small">${g.criteria.coreFacilities.evidence}</td>
-<td class="small">${g.criteria.imagery.evidence}</td>
-<td><div class="assessment-box"><b>${g.clubDescription.tone}</b><br>${g.clubDescription.text}</div></td>
-<td class="small">${g.joinRouteEvidence}</td>
-<td class="small">${g.googleReview}</td>
-<td class="small">${g.googleProfileAssessment}</td>
-</tr>`;
-    })
-    .join('\n');
+function generateCsv(report) {
+  const columns = [
+    ['gymName', (g) => csvText(g.gymName)],
+    ['url', (g) => csvText(g.url)],
+    ['fixPriority', (g) => g.fixPriority],
+    ['score', (g) => g.score],
+    ['region', (g) => csvText(g.region)],
+    ['city', (g) => csvText(g.city)],
+    ['format', (g) => csvText(g.format)],
+    ...CRITERIA.flatMap((c) => [
+      [c.key, (g) => (g.criteria[c.key] ? g.criteria[c.key].result : '')],
+      [`${c.key}Score`, (g) => (g.criteria[c.key] ? g.criteria[c.key].score : '')]
+    ]),
+    ['joinRoute', (g) => (g.joinRoutePresent ? 'Present' : 'Missing')],
+    ['joinRouteScore', (g) => g.subScores.joinRoute],
+    ['clubDescriptionScore', (g) => g.subScores.clubDescription],
+    ...CRITERIA.map((c) => [`${c.key}Evidence`, (g) => csvText(g.criteria[c.key] ? g.criteria[c.key].evidence : '')]),
+    ['facilities', (g) => csvText((g.facilities || []).map((f) => (f.detail ? `${f.label} (${f.detail})` : f.label)).join('; '))],
+    ['clubDescriptionTone', (g) => csvText(g.clubDescription.tone)],
+    ['clubDescriptionAssessment', (g) => csvText(g.clubDescription.text)],
+    ['clubDescriptionWords', (g) => (g.clubDescription.copy ? g.clubDescription.copy.words : '')],
+    ['clubDescriptionReadingEase', (g) => (g.clubDescription.copy ? g.clubDescription.copy.readingEase : '')],
+    ['clubDescriptionLocalMentions', (g) => (g.clubDescription.copy ? g.clubDescription.copy.local.count : '')],
+    [
+      'clubDescriptionSimilarity',
+      (g) => (g.clubDescription.copy && g.clubDescription.copy.similarity ? g.clubDescription.copy.similarity.value : '')
+    ],
+    ['joinRouteEvidence', (g) => csvText(g.joinRouteEvidence)],
+    ['googleReview', (g) => csvText(g.googleReview)],
+    ['googleProfileAssessment', (g) => csvText(g.googleProfileAssessment)],
+    ['napConsistency', (g) => csvText(g.nap ? buildNapEvidence(g.nap, g.napConsistency) : '')],
+    [
+      'reviewComplaints',
+      (g) =>
+        csvText(
+          ((g.reviewAnalysis && g.reviewAnalysis.complaints) || [])
+            .map((c) => `${c.label} (${c.negative}${c.addressedOnPage ? '' : ', not on page'})`)
+            .join('; ')
+        )
+    ]
+  ];
 
-  return `<!doctype html>
-<html lang="en">
-<head>
-<meta charset="utf-8" />
-<meta name="viewport" content="width=device-width, initial-scale=1" />
-<title>Nuffield Health Gym Landing Page Audit</title>
-<style>
-:root {
+  const header = columns.map(([name]) => name).join(',');
+  const rows = report.gyms.map((g) => columns.map(([, get]) => get(g)).join(','));
+  return [header, ...rows].join('\n');
+}
+
+function generateRollupCsv(report) {
+  const keys = [...CRITERIA.map((c) => c.key), 'joinRoute'];
+  const header = ['grouping', 'name', 'gyms', 'averageScore', 'highPriority', ...keys.map((k) => `${k}PassRate`)].join(',');
+  const rows = [
+    ['region', report.rollups.regions],
+    ['city', report.rollups.cities],
+    ['format', report.rollups.formats]
+  ].flatMap(([grouping, list]) =>
+    list.map((r) => [grouping, csvText(r.name), r.gyms, r.averageScore, r.highPriority, ...keys.map((k) => (r.passRates[k] == null ? '' : r.passRates[k]))].join(','))
+  );
+  return [header, ...rows].join('\n');
+}
+
+const PRIORITY_SORT_VALUE = { Low: 1, Medium: 2, High: 3 };
+const PRIORITY_BADGE = { High: 'fail', Medium: 'med', Low: 'pass' };
+const SUB_SCORE_LABELS = { ...Object.fromEntries(CRITERIA.map((c) => [c.key, c.label])), joinRoute: 'Join Route', clubDescription: 'Club Description' };
+const TICKET_LABELS = { ...SUB_SCORE_LABELS, links: 'Links', googleProfile: 'Google Profile' };
+
+const REPORT_CSS = `:root {
   --nh-green-900: #0f5f2f;
   --nh-green-700: #1f8a43;
   --nh-green-500: #49b657;
@@ -487,6 +630,7 @@ function generateHtml(report) {
 * { box-sizing: border-box; }
 body { margin: 0; font-family: "Poppins", "Segoe UI", Arial, sans-serif; color: var(--nh-ink); background: linear-gradient(180deg, #ffffff 0%, var(--nh-bg) 100%); }
 header { background: linear-gradient(135deg, var(--nh-green-900), var(--nh-green-700)); color: #fff; padding: 24px 20px; }
+header a { color: #fff; }
 .wrap { max-width: 1280px; margin: 0 auto; }
 .brand { display: flex; align-items: center; gap: 14px; margin-bottom: 10px; }
 .brand img { height: 38px; width: auto; display: block; }
@@ -498,11 +642,15 @@ h1 { margin: 0 0 8px; font-size: 1.8rem; }
 .card .label { font-size: 0.88rem; color: #2c4c37; font-weight: 600; margin-bottom: 4px; }
 .card .detail { font-size: 0.82rem; color: #486351; margin-top: 4px; }
 main { padding: 18px 20px 30px; }
-.controls { margin-bottom: 12px; display: flex; gap: 8px; flex-wrap: wrap; }
+.controls { margin-bottom: 12px; display: flex; gap: 8px; flex-wrap: wrap; align-items: center; }
 input { padding: 8px 10px; border: 1px solid #c1d2e4; border-radius: 8px; min-width: 260px; }
+input[type="checkbox"] { min-width: 0; }
 select { padding: 8px 10px; border: 1px solid #c1d2e4; border-radius: 8px; min-width: 160px; background: #fff; }
 .table-wrap { overflow-x: auto; -webkit-overflow-scrolling: touch; border: 1px solid #d8e3ef; border-radius: 8px; background: #fff; }
-table { width: 100%; min-width: 1700px; border-collapse: collapse; background: #fff; }
+table { width: 100%; border-collapse: collapse; background: #fff; }
+#audit-table { min-width: 1100px; }
+#audit-table.show-evidence { min-width: 1700px; }
+#audit-table:not(.show-evidence) .evidence-col { display: none; }
 th, td { text-align: left; padding: 10px; border-bottom: 1px solid #e6eef7; vertical-align: top; }
 th { background: #e9f7ea; position: sticky; top: 0; z-index: 1; }
 .filter-row th { position: static; background: #f6fbf7; }
@@ -511,10 +659,34 @@ th { background: #e9f7ea; position: sticky; top: 0; z-index: 1; }
 .badge.pass { background: var(--pass); }
 .badge.med { background: var(--med); }
 .badge.fail { background: var(--fail); }
+.score { font-size: 0.8rem; color: #486351; font-weight: 600; }
+.score-total { font-size: 1.05rem; color: var(--nh-green-900); }
+th[data-sort] { cursor: pointer; user-select: none; white-space: nowrap; }
+th[data-sort]::after { content: ' \\2195'; color: #7a9a84; font-size: 0.8em; }
+th[data-sort][aria-sort="ascending"]::after { content: ' \\2191'; color: var(--nh-ink); }
+th[data-sort][aria-sort="descending"]::after { content: ' \\2193'; color: var(--nh-ink); }
 .small { font-size: 0.84rem; color: #28425f; }
 .assessment-box { background: #f2fbf4; border: 1px solid #cfead4; border-radius: 8px; padding: 8px; font-size: 0.84rem; color: #234132; min-width: 260px; }
 footer { padding: 14px 20px 24px; color: #38526f; font-size: 0.9rem; }
 a { color: var(--nh-green-900); }
+.changes { margin-bottom: 18px; }
+.changes h2 { font-size: 1.2rem; margin: 0 0 6px; }
+.changes ul { margin: 4px 0 10px; padding-left: 20px; }
+.facility-matrix th, .facility-matrix td { text-align: center; white-space: nowrap; }
+.facility-matrix td:first-child { text-align: left; }
+.chart-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 12px; }
+.chart-grid > div { background: #fff; border: 1px solid #d8e3ef; border-radius: 8px; padding: 10px; }
+.chart rect.pass { fill: var(--pass); }
+.chart rect.med { fill: var(--med); }
+.chart rect.fail { fill: var(--fail); }
+.chart rect.neutral { fill: var(--nh-green-500); }
+.chart rect.rest { fill: #e6eef7; }
+.chart a rect:hover { opacity: 0.8; }
+.chart .bar-label { font-size: 12px; fill: var(--nh-ink); }
+.chart .bar-value { font-size: 11px; font-weight: 600; fill: #fff; pointer-events: none; }
+dl.details { display: grid; grid-template-columns: max-content 1fr; gap: 4px 14px; margin: 4px 0 10px; }
+dl.details dt { font-weight: 600; }
+dl.details dd { margin: 0; overflow-wrap: anywhere; }
 .mobile-hint { display: none; font-size: 0.82rem; color: #486351; margin: 6px 0 10px; }
 @media (max-width: 900px) {
   header { padding: 18px 14px; }
@@ -527,21 +699,671 @@ a { color: var(--nh-green-900); }
   th, td { padding: 8px; font-size: 0.84rem; }
   .badge { font-size: 0.76rem; }
   .mobile-hint { display: block; }
+}`;
+
+function siteName(report) {
+  return report.site ? report.site.name : 'Nuffield Health';
+}
+
+function renderBrand(report) {
+  const logoUrl = report.site ? report.site.logoUrl : 'https://www.nuffieldhealth.com/assets/dist/images/logo_inverse.svg';
+  if (!logoUrl) return '';
+  return `<div class="brand">
+      <img src="${escapeHtml(logoUrl)}" alt="${escapeHtml(siteName(report))} logo" />
+    </div>`;
+}
+
+function renderReportFooter(report) {
+  return `<footer class="wrap">
+  <div><b>Method:</b> Automated heuristic scoring of live page content from ${
+    /^https?:\/\//.test(report.source || '')
+      ? `<a href="${escapeHtml(report.source)}" target="_blank" rel="noopener">${escapeHtml(report.source.replace(/^.*\//, ''))}</a>`
+      : escapeHtml(report.source || 'the gym sitemap')
+  }${report.site ? ` (site profile: ${escapeHtml(report.site.name)})` : ''}.</div>
+  <div>Generated: ${escapeHtml(report.generatedAt)}</div>
+  ${report.rules ? `<div>Scoring rules: version ${escapeHtml(report.rules.version)} (${escapeHtml(report.rules.file)})</div>` : ''}
+  ${report.snapshot ? `<div>Snapshot: ${escapeHtml(report.snapshot.id)} (${escapeHtml(report.snapshot.mode)}, captured ${escapeHtml(report.snapshot.capturedAt)})</div>` : ''}
+  ${report.google && report.google.usage ? `<div>Google Places: ${report.google.usage.apiCalls} API calls, ${report.google.usage.cacheHits} cache hits${report.summary.googleStale ? `, ${report.summary.googleStale} gyms on stale cached data` : ''}</div>` : ''}
+</footer>`;
+}
+
+function renderChangesSection(changes) {
+  if (!changes) {
+    return `<section class="changes">
+  <h2>What changed</h2>
+  <p class="small">No previous report was available to compare against. Changes will be listed from the next run onwards.</p>
+</section>`;
+  }
+
+  const c = changes.counts;
+  const summaryLabels = {
+    total: 'Gym pages reviewed',
+    coreFacilitiesPass: 'Core facilities passing',
+    imageryPass: 'Imagery passing',
+    structuredDataPass: 'Structured data passing',
+    seoPass: 'SEO passing',
+    accessibilityPass: 'Accessibility passing',
+    joinRouteMissing: 'Join route missing',
+    joinRouteBroken: 'Join route broken',
+    averageScore: 'Average page score',
+    googlePopulated: 'Google data populated'
+  };
+  const signed = (n) => (n > 0 ? `+${n}` : String(n));
+  const summaryItems = Object.entries(changes.summary)
+    .filter(([, v]) => v.delta)
+    .map(([key, v]) => `<li>${escapeHtml(summaryLabels[key] || key)}: ${escapeHtml(v.before)} &rarr; ${escapeHtml(v.after)} (${signed(v.delta)})</li>`)
+    .join('');
+
+  const changeRows = [
+    ...changes.criteria.map((x) => ({ ...x, what: x.criterion })),
+    ...changes.fixPriority.map((x) => ({ ...x, what: 'fixPriority' })),
+    ...(changes.scores || []).map((x) => ({ ...x, what: 'Page score' })),
+    ...changes.added.map((x) => ({ ...x, what: 'Gym page', from: 'Absent', to: 'Added', direction: 'added' })),
+    ...changes.removed.map((x) => ({ ...x, what: 'Gym page', from: 'Present', to: 'Removed', direction: 'removed' }))
+  ]
+    .map((x) => `<tr>
+<td><a href="${escapeHtml(x.url)}" target="_blank" rel="noopener">${escapeHtml(x.gymName)}</a></td>
+<td>${escapeHtml(x.what)}</td>
+<td>${escapeHtml(x.from)} &rarr; ${escapeHtml(x.to)}</td>
+<td><span class="badge ${x.direction === 'regressed' || x.direction === 'removed' ? 'fail' : x.direction === 'improved' ? 'pass' : 'med'}">${escapeHtml(x.direction)}</span></td>
+</tr>`)
+    .join('\n');
+
+  return `<section class="changes">
+  <h2>What changed</h2>
+  <p class="small">Compared with the report generated ${escapeHtml(changes.before.generatedAt || 'previously')}: ${c.regressions} regressions, ${c.improvements} improvements, ${c.added} gyms added, ${c.removed} gyms removed.</p>
+  ${changes.rulesChanged ? `<p class="small"><b>Note:</b> scoring rules changed between runs (version ${escapeHtml(changes.before.rulesVersion)} &rarr; ${escapeHtml(changes.after.rulesVersion)}), so some changes may come from the rules rather than the pages.</p>` : ''}
+  ${summaryItems ? `<ul class="small">${summaryItems}</ul>` : ''}
+  ${changeRows
+    ? `<div class="table-wrap"><table class="changes-table">
+    <thead><tr><th>Gym Page</th><th>Check</th><th>Change</th><th>Direction</th></tr></thead>
+    <tbody>${changeRows}</tbody>
+  </table></div>`
+    : '<p class="small">No gym-level changes since the previous report.</p>'}
+</section>`;
+}
+
+function renderChartsSection(report, criteriaShown) {
+  if (!report.gyms.length) return '';
+
+  const filterHref = (key, value) => `#${new URLSearchParams({ [key]: value })}`;
+  const count = (predicate) => report.gyms.filter(predicate).length;
+  const passFailRows = criteriaShown.map((c) => {
+    const pass = count((g) => g.criteria[c.key] && g.criteria[c.key].pass);
+    const fail = count((g) => g.criteria[c.key] && !g.criteria[c.key].pass);
+    return {
+      label: c.label,
+      segments: [
+        { value: pass, className: 'pass', label: `${pass} Pass`, href: filterHref(c.key, 'Pass') },
+        { value: fail, className: 'fail', label: `${fail} Fail`, href: filterHref(c.key, 'Fail') }
+      ]
+    };
+  });
+  const present = count((g) => g.joinRoutePresent);
+  passFailRows.push({
+    label: 'Join Route',
+    segments: [
+      { value: present, className: 'pass', label: `${present} Present`, href: filterHref('joinRoute', 'Present') },
+      { value: report.gyms.length - present, className: 'fail', label: `${report.gyms.length - present} Missing`, href: filterHref('joinRoute', 'Missing') }
+    ]
+  });
+
+  const priorities = ['High', 'Medium', 'Low'];
+  const priorityChart = renderBarChart({
+    title: 'Gyms by fix priority',
+    legend: priorities.map((p) => ({ label: p, className: PRIORITY_BADGE[p] })),
+    rows: [
+      {
+        label: 'Fix Priority',
+        segments: priorities.map((p) => {
+          const n = count((g) => g.fixPriority === p);
+          return { value: n, className: PRIORITY_BADGE[p], label: `${n} ${p}`, href: filterHref('fixPriority', p) };
+        })
+      }
+    ]
+  });
+
+  return `<section class="changes">
+  <h2>Pass and fail by criterion</h2>
+  <p class="small">Select a bar to filter the table below to those gyms.</p>
+  <div class="chart-grid">
+    <div>${renderBarChart({ title: 'Pass and fail counts by criterion', legend: [{ label: 'Pass', className: 'pass' }, { label: 'Fail', className: 'fail' }], rows: passFailRows })}</div>
+    <div>${priorityChart}</div>
+  </div>
+</section>`;
+}
+
+function renderRollupTable(title, column, key, list, criteriaShown) {
+  if (!list.length) return '';
+  const pct = (v) => (v == null ? 'n/a' : `${v}%`);
+  const rows = list
+    .map((r) => {
+      const name = key ? `<a href="#${escapeHtml(new URLSearchParams({ [key]: r.name }).toString())}">${escapeHtml(r.name)}</a>` : escapeHtml(r.name);
+      return `<tr><td>${name}</td><td>${r.gyms}</td><td>${r.averageScore}</td><td>${r.highPriority}</td>${criteriaShown.map((c) => `<td>${pct(r.passRates[c.key])}</td>`).join('')}<td>${pct(r.passRates.joinRoute)}</td></tr>`;
+    })
+    .join('\n');
+
+  return `<h3>${escapeHtml(title)}</h3>
+  <div class="table-wrap"><table class="changes-table">
+    <thead><tr><th>${column}</th><th>Gyms</th><th>Average score</th><th>High priority</th>${criteriaShown.map((c) => `<th>${escapeHtml(c.label)} pass</th>`).join('')}<th>Join route present</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`;
+}
+
+function renderRollupsSection(rollups, criteriaShown) {
+  if (!rollups || !rollups.regions.length) return '';
+  const cities = rollups.cities.filter((r) => r.gyms > 1);
+
+  return `<section class="changes">
+  <h2>Regions and formats</h2>
+  <p class="small">Pass rates, average score and High priority count per group.${rollups.mapping ? ` Groups come from ${escapeHtml(rollups.mapping.file)} (version ${escapeHtml(rollups.mapping.version)}).` : ''} Select a region or format to filter the table below.</p>
+  ${renderRollupTable('By region', 'Region', 'region', rollups.regions, criteriaShown)}
+  ${renderRollupTable('By format', 'Format', 'format', rollups.formats, criteriaShown)}
+  ${cities.length ? renderRollupTable('By city (two or more gyms)', 'City', null, cities, criteriaShown) : ''}
+</section>`;
+}
+
+function renderSeoDuplicatesSection(seoDuplicates) {
+  if (!seoDuplicates || (!seoDuplicates.titles.length && !seoDuplicates.descriptions.length)) return '';
+
+  const list = (groups) =>
+    groups
+      .map((grp) => `<li><b>${grp.slugs.length} gyms:</b> "${escapeHtml(grp.value)}" <span class="small">(${escapeHtml(grp.slugs.join(', '))})</span></li>`)
+      .join('');
+
+  return `<section class="changes">
+  <h2>Duplicate titles and descriptions</h2>
+  ${seoDuplicates.titles.length ? `<p class="small">Page titles used on more than one gym:</p><ul class="small">${list(seoDuplicates.titles)}</ul>` : ''}
+  ${seoDuplicates.descriptions.length ? `<p class="small">Meta descriptions used on more than one gym:</p><ul class="small">${list(seoDuplicates.descriptions)}</ul>` : ''}
+</section>`;
+}
+
+function renderCopyReuseSection(copyReuse, gyms) {
+  if (!copyReuse || !copyReuse.groups.length) return '';
+
+  const names = new Map(gyms.map((g) => [g.slug, g.gymName]));
+  const items = copyReuse.groups
+    .map(
+      (grp) =>
+        `<li><b>${grp.slugs.length} gyms</b> (up to ${Math.round(grp.similarity * 100)}% similar): ${grp.slugs
+          .map((slug) => `<a href="gyms/${escapeHtml(gymPageFile(slug))}">${escapeHtml(names.get(slug) || slug)}</a>`)
+          .join(', ')}</li>`
+    )
+    .join('');
+
+  return `<section class="changes">
+  <h2>Club descriptions reused across gyms</h2>
+  <p class="small">Intro copy more than ${Math.round(copyReuse.maxSimilarity * 100)}% similar to another gym's once gym and town names are ignored.</p>
+  <ul class="small">${items}</ul>
+</section>`;
+}
+
+function renderSharedImagesSection(imageAnalysis) {
+  if (!imageAnalysis || !imageAnalysis.enabled || !imageAnalysis.duplicates.length) return '';
+
+  const items = imageAnalysis.duplicates
+    .slice(0, 20)
+    .map(
+      (d) =>
+        `<li><b>${d.gyms.length} gyms:</b> <a href="${escapeHtml(d.urls[0])}" target="_blank" rel="noopener">${escapeHtml(d.urls[0])}</a>${d.urls.length > 1 ? ` and ${d.urls.length - 1} near-identical files` : ''} <span class="small">(${escapeHtml(d.gyms.join(', '))})</span></li>`
+    )
+    .join('');
+
+  return `<section class="changes">
+  <h2>Images shared across gyms</h2>
+  <p class="small">Identical or near-identical images (matched by perceptual hash) used on more than one gym page${imageAnalysis.duplicates.length > 20 ? '; the 20 most widely shared are listed' : ''}:</p>
+  <ul class="small">${items}</ul>
+</section>`;
+}
+
+function renderPerformanceSection(performance) {
+  if (!performance || !performance.worstOffenders.length) return '';
+
+  const rows = performance.worstOffenders
+    .map(
+      (m) =>
+        `<tr><td>${escapeHtml(m.label)}</td><td>${escapeHtml(m.budgetDisplay)}</td><td>${m.overBudget}</td><td class="small">${escapeHtml(m.worst.map((o) => `${o.gymName} (${o.display})`).join(', '))}</td></tr>`
+    )
+    .join('\n');
+
+  return `<section class="changes">
+  <h2>Performance budget: worst offenders</h2>
+  <div class="table-wrap"><table class="changes-table">
+    <thead><tr><th>Metric</th><th>Budget</th><th>Gyms over budget</th><th>Worst offenders</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>
+</section>`;
+}
+
+function renderMatchSignals(signals) {
+  return Object.entries(signals)
+    .map(([key, s]) => `${key} ${s.score.toFixed(2)} (${s.detail})`)
+    .join('; ');
+}
+
+function renderGoogleMatchSection(google) {
+  if (!google || !google.lowConfidence.length) return '';
+
+  const rows = google.lowConfidence
+    .map((m) => {
+      const [best, ...others] = m.candidates;
+      return `<tr><td>${escapeHtml(m.gymName)}</td><td>${escapeHtml(best.name)}</td><td>${m.confidence.toFixed(2)}</td><td class="small">${escapeHtml(renderMatchSignals(m.signals))}</td><td class="small">${escapeHtml(others.map((c) => `${c.name} (${c.confidence.toFixed(2)})`).join(', '))}</td></tr>`;
+    })
+    .join('\n');
+
+  return `<section class="changes">
+  <h2>Low-confidence Google matches</h2>
+  <p class="small">The best Places listing for these gyms scored below ${escapeHtml(google.minConfidence)} on name, postcode and distance, so its Google data was not used. Check the listing by hand or correct the page's address details.</p>
+  <div class="table-wrap"><table class="changes-table">
+    <thead><tr><th>Gym Page</th><th>Best candidate</th><th>Confidence</th><th>Signals</th><th>Other candidates</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>
+</section>`;
 }
+
+function renderReviewComplaintsSection(google, gyms) {
+  if (!google || !google.reviewComplaints || !google.reviewComplaints.length) return '';
+
+  const names = new Map(gyms.map((g) => [g.slug, g.gymName]));
+  const rows = google.reviewComplaints
+    .map(
+      (c) =>
+        `<tr><td>${escapeHtml(c.label)}</td><td>${c.gyms.length}</td><td>${c.notAddressed.length}</td><td class="small">${escapeHtml(c.notAddressed.map((slug) => names.get(slug)).join(', '))}</td></tr>`
+    )
+    .join('\n');
+
+  return `<section class="changes">
+  <h2>Recurring review complaints</h2>
+  <p class="small">Themes that at least two Google reviews for a gym are negative about. "Not on page" counts gyms whose landing page never mentions the theme, so it does not address the complaint.</p>
+  <div class="table-wrap"><table class="changes-table">
+    <thead><tr><th>Theme</th><th>Gyms</th><th>Not on page</th><th>Gyms not addressing it</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>
+</section>`;
+}
+
+function renderFacilityMatrixSection(report) {
+  const matrix = report.facilityMatrix;
+  if (!matrix || !report.gyms.length) return '';
+
+  const columns = matrix.columns.filter((c) => c.gyms > 0);
+  const header = columns.map((c) => `<th title="${escapeHtml(c.category)}">${escapeHtml(c.label)}<br><span class="small">${c.gyms}</span></th>`).join('');
+  const rows = report.gyms
+    .map((g) => {
+      const byKey = new Map((g.facilities || []).map((f) => [f.key, f]));
+      const listed = byKey.size;
+      const cells = columns
+        .map((c) => {
+          const f = byKey.get(c.key);
+          return f
+            ? `<td class="facility-cell" title="${escapeHtml(f.detail || f.sources.join(', '))}">✓${f.detail ? ` <span class="small">${escapeHtml(f.detail)}</span>` : ''}</td>`
+            : '<td></td>';
+        })
+        .join('');
+      return `<tr><td>${escapeHtml(g.gymName)}</td><td data-sort-value="${listed}"><span class="badge ${listed < matrix.medianListed ? 'med' : 'pass'}">${listed}</span></td>${cells}</tr>`;
+    })
+    .join('\n');
+
+  return `<section class="changes">
+  <h2>Facility matrix</h2>
+  <p class="small">Facilities each gym page lists in its facilities sections, lists and icons. The number under each facility is how many gyms list it. Amber counts are below the network median of ${matrix.medianListed}, which may mean the page under-sells the club.</p>
+  <div class="table-wrap"><table class="changes-table facility-matrix">
+    <thead><tr><th>Gym Page</th><th>Listed</th>${header}</tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>
+</section>`;
+}
+
+const COVERAGE_LABELS = {
+  included: 'Included',
+  excluded_slug: 'Excluded (non-gym slug)',
+  excluded_filter: 'Excluded (--include/--exclude)',
+  not_gym_page: 'Not a gym page',
+  http_error: 'HTTP error',
+  exception: 'Exception'
+};
+
+function renderCoverageSection(coverage) {
+  if (!coverage) return '';
+
+  const counts = Object.entries(coverage.counts)
+    .map(([outcome, count]) => `<li><b>${escapeHtml(COVERAGE_LABELS[outcome])}:</b> ${count}</li>`)
+    .join('');
+  const rows = coverage.pages
+    .filter((p) => p.outcome !== 'included')
+    .map(
+      (p) =>
+        `<tr><td><a href="${escapeHtml(p.url)}" target="_blank" rel="noopener">${escapeHtml(p.slug || p.url)}</a></td><td>${escapeHtml(COVERAGE_LABELS[p.outcome])}</td><td class="small">${escapeHtml(p.detail)}</td></tr>`
+    )
+    .join('\n');
+
+  return `<section class="changes">
+  <h2>Coverage</h2>
+  <p class="small">Every gym URL in the sitemap and what happened to it. Included pages are listed in the table above.</p>
+  <ul class="small">${counts}</ul>
+  ${rows
+    ? `<div class="table-wrap"><table class="changes-table">
+    <thead><tr><th>Gym Page</th><th>Outcome</th><th>Detail</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`
+    : '<p class="small">All candidate pages were included.</p>'}
+</section>`;
+}
+
+function renderDetails(entries) {
+  const items = entries
+    .filter(([, value]) => value != null && value !== '' && !(Array.isArray(value) && !value.length))
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(Array.isArray(value) ? value.join(', ') : value)}</dd>`)
+    .join('');
+  return items ? `<dl class="details small">${items}</dl>` : '<p class="small">Nothing found on the page.</p>';
+}
+
+function renderGymCriteriaSection(gym) {
+  const badge = (pass, text) => `<span class="badge ${pass ? 'pass' : 'fail'}">${escapeHtml(text)}</span>`;
+  const rows = [
+    ...CRITERIA.filter((c) => gym.criteria[c.key]).map((c) => {
+      const v = gym.criteria[c.key];
+      return `<tr><td>${escapeHtml(c.label)}</td><td>${badge(v.pass, v.result)}</td><td>${v.score}</td><td class="small">${escapeHtml(v.evidence)}</td></tr>`;
+    }),
+    `<tr><td>Join Route</td><td>${badge(gym.joinRoutePresent, gym.joinRoutePresent ? 'Present' : 'Missing')}</td><td>${gym.subScores.joinRoute}</td><td class="small">${escapeHtml(gym.joinRouteEvidence)}</td></tr>`,
+    `<tr><td>Club Description</td><td>${escapeHtml(gym.clubDescription.tone)}</td><td>${gym.subScores.clubDescription}</td><td class="small">${escapeHtml(gym.clubDescription.text)}</td></tr>`
+  ].join('\n');
+
+  const chart = renderBarChart({
+    title: `Sub-scores for ${gym.gymName}`,
+    rows: Object.entries(gym.subScores).map(([key, score]) => {
+      const c = gym.criteria[key];
+      const className = c ? (c.pass ? 'pass' : 'fail') : key === 'joinRoute' ? (gym.joinRoutePresent ? 'pass' : 'fail') : 'neutral';
+      return {
+        label: SUB_SCORE_LABELS[key] || key,
+        total: 100,
+        segments: [
+          { value: score, className, label: `${score} / 100` },
+          { value: 100 - score, className: 'rest', label: `${score} / 100` }
+        ]
+      };
+    })
+  });
+
+  return `<section class="changes">
+  <h2>Criteria</h2>
+  <div class="chart-grid"><div>${chart}</div></div>
+  <div class="table-wrap"><table class="changes-table">
+    <thead><tr><th>Criterion</th><th>Result</th><th>Score</th><th>Evidence</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>
+</section>`;
+}
+
+function renderGymContentSection(gym) {
+  const facilities = (gym.facilities || [])
+    .map(
+      (f) =>
+        `<tr><td>${escapeHtml(f.label)}</td><td>${escapeHtml(f.category)}</td><td>${escapeHtml(f.detail || '')}</td><td class="small">${escapeHtml(f.sources.join(', '))}</td></tr>`
+    )
+    .join('\n');
+  const images = gym.imagery.images
+    .map((img) => {
+      const facts = [
+        img.format,
+        img.width && img.height ? `${img.width}x${img.height}` : '',
+        img.bytes ? `${Math.round(img.bytes / 1024)} KB` : '',
+        img.issues && img.issues.length ? img.issues.join(', ') : ''
+      ].filter(Boolean);
+      return `<li><a href="${escapeHtml(img.url)}" target="_blank" rel="noopener">${escapeHtml(img.url)}</a>${facts.length ? ` <span class="small">(${escapeHtml(facts.join('; '))})</span>` : ''}</li>`;
+    })
+    .join('');
+  const links = gym.linkCheck
+    ? [...gym.linkCheck.join, ...gym.linkCheck.subpages]
+        .map(
+          (l) =>
+            `<tr><td>${escapeHtml(l.text)}</td><td><a href="${escapeHtml(l.url)}" target="_blank" rel="noopener">${escapeHtml(l.url)}</a></td><td>${l.broken ? `<span class="badge fail">${escapeHtml(l.reason)}</span>` : escapeHtml(l.status || l.reason)}</td></tr>`
+        )
+        .join('\n')
+    : '';
+  const sd = gym.structuredData;
+  const entity = sd.entity || {};
+  const copy = gym.clubDescription.copy;
+
+  return `${
+    gym.groupingEvidence
+      ? `<section class="changes">
+  <h2>Region and format</h2>
+  ${renderDetails([['Region', gym.region], ['City', gym.city], ['Format', gym.format], ['How assigned', gym.groupingEvidence]])}
+</section>
+`
+      : ''
+  }${
+    copy
+      ? `<section class="changes">
+  <h2>Club description copy</h2>
+  ${copy.intro ? `<p class="small">${escapeHtml(copy.intro)}</p>` : ''}
+  ${renderDetails([
+    ['Source', copy.source],
+    ['Words', copy.words],
+    ['Sentences', copy.sentences],
+    ['Reading ease', copy.readingEase],
+    ['Local mentions', [copy.local.town, ...copy.local.landmarks, ...copy.local.facilities].filter(Boolean)],
+    ['Closest intro', copy.similarity && copy.similarity.slug ? `${copy.similarity.gymName} (${Math.round(copy.similarity.value * 100)}% similar)` : ''],
+    ['Shared sentence', copy.similarity && copy.similarity.sharedSentence],
+    ['Weakest sentence', copy.weakSentence],
+    ['Missing differentiators', copy.missing]
+  ])}
+</section>
+`
+      : ''
+  }<section class="changes">
+  <h2>Facilities found</h2>
+  ${facilities
+    ? `<div class="table-wrap"><table class="changes-table">
+    <thead><tr><th>Facility</th><th>Category</th><th>Detail</th><th>Found in</th></tr></thead>
+    <tbody>${facilities}</tbody>
+  </table></div>`
+    : '<p class="small">No facilities sections, lists or icons matched the facility vocabulary.</p>'}
+</section>
+<section class="changes">
+  <h2>Images (${gym.imagery.meaningfulCount} meaningful, ${gym.imagery.modernFormatCount} modern format, ${gym.imagery.lazyCount} lazy-loaded)</h2>
+  ${images ? `<ul class="small">${images}</ul>` : '<p class="small">No meaningful images found.</p>'}
+</section>
+<section class="changes">
+  <h2>Join route</h2>
+  ${gym.joinCandidates.length ? `<ul class="small">${gym.joinCandidates.map((j) => `<li>${escapeHtml(j.text)}: <a href="${escapeHtml(j.url)}" target="_blank" rel="noopener">${escapeHtml(j.url)}</a></li>`).join('')}</ul>` : '<p class="small">No join or membership links found.</p>'}
+  ${links
+    ? `<div class="table-wrap"><table class="changes-table">
+    <thead><tr><th>Link</th><th>URL</th><th>Status</th></tr></thead>
+    <tbody>${links}</tbody>
+  </table></div>`
+    : ''}
+</section>
+<section class="changes">
+  <h2>Page details</h2>
+  ${renderDetails([
+    ['Title', gym.seo.title],
+    ['Meta description', gym.seo.description],
+    ['Canonical', gym.seo.canonical],
+    ['Open Graph image', gym.seo.ogImage],
+    ['JSON-LD types', sd.types],
+    ['Structured data name', entity.name],
+    ['Structured data telephone', entity.telephone],
+    ['Structured data postcode', entity.postalCode],
+    ['Missing required properties', sd.missingRequired],
+    ['Missing recommended properties', sd.missingRecommended],
+    ['Page address', gym.nap && gym.nap.address],
+    ['Page phone', gym.nap && gym.nap.phone],
+    ['Page opening hours', gym.nap && gym.nap.hoursText],
+    ['Third-party hosts', gym.performance.thirdPartyHosts],
+    ['Accessibility findings', gym.accessibility.findings.map((f) => f.message)]
+  ])}
+</section>`;
+}
+
+function renderGymGoogleSection(gym) {
+  const google = gym.google;
+  if (!google) return '';
+  const d = google.status === 'ok' ? google.details : null;
+  const analysis = gym.reviewAnalysis;
+  const themes = analysis
+    ? analysis.themes
+        .map(
+          (t) =>
+            `<tr><td>${escapeHtml(t.label)}</td><td>${t.mentions}</td><td>${t.positive}</td><td>${t.negative}</td><td class="small">${escapeHtml(t.examples.join(' | '))}</td></tr>`
+        )
+        .join('\n')
+    : '';
+
+  return `<section class="changes">
+  <h2>Google</h2>
+  <p class="small">${escapeHtml(gym.googleReview)}</p>
+  <p class="small">${escapeHtml(gym.googleProfileAssessment)}</p>
+  ${
+    d
+      ? renderDetails([
+          ['Listing', d.name],
+          ['Address', d.formatted_address],
+          ['Rating', d.rating != null ? `${d.rating} from ${d.user_ratings_total || 0} reviews` : ''],
+          ['Business status', d.business_status],
+          ['Phone', d.formatted_phone_number],
+          ['Opening hours', d.weekday_text],
+          ['Maps', d.google_maps_url]
+        ])
+      : ''
+  }
+  ${google.match ? `<p class="small">Match confidence ${google.match.confidence.toFixed(2)}: ${escapeHtml(renderMatchSignals(google.match.signals))}</p>` : ''}
+  ${google.fetchedAt ? `<p class="small">Google data fetched ${escapeHtml(google.fetchedAt)}${google.stale ? ' (stale)' : ''}.</p>` : ''}
+  ${themes
+    ? `<div class="table-wrap"><table class="changes-table">
+    <thead><tr><th>Review theme</th><th>Reviews</th><th>Positive</th><th>Negative</th><th>Negative examples</th></tr></thead>
+    <tbody>${themes}</tbody>
+  </table></div>`
+    : ''}
+</section>`;
+}
+
+function renderGymTicketsSection(gym, report) {
+  if (!report.tickets) return '';
+  const open = report.tickets.filter((t) => t.slug === gym.slug && t.status === 'open');
+  const rows = open
+    .map(
+      (t) =>
+        `<tr><td><span class="badge ${PRIORITY_BADGE[t.severity]}">${escapeHtml(t.severity)}</span></td><td><b>${escapeHtml(t.title)}</b><br><span class="small">${escapeHtml(t.criterionLabel)} | ${escapeHtml(t.id)}</span></td><td class="small">${escapeHtml(t.action)}</td><td class="small">${escapeHtml(t.acceptance)}</td></tr>`
+    )
+    .join('\n');
+
+  return `<section class="changes">
+  <h2>Remediation tasks (${open.length} open)</h2>
+  ${rows
+    ? `<div class="table-wrap"><table class="changes-table">
+    <thead><tr><th>Severity</th><th>Task</th><th>Action</th><th>Acceptance check</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`
+    : '<p class="small">No open tasks for this gym.</p>'}
+</section>`;
+}
+
+function generateGymPage(gym, report) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHtml(gym.gymName)} | ${escapeHtml(siteName(report))} Gym Landing Page Audit</title>
+<style>
+${REPORT_CSS}
 </style>
 </head>
 <body>
 <header>
   <div class="wrap">
-    <div class="brand">
-      <img src="https://www.nuffieldhealth.com/assets/dist/images/logo_inverse.svg" alt="Nuffield Health logo" />
+    <p class="sub"><a href="../index.html">&larr; All gym pages</a></p>
+    <h1>${escapeHtml(gym.gymName)}</h1>
+    <p class="sub"><a href="${escapeHtml(gym.url)}" target="_blank" rel="noopener">${escapeHtml(gym.url)}</a></p>
+    ${gym.region ? `<p class="sub">${escapeHtml([gym.region, gym.city, gym.format].filter(Boolean).join(' | '))}</p>` : ''}
+    <div class="kpis">
+      <div class="card"><div class="label">Page Score</div><b>${gym.score} / 100</b><div class="detail">Weighted across all criteria</div></div>
+      <div class="card"><div class="label">Fix Priority</div><b>${escapeHtml(gym.fixPriority)}</b><div class="detail">${CRITERIA.filter((c) => gym.criteria[c.key] && !gym.criteria[c.key].pass).length} criteria failing</div></div>
+      <div class="card"><div class="label">Join Route</div><b>${gym.joinRoutePresent ? 'Present' : 'Missing'}</b><div class="detail">Score ${gym.subScores.joinRoute}</div></div>
+      <div class="card"><div class="label">Google</div><b>${gym.google && gym.google.status === 'ok' ? `${escapeHtml(gym.google.details.rating != null ? gym.google.details.rating : 'N/A')} &#9733;` : 'n/a'}</b><div class="detail">${escapeHtml(gym.google ? gym.google.status : 'not checked')}</div></div>
     </div>
-    <h1>Nuffield Health Gym Landing Page Audit</h1>
+  </div>
+</header>
+<main class="wrap">
+  ${renderGymTicketsSection(gym, report)}
+  ${renderGymCriteriaSection(gym)}
+  ${renderGymContentSection(gym)}
+  ${renderGymGoogleSection(gym)}
+</main>
+${renderReportFooter(report)}
+</body>
+</html>`;
+}
+
+function generateHtml(report) {
+  const total = report.summary.total || 0;
+  const criteriaShown = CRITERIA.filter((c) => report.gyms.some((g) => g.criteria[c.key]));
+  const joinMissing = report.summary.joinRouteMissing || 0;
+  const highPriority = report.gyms.filter((g) => g.fixPriority === 'High').length;
+  const googlePopulated = report.summary.googlePopulated || 0;
+  const googleNotPopulated = total - googlePopulated;
+
+  const rows = report.gyms
+    .map((g) => {
+      const pf = (v) =>
+        v
+          ? `<td data-sort-value="${v.score}"><span class="badge ${v.pass ? 'pass' : 'fail'}">${escapeHtml(v.result)}</span> <span class="score">${v.score}</span></td>`
+          : '<td data-sort-value="0">n/a</td>';
+      return `<tr>
+<td><a href="gyms/${escapeHtml(gymPageFile(g.slug))}">${escapeHtml(g.gymName)}</a><br><a class="small" href="${escapeHtml(g.url)}" target="_blank" rel="noopener">${escapeHtml(g.url.replace(/^https?:\/\/[^/]+/, ''))}</a></td>
+<td data-sort-value="${g.score}"><b class="score-total">${g.score}</b></td>
+<td data-filter-value="${escapeHtml(g.region || '')}">${escapeHtml(g.region || '')}${g.city ? `<br><span class="small">${escapeHtml(g.city)}</span>` : ''}</td>
+<td data-filter-value="${escapeHtml(g.format || '')}">${escapeHtml(g.format || '')}</td>
+${criteriaShown.map((c) => pf(g.criteria[c.key])).join('\n')}
+<td data-sort-value="${PRIORITY_SORT_VALUE[g.fixPriority] || 0}"><span class="badge ${PRIORITY_BADGE[g.fixPriority] || 'pass'}">${escapeHtml(g.fixPriority)}</span></td>
+<td data-sort-value="${g.subScores.joinRoute}">${g.joinRoutePresent ? 'Present' : 'Missing'} <span class="score">${g.subScores.joinRoute}</span></td>
+${criteriaShown.map((c) => `<td class="small evidence-col">${escapeHtml(g.criteria[c.key] ? g.criteria[c.key].evidence : '')}</td>`).join('\n')}
+<td data-sort-value="${g.clubDescription.score}"><div class="assessment-box"><b>${escapeHtml(g.clubDescription.tone)}</b> <span class="score">${g.clubDescription.score}</span><br>${escapeHtml(g.clubDescription.text)}</div></td>
+<td class="small evidence-col">${escapeHtml(g.joinRouteEvidence)}</td>
+<td class="small evidence-col">${escapeHtml(g.googleReview)}</td>
+<td class="small evidence-col">${escapeHtml(g.googleProfileAssessment)}</td>
+</tr>`;
+    })
+    .join('\n');
+
+  const criteriaCards = criteriaShown
+    .map((c) => {
+      const pass = report.summary[`${c.key}Pass`] || 0;
+      return `<div class="card"><div class="label">${escapeHtml(c.cardLabel)}</div><b>${pass} Pass</b><div class="detail">${total - pass} Fail</div></div>`;
+    })
+    .join('\n      ');
+
+  const select = (key, options) => `<th>
+          <select data-filter-key="${key}">
+            <option value="">All</option>
+            ${options.map((o) => `<option>${escapeHtml(o)}</option>`).join('\n            ')}
+          </select>
+        </th>`;
+  const textFilter = (key, placeholder, className = '') =>
+    `<th${className ? ` class="${className}"` : ''}><input data-filter-key="${key}" placeholder="${escapeHtml(placeholder)}" /></th>`;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHtml(siteName(report))} Gym Landing Page Audit</title>
+<style>
+${REPORT_CSS}
+</style>
+</head>
+<body>
+<header>
+  <div class="wrap">
+    ${renderBrand(report)}
+    <h1>${escapeHtml(siteName(report))} Gym Landing Page Audit</h1>
     <p class="sub">Assessment across club pages for facilities clarity, imagery quality, and online join CTA clarity.</p>
     <div class="kpis">
       <div class="card"><div class="label">Gym Pages Reviewed</div><b>${total}</b><div class="detail">Total gym landing pages in scope</div></div>
-      <div class="card"><div class="label">Core Facilities</div><b>${corePass} Pass</b><div class="detail">${coreFail} Fail</div></div>
-      <div class="card"><div class="label">Imagery Quality</div><b>${imageryPass} Pass</b><div class="detail">${imageryFail} Fail</div></div>
+      <div class="card"><div class="label">Average Page Score</div><b>${report.summary.averageScore || 0} / 100</b><div class="detail">Weighted across all criteria</div></div>
+      ${criteriaCards}
       <div class="card"><div class="label">Join Route Coverage</div><b>${total - joinMissing} Present</b><div class="detail">${joinMissing} Missing</div></div>
       <div class="card"><div class="label">High Priority Fixes</div><b>${highPriority}</b><div class="detail">Pages needing urgent action</div></div>
       <div class="card"><div class="label">Google Data Coverage</div><b>${googlePopulated} Populated</b><div class="detail">${googleNotPopulated} Pending/Unavailable</div></div>
@@ -549,236 +1371,861 @@ a { color: var(--nh-green-900); }
   </div>
 </header>
 <main class="wrap">
+  ${renderChangesSection(report.changes)}
+  ${renderChartsSection(report, criteriaShown)}
+  ${renderRollupsSection(report.rollups, criteriaShown)}
   <div class="controls">
     <input id="search" placeholder="Filter by gym name or URL" />
+    <label class="small"><input type="checkbox" id="show-evidence" /> Show evidence columns</label>
+    <a class="small" id="clear-filters" href="#">Clear filters</a>
   </div>
   <div class="mobile-hint">On mobile: swipe left/right to view all columns.</div>
   <div class="table-wrap">
   <table id="audit-table">
     <thead>
       <tr>
-        <th>Gym Page</th>
-        <th>Core Facilities</th>
-        <th>Imagery</th>
-        <th>Fix Priority</th>
-        <th>Join Route</th>
-        <th>Core Facilities Evidence</th>
-        <th>Imagery Evidence</th>
-        <th>Club Description Assessment</th>
-        <th>Join Route Evidence</th>
-        <th>Google Review</th>
-        <th>Google Profile Assessment</th>
+        <th data-sort="text" data-key="gym">Gym Page</th>
+        <th data-sort="number" data-key="score">Score</th>
+        <th data-sort="text" data-key="region">Region</th>
+        <th data-sort="text" data-key="format">Format</th>
+        ${criteriaShown.map((c) => `<th data-sort="number" data-key="${c.key}">${escapeHtml(c.label)}</th>`).join('\n        ')}
+        <th data-sort="number" data-key="fixPriority">Fix Priority</th>
+        <th data-sort="number" data-key="joinRoute">Join Route</th>
+        ${criteriaShown.map((c) => `<th class="evidence-col">${escapeHtml(c.label)} Evidence</th>`).join('\n        ')}
+        <th data-sort="number" data-key="clubDescription">Club Description Assessment</th>
+        <th class="evidence-col">Join Route Evidence</th>
+        <th class="evidence-col">Google Review</th>
+        <th class="evidence-col">Google Profile Assessment</th>
       </tr>
       <tr class="filter-row">
-        <th><input data-filter-col="0" placeholder="Filter gym" /></th>
-        <th>
-          <select data-filter-col="1">
-            <option value="">All</option>
-            <option>Pass</option>
-            <option>Fail</option>
-          </select>
-        </th>
-        <th>
-          <select data-filter-col="2">
-            <option value="">All</option>
-            <option>Pass</option>
-            <option>Fail</option>
-          </select>
-        </th>
-        <th>
-          <select data-filter-col="3">
-            <option value="">All</option>
-            <option>High</option>
-            <option>Medium</option>
-            <option>Low</option>
-          </select>
-        </th>
-        <th>
-          <select data-filter-col="4">
-            <option value="">All</option>
-            <option>Present</option>
-            <option>Missing</option>
-          </select>
-        </th>
-        <th><input data-filter-col="5" placeholder="Filter core facilities evidence" /></th>
-        <th><input data-filter-col="6" placeholder="Filter imagery evidence" /></th>
-        <th><input data-filter-col="7" placeholder="Filter description assessment" /></th>
-        <th><input data-filter-col="8" placeholder="Filter join route evidence" /></th>
-        <th><input data-filter-col="9" placeholder="Filter google review" /></th>
-        <th><input data-filter-col="10" placeholder="Filter google profile assessment" /></th>
+        ${textFilter('gym', 'Filter gym')}
+        <th></th>
+        ${select('region', unique(report.gyms.map((g) => g.region).filter(Boolean)).sort())}
+        ${select('format', unique(report.gyms.map((g) => g.format).filter(Boolean)).sort())}
+        ${criteriaShown.map((c) => select(c.key, ['Pass', 'Fail'])).join('\n        ')}
+        ${select('fixPriority', ['High', 'Medium', 'Low'])}
+        ${select('joinRoute', ['Present', 'Missing'])}
+        ${criteriaShown.map((c) => textFilter(`${c.key}Evidence`, `Filter ${c.label.toLowerCase()} evidence`, 'evidence-col')).join('\n        ')}
+        ${textFilter('clubDescription', 'Filter description assessment')}
+        ${textFilter('joinRouteEvidence', 'Filter join route evidence', 'evidence-col')}
+        ${textFilter('googleReview', 'Filter google review', 'evidence-col')}
+        ${textFilter('googleProfile', 'Filter google profile assessment', 'evidence-col')}
       </tr>
     </thead>
     <tbody>${rows}</tbody>
   </table>
   </div>
+  ${renderSeoDuplicatesSection(report.seoDuplicates)}
+  ${renderCopyReuseSection(report.copyReuse, report.gyms)}
+  ${renderSharedImagesSection(report.imageAnalysis)}
+  ${renderPerformanceSection(report.performance)}
+  ${renderGoogleMatchSection(report.google)}
+  ${renderReviewComplaintsSection(report.google, report.gyms)}
+  ${renderFacilityMatrixSection(report)}
+  ${renderCoverageSection(report.coverage)}
 </main>
-<footer class="wrap">
-  <div><b>Method:</b> Automated heuristic scoring of live page content from <a href="https://www.nuffieldhealth.com/sitemap_gyms.xml" target="_blank" rel="noopener">sitemap_gyms.xml</a>.</div>
-  <div>Generated: ${report.generatedAt}</div>
-</footer>
+${renderReportFooter(report)}
 <script>
+const table = document.getElementById('audit-table');
 const search = document.getElementById('search');
-const rows = Array.from(document.querySelectorAll('#audit-table tbody tr'));
-const columnFilters = Array.from(document.querySelectorAll('[data-filter-col]'));
+const showEvidence = document.getElementById('show-evidence');
+const rows = Array.from(table.querySelectorAll('tbody tr'));
+const filterRow = table.querySelector('.filter-row');
+const columnFilters = Array.from(filterRow.children)
+  .map((th, col) => ({ col, el: th.querySelector('[data-filter-key]') }))
+  .filter((f) => f.el);
+const sortHeaders = Array.from(table.querySelectorAll('thead tr:first-child th'));
+const tbody = table.querySelector('tbody');
+let sortState = null;
 
 function applyFilters() {
   const q = search.value.toLowerCase().trim();
-  const activeColumnFilters = columnFilters.map((el) => ({
-    col: Number(el.getAttribute('data-filter-col')),
-    value: (el.value || '').toLowerCase().trim()
-  }));
+  const active = columnFilters.map((f) => ({ col: f.col, value: (f.el.value || '').toLowerCase().trim() })).filter((f) => f.value);
+  const cellMatches = (cell, value) => {
+    if (!cell) return false;
+    if (cell.hasAttribute('data-filter-value')) return cell.getAttribute('data-filter-value').toLowerCase() === value;
+    return cell.textContent.toLowerCase().includes(value);
+  };
 
   for (const row of rows) {
-    const allText = row.textContent.toLowerCase();
-    if (q && !allText.includes(q)) {
-      row.style.display = 'none';
-      continue;
-    }
+    const cells = row.querySelectorAll('td');
+    const matched = (!q || row.textContent.toLowerCase().includes(q)) && active.every((f) => cellMatches(cells[f.col], f.value));
+    row.style.display = matched ? '' : 'none';
+  }
+}
 
-    const cells = Array.from(row.querySelectorAll('td'));
-    let matched = true;
-    for (const filter of activeColumnFilters) {
-      if (!filter.value) continue;
-      const cell = cells[filter.col];
-      const text = (cell ? cell.textContent : '').toLowerCase();
-      if (!text.includes(filter.value)) {
-        matched = false;
-        break;
-      }
-    }
+function sortBy(col, type, direction) {
+  const factor = direction === 'ascending' ? 1 : -1;
+  const valueOf = (row) => {
+    const cell = row.querySelectorAll('td')[col];
+    if (!cell) return '';
+    if (type === 'number') return Number(cell.getAttribute('data-sort-value')) || 0;
+    return cell.textContent.trim().toLowerCase();
+  };
+  rows.sort((a, b) => {
+    const va = valueOf(a);
+    const vb = valueOf(b);
+    return (va < vb ? -1 : va > vb ? 1 : 0) * factor;
+  });
+  for (const row of rows) tbody.appendChild(row);
+  for (const th of sortHeaders) th.removeAttribute('aria-sort');
+  sortHeaders[col].setAttribute('aria-sort', direction);
+  sortState = { key: sortHeaders[col].getAttribute('data-key'), direction };
+}
 
-    row.style.display = matched ? '' : 'none';
+function writeHash() {
+  const params = new URLSearchParams();
+  if (search.value.trim()) params.set('q', search.value.trim());
+  for (const f of columnFilters) {
+    if (f.el.value.trim()) params.set(f.el.getAttribute('data-filter-key'), f.el.value.trim());
+  }
+  if (sortState) params.set('sort', sortState.key + ':' + sortState.direction);
+  if (showEvidence.checked) params.set('evidence', '1');
+  const hash = params.toString();
+  history.replaceState(null, '', hash ? '#' + hash : location.pathname + location.search);
+}
+
+function readHash() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  search.value = params.get('q') || '';
+  for (const f of columnFilters) f.el.value = params.get(f.el.getAttribute('data-filter-key')) || '';
+  showEvidence.checked = params.get('evidence') === '1';
+  table.classList.toggle('show-evidence', showEvidence.checked);
+  const [key, direction] = (params.get('sort') || '').split(':');
+  const col = sortHeaders.findIndex((th) => th.getAttribute('data-key') === key);
+  if (col >= 0 && sortHeaders[col].hasAttribute('data-sort')) {
+    sortBy(col, sortHeaders[col].getAttribute('data-sort'), direction === 'ascending' ? 'ascending' : 'descending');
   }
+  applyFilters();
+}
+
+sortHeaders.forEach((th, col) => {
+  const type = th.getAttribute('data-sort');
+  if (!type) return;
+  th.addEventListener('click', () => {
+    const current = th.getAttribute('aria-sort');
+    const next = current ? (current === 'ascending' ? 'descending' : 'ascending') : type === 'number' ? 'descending' : 'ascending';
+    sortBy(col, type, next);
+    writeHash();
+  });
+});
+
+function onFilterChange() {
+  applyFilters();
+  writeHash();
 }
 
-search.addEventListener('input', applyFilters);
-for (const el of columnFilters) {
-  el.addEventListener('input', applyFilters);
-  el.addEventListener('change', applyFilters);
+search.addEventListener('input', onFilterChange);
+for (const f of columnFilters) {
+  f.el.addEventListener('input', onFilterChange);
+  f.el.addEventListener('change', onFilterChange);
 }
+showEvidence.addEventListener('change', () => {
+  table.classList.toggle('show-evidence', showEvidence.checked);
+  writeHash();
+});
+document.getElementById('clear-filters').addEventListener('click', (event) => {
+  event.preventDefault();
+  history.replaceState(null, '', location.pathname + location.search);
+  readHash();
+});
+window.addEventListener('hashchange', readHash);
+readHash();
 </script>
 </body>
 </html>`;
 }
 
-async function main() {
-  fs.mkdirSync(OUT_DIR, { recursive: true });
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-
-  const map = await fetchText(SITEMAP_URL);
-  if (map.status >= 400) throw new Error(`Failed to fetch sitemap: ${map.status}`);
-
-  const allLocs = parseLocs(map.text);
-  const candidates = unique(
-    allLocs.filter((u) => /^https:\/\/www\.nuffieldhealth\.com\/gyms\/[^/?#]+\/?$/.test(u))
-  ).filter((u) => {
-    const slug = slugFromGymUrl(u);
-    return slug && !NON_GYM_SLUGS.has(slug);
+function generateBenchmarkHtml(benchmark) {
+  const baseline = benchmark.sites.find((s) => s.key === benchmark.baseline);
+  const metrics = [
+    { key: 'gyms', label: 'Gym pages audited', value: (s) => s.gyms, suffix: '' },
+    { key: 'averageScore', label: 'Average page score', value: (s) => s.averageScore, suffix: '' },
+    { key: 'medianScore', label: 'Median page score', value: (s) => s.medianScore, suffix: '' },
+    { key: 'highPriorityRate', label: 'High priority pages', value: (s) => s.highPriorityRate, suffix: '%' },
+    ...benchmark.metrics.map((key) => ({ key, label: `${SUB_SCORE_LABELS[key] || key} pass rate`, value: (s) => s.passRates[key], suffix: '%' })),
+    { key: 'clubDescriptionScore', label: 'Average club description score', value: (s) => s.clubDescriptionScore, suffix: '' }
+  ];
+
+  const cell = (site, metric) => {
+    const value = metric.value(site);
+    if (value == null) return '<td>n/a</td>';
+    const base = baseline && site !== baseline ? metric.value(baseline) : null;
+    const delta = base != null && metric.key !== 'gyms' ? value - base : null;
+    const text = `${value}${metric.suffix}`;
+    return `<td>${(benchmark.leaders[metric.key] || []).includes(site.key) ? `<b>${text}</b>` : text}${
+      delta ? ` <span class="small">(${delta > 0 ? '+' : ''}${delta} vs ${escapeHtml(baseline.name)})</span>` : ''
+    }</td>`;
+  };
+  const rows = metrics
+    .filter((m) => benchmark.sites.some((s) => m.value(s) != null))
+    .map((m) => `<tr><td>${escapeHtml(m.label)}</td>${benchmark.sites.map((s) => cell(s, m)).join('')}</tr>`)
+    .join('\n');
+
+  const charts = benchmark.sites
+    .map((s) =>
+      renderBarChart({
+        title: `${s.name}: pass rate by criterion`,
+        rows: benchmark.metrics
+          .filter((key) => s.passRates[key] != null)
+          .map((key) => ({
+            label: SUB_SCORE_LABELS[key] || key,
+            total: 100,
+            segments: [
+              { value: s.passRates[key], className: 'pass', label: `${s.passRates[key]}% pass` },
+              { value: 100 - s.passRates[key], className: 'rest', label: `${s.passRates[key]}% pass` }
+            ]
+          }))
+      })
+    )
+    .map((chart, i) => `<div><p class="small"><b>${escapeHtml(benchmark.sites[i].name)}</b></p>${chart}</div>`)
+    .join('\n  ');
+
+  const sources = benchmark.sites
+    .map(
+      (s) =>
+        `<tr><td>${escapeHtml(s.name)}</td><td class="small">${escapeHtml(s.source)}</td><td class="small">${escapeHtml(s.generatedAt)}</td><td class="small">${escapeHtml(s.snapshot ? `${s.snapshot.id} (${s.snapshot.mode})` : 'live')}</td><td class="small">${escapeHtml(s.rules ? s.rules.version : '')}</td></tr>`
+    )
+    .join('\n');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>Gym Landing Page Benchmark</title>
+<style>
+${REPORT_CSS}
+</style>
+</head>
+<body>
+<header>
+  <div class="wrap">
+    <h1>Gym Landing Page Benchmark</h1>
+    <p class="sub">${escapeHtml(benchmark.sites.map((s) => s.name).join(' vs '))}, scored against the same criteria. Best value in each row in bold.</p>
+    <div class="kpis">
+      ${benchmark.sites
+        .map((s) => `<div class="card"><div class="label">${escapeHtml(s.name)}</div><b>${s.averageScore == null ? 'n/a' : `${s.averageScore} / 100`}</b><div class="detail">Average across ${s.gyms} gym pages</div></div>`)
+        .join('\n      ')}
+    </div>
+  </div>
+</header>
+<main class="wrap">
+  ${benchmark.warnings.length ? `<section class="changes">
+  <h2>Read with care</h2>
+  <ul class="small">${benchmark.warnings.map((w) => `<li>${escapeHtml(w)}</li>`).join('')}</ul>
+</section>` : ''}
+  <section class="changes">
+  <h2>Side by side</h2>
+  <div class="table-wrap"><table class="changes-table">
+    <thead><tr><th>Measure</th>${benchmark.sites.map((s) => `<th>${escapeHtml(s.name)}</th>`).join('')}</tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>
+</section>
+  <section class="changes">
+  <h2>Pass rates</h2>
+  <div class="chart-grid">${charts}</div>
+</section>
+  <section class="changes">
+  <h2>Reports compared</h2>
+  <div class="table-wrap"><table class="changes-table">
+    <thead><tr><th>Site</th><th>Source</th><th>Generated</th><th>Snapshot</th><th>Rules</th></tr></thead>
+    <tbody>${sources}</tbody>
+  </table></div>
+</section>
+</main>
+<footer class="wrap">
+  <div>Generated: ${escapeHtml(benchmark.generatedAt)}</div>
+</footer>
+</body>
+</html>`;
+}
+
+function benchmarkReports(reports) {
+  return buildBenchmark(reports, CRITERIA.map((c) => c.key));
+}
+
+function readReport(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    const wrapped = new Error(`Could not read report ${file}: ${err.message}`);
+    wrapped.code = 'USAGE';
+    throw wrapped;
+  }
+}
+
+function readUrlList(file, site) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    const wrapped = new Error(`Could not read URL list ${file}: ${err.message}`);
+    wrapped.code = 'USAGE';
+    throw wrapped;
+  }
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*$/, '').trim())
+    .filter(Boolean);
+  return normalizeUrlList(lines, `URL list ${file}`, site);
+}
+
+function normalizeUrlList(lines, label, site) {
+  const urls = lines.map((line) => {
+    if (/^https?:\/\//i.test(line)) return line;
+    const trimmed = line.replace(/^\/|\/$/g, '');
+    return trimmed.includes('/') ? `${site.baseUrl}/${trimmed}` : gymUrl(site, trimmed);
   });
+  const invalid = urls.filter((u) => !slugFromUrl(site, u));
+  if (invalid.length) {
+    const err = new Error(`${label} has entries that are not gym pages: ${invalid.slice(0, 5).join(', ')}${invalid.length > 5 ? ', ...' : ''}`);
+    err.code = 'USAGE';
+    throw err;
+  }
+  return unique(urls);
+}
 
-  console.log(`Candidates: ${candidates.length}`);
+function resolveRules(rules) {
+  return rules && typeof rules === 'object' ? rules : loadRules(rules || DEFAULT_RULES_PATH);
+}
 
-  const assessed = await runPool(
-    candidates,
-    async (url, i) => {
-      const page = await fetchText(url);
-      if (page.status >= 400) {
-        return { url, status: page.status, skipped: true };
-      }
-      const row = assessPage(url, page.text);
-      row.status = page.status;
-      row.index = i + 1;
-      return row;
-    },
-    CONCURRENCY
+function resolveSite(sites, key) {
+  const profiles = sites && typeof sites === 'object' ? sites : loadSites(sites || DEFAULT_SITES_PATH);
+  return { profiles, site: selectSite(profiles, key) };
+}
+
+function resolveRegions(regions) {
+  return regions && typeof regions === 'object' ? regions : loadRegions(regions || DEFAULT_REGIONS_PATH);
+}
+
+function matchesSlugFilters(slug, options) {
+  if (options.include.length && !options.include.some((re) => re.test(slug))) return false;
+  return !options.exclude.some((re) => re.test(slug));
+}
+
+function writeReportFiles(report, { outDir, dataDir }) {
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(path.join(dataDir, 'audit-report.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(dataDir, 'audit-report.csv'), generateCsv(report));
+  if (report.rollups) fs.writeFileSync(path.join(dataDir, 'audit-rollups.csv'), generateRollupCsv(report));
+  if (report.tickets) writeTicketFiles(report, dataDir);
+  fs.writeFileSync(path.join(outDir, 'index.html'), generateHtml(report));
+  const gymsDir = path.join(outDir, 'gyms');
+  fs.rmSync(gymsDir, { recursive: true, force: true });
+  fs.mkdirSync(gymsDir);
+  for (const gym of report.gyms) {
+    fs.writeFileSync(path.join(gymsDir, gymPageFile(gym.slug)), generateGymPage(gym, report));
+  }
+}
+
+function writeTicketFiles(report, dataDir) {
+  fs.writeFileSync(
+    path.join(dataDir, 'audit-tickets.json'),
+    JSON.stringify({ generatedAt: report.generatedAt, counts: report.ticketCounts, tickets: report.tickets }, null, 2)
   );
+  fs.writeFileSync(path.join(dataDir, 'audit-tickets.csv'), generateTicketsCsv(report.tickets));
+  const ticketsDir = path.join(dataDir, 'tickets');
+  fs.rmSync(ticketsDir, { recursive: true, force: true });
+  fs.mkdirSync(ticketsDir);
+  for (const gym of report.gyms) {
+    const gymTickets = report.tickets.filter((t) => t.slug === gym.slug);
+    if (gymTickets.length) fs.writeFileSync(path.join(ticketsDir, gymPageFile(gym.slug, 'md')), generateGymTicketsMarkdown(gym, gymTickets));
+  }
+}
+
+function reportGateFailures(failures) {
+  if (!failures.length) return EXIT_CODES.ok;
+  for (const failure of failures) console.error(`Quality gate failed: ${failure}.`);
+  return EXIT_CODES.gateFailed;
+}
+
+function runDiff(options) {
+  const [previousFile, currentFile] = options.files;
+  const changes = compareReports(readReport(previousFile), readReport(currentFile));
+  const json = JSON.stringify(changes, null, 2);
+  if (options.out) {
+    fs.writeFileSync(options.out, json);
+    console.log(`Comparison written to: ${options.out}`);
+  } else {
+    console.log(json);
+  }
+  return reportGateFailures(checkGates(options.gates, { changes }));
+}
+
+function runReport(options) {
+  const report = readReport(options.file);
+  if (!Array.isArray(report.gyms)) {
+    const err = new Error(`${options.file} is not an audit report (no gyms array).`);
+    err.code = 'USAGE';
+    throw err;
+  }
+  if (!report.gyms.every((g) => g.subScores && g.criteria)) {
+    const err = new Error(`${options.file} was written by an older version of the audit without scores; run the audit again instead.`);
+    err.code = 'USAGE';
+    throw err;
+  }
+  writeReportFiles(report, options);
+  console.log(`Rebuilt ${path.join(options.outDir, 'index.html')}, the gym pages and ${options.dataDir} from ${options.file}.`);
+  return EXIT_CODES.ok;
+}
+
+function benchmarkFiles(dataDir) {
+  const files = [path.join(dataDir, 'audit-report.json')];
+  const sitesDir = path.join(dataDir, 'sites');
+  if (fs.existsSync(sitesDir)) {
+    for (const name of fs.readdirSync(sitesDir).sort()) files.push(path.join(sitesDir, name, 'audit-report.json'));
+  }
+  return files.filter((file) => fs.existsSync(file));
+}
+
+function runBenchmark(options) {
+  const files = options.files.length ? options.files : benchmarkFiles(options.dataDir);
+  if (files.length < 2) {
+    const err = new Error(`benchmark needs at least two reports, found ${files.length}. Audit another chain with --site first, or pass the report files.`);
+    err.code = 'USAGE';
+    throw err;
+  }
+  const reports = files.map((file) => {
+    const report = readReport(file);
+    if (!Array.isArray(report.gyms)) {
+      const err = new Error(`${file} is not an audit report (no gyms array).`);
+      err.code = 'USAGE';
+      throw err;
+    }
+    return report;
+  });
+
+  const benchmark = benchmarkReports(reports);
+  fs.mkdirSync(options.outDir, { recursive: true });
+  fs.mkdirSync(options.dataDir, { recursive: true });
+  fs.writeFileSync(path.join(options.dataDir, 'benchmark.json'), JSON.stringify(benchmark, null, 2));
+  fs.writeFileSync(path.join(options.dataDir, 'benchmark.csv'), generateBenchmarkCsv(benchmark));
+  fs.writeFileSync(path.join(options.outDir, 'benchmark.html'), generateBenchmarkHtml(benchmark));
+  for (const warning of benchmark.warnings) console.log(`Note: ${warning}`);
+  console.log(`Benchmark of ${benchmark.sites.map((site) => site.name).join(', ')} written to: ${path.join(options.outDir, 'benchmark.html')}`);
+  return EXIT_CODES.ok;
+}
+
+async function runPage(options) {
+  const { site } = resolveSite(options.sites, options.site);
+  const rules = applySiteRules(loadRules(options.rules), site);
+  let html;
+  let url = options.url;
+  if (/^https?:\/\//i.test(options.target)) {
+    const http = createHttpClient(options.http);
+    const page = await http.fetchText(options.target);
+    if (page.status >= 400) {
+      const err = new Error(`HTTP ${page.status} for ${options.target}`);
+      err.code = 'USAGE';
+      throw err;
+    }
+    html = page.text;
+    url = url || options.target;
+  } else {
+    try {
+      html = fs.readFileSync(path.resolve(ROOT, options.target), 'utf8');
+    } catch (err) {
+      const wrapped = new Error(`Could not read page ${options.target}: ${err.message}`);
+      wrapped.code = 'USAGE';
+      throw wrapped;
+    }
+    url = url || gymUrl(site, path.basename(options.target).replace(/\.html?$/i, ''));
+  }
+
+  const gym = assessPage(url, html, rules);
+  if (options.json) {
+    console.log(JSON.stringify(gym, null, 2));
+  } else {
+    console.log(`${gym.gymName} (${gym.url})`);
+    console.log(`Score: ${gym.score} | Fix priority: ${gym.fixPriority} | Join route: ${gym.joinRoutePresent ? 'Present' : 'Missing'}`);
+    if (!gym.isLikelyGymPage) console.log('Warning: this does not look like a gym landing page.');
+    for (const c of CRITERIA) {
+      if (gym.criteria[c.key]) console.log(`- ${c.label}: ${gym.criteria[c.key].result} (${gym.criteria[c.key].score}) ${gym.criteria[c.key].evidence}`);
+    }
+  }
+
+  if (options.minScore != null && gym.score < options.minScore) {
+    return reportGateFailures([`page scored ${gym.score}, below ${options.minScore}`]);
+  }
+  return EXIT_CODES.ok;
+}
+
+async function buildAuditReport(options) {
+  const log = options.log || (() => {});
+  const scoringRules = { ...resolveRules(options.rules), disabledCriteria: options.disabledCriteria };
+  log(`Scoring rules: ${scoringRules.source.file} (version ${scoringRules.version})`);
+  const regions = resolveRegions(options.regions);
+  if (options.disabledCriteria.length || options.skipGoogle) {
+    log(`Switched off: ${[...options.disabledCriteria, ...(options.skipGoogle ? ['google'] : [])].join(', ')}`);
+  }
+
+  if (options.analyzeImages && !options.replay) loadSharp();
+
+  const http = createHttpClient(options.http);
+  const live = { fetchText: http.fetchText, fetchStatus: http.fetchStatus, fetchImage: createImageFetcher(http.fetchBuffer) };
+  let source = live;
+  let snapshot = null;
+  if (options.replay) {
+    source = loadSnapshot(options.replay);
+    snapshot = { mode: 'replay', id: source.manifest.id, capturedAt: source.manifest.capturedAt };
+    log(`Replaying snapshot ${source.manifest.id} (${source.manifest.pages.length} pages, no network).`);
+  } else if (options.capture) {
+    source = createSnapshotRecorder(options.snapshotDir || path.join(SNAPSHOTS_DIR, snapshotId()), live);
+    log(`Capturing snapshot to: ${source.dir}`);
+  }
+
+  const capturedSite = snapshot ? source.manifest.site : null;
+  if (options.site && capturedSite && options.site !== capturedSite) {
+    const err = new Error(`Snapshot ${source.manifest.id} was captured for site "${capturedSite}", not "${options.site}".`);
+    err.code = 'USAGE';
+    throw err;
+  }
+  const { profiles, site } = resolveSite(options.sites, options.site || capturedSite);
+  const rules = applySiteRules(scoringRules, site);
+  log(`Site: ${site.name} (${site.key})`);
+
+  let sitemapUrl = null;
+  let urlList = null;
+  let gymUrls;
+  if (options.urls || options.urlsFile) {
+    urlList = options.urls ? normalizeUrlList(options.urls, 'URL list', site) : readUrlList(options.urlsFile, site);
+    gymUrls = urlList;
+  } else if (snapshot && source.manifest.urlList) {
+    urlList = source.manifest.urlList;
+    gymUrls = urlList;
+  } else {
+    sitemapUrl = snapshot ? source.manifest.sitemapUrl : options.sitemapUrl || site.sitemapUrl;
+    const map = await source.fetchText(sitemapUrl);
+    if (map.status >= 400) throw new Error(`Failed to fetch sitemap: ${map.status}`);
+    gymUrls = unique(parseLocs(map.text).filter((u) => slugFromUrl(site, u)));
+  }
+  const notExcluded = gymUrls.filter((u) => !site.excludeSlugs.includes(slugFromUrl(site, u)));
+  const filteredOut = new Set(notExcluded.filter((u) => !matchesSlugFilters(slugFromUrl(site, u), options)));
+  const candidates = notExcluded.filter((u) => !filteredOut.has(u));
+
+  log(`Candidates: ${candidates.length}`);
+
+  let renderer = null;
+  const rendering = { requested: options.render, mode: 'static', reason: '' };
+  if (options.render && options.replay) {
+    if (source.render) {
+      renderer = { executablePath: `snapshot ${source.manifest.id}`, render: source.render, close: async () => {} };
+      rendering.mode = 'browser';
+      log(`Replaying rendered pages from snapshot ${source.manifest.id}.`);
+    } else {
+      rendering.reason = 'the snapshot was captured without --render';
+    }
+  } else if (options.render) {
+    const started = await createRenderer(rules, {
+      executablePath: options.chromePath,
+      noSandbox: options.noSandbox,
+      userAgent: HTTP_DEFAULTS.userAgent,
+      admit: http.admit
+    });
+    renderer = started.renderer;
+    rendering.reason = started.reason;
+    if (renderer && options.capture) renderer = { ...renderer, render: source.recordRendering(renderer.render) };
+    if (renderer) {
+      rendering.mode = 'browser';
+      log(`Rendering pages with ${renderer.executablePath}.`);
+    }
+  }
+  if (rendering.reason) log(`Headless rendering unavailable (${rendering.reason}); using server HTML.`);
+
+  let assessed;
+  try {
+    assessed = await runPool(
+      candidates,
+      async (url, i) => {
+        const page = await source.fetchText(url);
+        if (page.status >= 400) {
+          return { url, status: page.status, skipped: true };
+        }
+        let rendered = null;
+        let renderError = '';
+        if (renderer) {
+          try {
+            rendered = await renderer.render(url);
+          } catch (err) {
+            renderError = String(err.message || err);
+          }
+        }
+        const row = assessPage(url, page.text, rules, rendered);
+        if (renderError) row.rendering.error = `Rendering failed, used server HTML: ${renderError}`;
+        row.status = page.status;
+        row.index = i + 1;
+        return row;
+      },
+      options.concurrency
+    );
+  } finally {
+    if (renderer) await renderer.close();
+  }
 
   const gyms = assessed.filter((r) => r && !r.error && !r.skipped && r.isLikelyGymPage);
+  const rowsByUrl = new Map(candidates.map((u, i) => [u, assessed[i]]));
+  const coverage = buildCoverage(
+    gymUrls.map((url) => ({ url, slug: slugFromUrl(site, url), row: rowsByUrl.get(url), filteredOut: filteredOut.has(url) }))
+  );
+  const c = coverage.counts;
+  log(
+    `Coverage: ${c.included} included, ${c.excluded_slug} excluded by slug, ${c.excluded_filter} excluded by filters, ${c.not_gym_page} not gym pages, ${c.http_error} HTTP errors, ${c.exception} exceptions.`
+  );
   gyms.sort((a, b) => a.gymName.localeCompare(b.gymName));
 
-  if (GOOGLE_PLACES_API_KEY) {
-    console.log('Google API key detected. Enriching gyms with Google Places data...');
-    await runPool(
-      gyms,
-      async (gym) => {
-        const google = await fetchGoogleDataForGym(gym);
-        const normalized = normalizeGoogleAssessment(google);
-        gym.google = google;
-        gym.googleReview = normalized.reviewSummary;
-        gym.googleProfileAssessment = normalized.profileAssessment;
-        return gym;
-      },
-      GOOGLE_CONCURRENCY
+  const seoDuplicates = markDuplicateMetadata(gyms);
+  const copyReuse = { maxSimilarity: rules.clubDescription.maxSimilarity, groups: markCopySimilarity(gyms, rules) };
+  for (const gym of gyms) {
+    gym.clubDescription = assessCopy(gym.clubDescription.copy, rules);
+    gym.subScores.clubDescription = gym.clubDescription.score;
+  }
+  if (options.checkOgImages && !rules.disabledCriteria.includes('seo')) await checkOgImages(gyms, source);
+  const resourceRequests = options.measureResources && !rules.disabledCriteria.includes('performance') ? await measureRenderBlocking(gyms, source) : 0;
+  for (const gym of gyms) {
+    applySeoCriterion(gym, rules);
+    applyPerformanceCriterion(gym, rules);
+    refreshScores(gym, rules);
+  }
+
+  let linkCheck = { enabled: false };
+  if (options.checkLinks) {
+    log('Verifying join links and gym subpages...');
+    linkCheck = { enabled: true, ...(await checkGymLinks(gyms, source, rules)) };
+    log(`Link check: ${linkCheck.requests} unique URLs requested, ${linkCheck.cacheHits} cache hits.`);
+  }
+
+  let imageAnalysis = { enabled: false };
+  if (options.analyzeImages) {
+    log('Downloading and analysing gym images...');
+    imageAnalysis = { enabled: true, ...(await analyzeGymImages(gyms, source, rules)) };
+    log(
+      `Image analysis: ${imageAnalysis.requests} unique images requested, ${imageAnalysis.cacheHits} cache hits, ${imageAnalysis.duplicates.length} images shared across gyms.`
     );
+  }
+
+  if (options.capture) {
+    const manifest = source.finalize(urlList ? { site: site.key, sitemapUrl, urlList } : { site: site.key, sitemapUrl });
+    snapshot = { mode: 'capture', id: manifest.id, capturedAt: manifest.capturedAt };
+    log(`Snapshot saved: ${manifest.pages.length} pages in ${source.dir}`);
+  }
+
+  const places =
+    !options.skipGoogle && (GOOGLE_PLACES_API_KEY || options.placesUrl)
+      ? createPlacesCache(
+          createPlacesProvider({ apiKey: GOOGLE_PLACES_API_KEY, baseUrl: options.placesUrl || undefined, fetchJson: http.fetchJson }),
+          {
+            file: options.googleCacheFile || GOOGLE_CACHE_FILE,
+            ttlDays: rules.places.cache.ttlDays,
+            budget: options.googleBudget != null ? options.googleBudget : rules.places.cache.requestBudget,
+            refresh: options.refreshGoogle
+          }
+        )
+      : null;
+  if (options.skipGoogle) {
+    for (const gym of gyms) {
+      applyGoogleResult(gym, { status: 'skipped', message: 'Google data not requested: the Google phase was switched off with --skip google.' }, rules);
+    }
+  } else if (options.replay && !options.placesUrl) {
+    for (const gym of gyms) {
+      applyGoogleResult(gym, {
+        status: 'offline',
+        message: 'Google data unavailable: replaying a saved snapshot without network access.'
+      }, rules);
+    }
+  } else if (places) {
+    log(`Enriching gyms with Google Places data from ${places.baseUrl}...`);
+    await runPool(gyms, async (gym) => applyGoogleResult(gym, await lookupPlace(gym, places, rules), rules), GOOGLE_CONCURRENCY);
+    places.save();
+    const usage = places.usage();
+    log(`Google Places: ${usage.apiCalls} API calls, ${usage.cacheHits} cache hits${usage.budgetExhausted ? `, request budget of ${usage.budget} used up (${usage.staleFallbacks} stale fallbacks)` : ''}.`);
+    const lowConfidence = gyms.filter((g) => g.google.status === 'low_confidence').length;
+    if (lowConfidence) log(`${lowConfidence} gyms have only a low-confidence Google match; their Google data was not used.`);
   } else {
     for (const gym of gyms) {
-      const normalized = normalizeGoogleAssessment({
+      applyGoogleResult(gym, {
         status: 'not_configured',
-        message: 'Google data unavailable: set GOOGLE_PLACES_API_KEY to enable Places lookup.'
-      });
-      gym.google = { status: 'not_configured' };
-      gym.googleReview = normalized.reviewSummary;
-      gym.googleProfileAssessment = normalized.profileAssessment;
+        message: 'Google data unavailable: set GOOGLE_PLACES_API_KEY (or --places-url for a stand-in server) to enable Places lookup.'
+      }, rules);
     }
   }
 
+  for (const gym of gyms) {
+    const group = assignGroup(gym, regions);
+    gym.region = group.region;
+    gym.city = group.city;
+    gym.format = group.format;
+    gym.groupingEvidence = group.evidence;
+  }
+
+  const generatedAt = new Date().toISOString();
+  const tickets = trackTickets(
+    !options.previousSite || options.previousSite === site.key ? options.previousTickets : null,
+    buildTickets(gyms, rules, { labels: TICKET_LABELS, generatedAt }),
+    gyms,
+    generatedAt
+  );
+  log(
+    `Remediation tasks: ${tickets.counts.open} open (${tickets.counts.new} new), ${tickets.counts.resolved} resolved since the previous report, ${tickets.counts.stale} stale.`
+  );
+
   const report = {
-    generatedAt: new Date().toISOString(),
-    source: SITEMAP_URL,
+    generatedAt,
+    site: siteRef(site, profiles),
+    source: sitemapUrl || (options.urlsFile ? path.relative(ROOT, options.urlsFile) : options.urls ? 'URL list' : 'snapshot URL list'),
+    snapshot,
+    disabled: [...options.disabledCriteria, ...(options.skipGoogle ? ['google'] : [])],
+    rules: rules.source,
     candidateCount: candidates.length,
     includedCount: gyms.length,
+    coverage,
+    seoDuplicates,
+    copyReuse,
+    linkCheck,
+    imageAnalysis,
+    facilityMatrix: buildFacilityMatrix(gyms, rules),
+    rollups: buildRollups(gyms, regions, CRITERIA.map((c) => c.key)),
+    performance: { resourceRequests, worstOffenders: findWorstOffenders(gyms, rules) },
+    rendering,
+    google: {
+      provider: places ? places.baseUrl : null,
+      usage: places ? places.usage() : null,
+      minConfidence: rules.places.minConfidence,
+      lowConfidence: gyms
+        .filter((g) => g.google.status === 'low_confidence')
+        .map((g) => ({ slug: g.slug, gymName: g.gymName, placeId: g.google.placeId, ...g.google.match })),
+      reviewComplaints: summarizeReviewComplaints(gyms, rules)
+    },
+    http: options.replay && !places ? null : http.stats(),
     summary: {
       total: gyms.length,
-      coreFacilitiesPass: gyms.filter((g) => g.criteria.coreFacilities.pass).length,
-      imageryPass: gyms.filter((g) => g.criteria.imagery.pass).length,
+      ...Object.fromEntries(
+        CRITERIA.map((c) => [`${c.key}Pass`, gyms.filter((g) => g.criteria[c.key] && g.criteria[c.key].pass).length])
+      ),
       joinRouteMissing: gyms.filter((g) => !g.joinRoutePresent).length,
-      googlePopulated: gyms.filter((g) => g.google && g.google.status === 'ok').length
+      joinRouteBroken: gyms.filter((g) => g.linkCheck && g.linkCheck.joinRouteBroken).length,
+      averageScore: gyms.length ? Math.round(gyms.reduce((sum, g) => sum + g.score, 0) / gyms.length) : 0,
+      googlePopulated: gyms.filter((g) => g.google && g.google.status === 'ok').length,
+      googleLowConfidence: gyms.filter((g) => g.google && g.google.status === 'low_confidence').length,
+      googleStale: gyms.filter((g) => g.google && g.google.stale).length,
+      napMismatches: gyms.filter((g) => g.napConsistency.status === 'mismatch').length,
+      clubDescriptionReused: gyms.filter((g) => g.clubDescription.tone === 'Boilerplate').length,
+      reviewComplaintsNotOnPage: gyms.filter((g) => g.reviewAnalysis && g.reviewAnalysis.complaints.some((c) => !c.addressedOnPage)).length,
+      openTickets: tickets.counts.open
     },
+    ticketCounts: tickets.counts,
+    tickets: tickets.tickets,
     gyms
   };
 
-  fs.writeFileSync(path.join(DATA_DIR, 'audit-report.json'), JSON.stringify(report, null, 2));
-
-  const csvHeader = [
-    'gymName',
-    'url',
-    'fixPriority',
-    'coreFacilities',
-    'imagery',
-    'joinRoute',
-    'coreFacilitiesEvidence',
-    'imageryEvidence',
-    'clubDescriptionTone',
-    'clubDescriptionAssessment',
-    'joinRouteEvidence',
-    'googleReview',
-    'googleProfileAssessment'
-  ].join(',');
-  const csvRows = gyms.map((g) => [
-    `"${g.gymName.replaceAll('"', '""')}"`,
-    `"${g.url}"`,
-    g.fixPriority,
-    g.criteria.coreFacilities.result,
-    g.criteria.imagery.result,
-    g.joinRoutePresent ? 'Present' : 'Missing',
-    `"${g.criteria.coreFacilities.evidence.replaceAll('"', '""')}"`,
-    `"${g.criteria.imagery.evidence.replaceAll('"', '""')}"`,
-    `"${g.clubDescription.tone.replaceAll('"', '""')}"`,
-    `"${g.clubDescription.text.replaceAll('"', '""')}"`,
-    `"${g.joinRouteEvidence.replaceAll('"', '""')}"`,
-    `"${(g.googleReview || '').replaceAll('"', '""')}"`,
-    `"${(g.googleProfileAssessment || '').replaceAll('"', '""')}"`
-  ].join(','));
-  fs.writeFileSync(path.join(DATA_DIR, 'audit-report.csv'), [csvHeader, ...csvRows].join('\n'));
-
-  const html = generateHtml(report);
-  fs.writeFileSync(path.join(OUT_DIR, 'index.html'), html);
-
-  console.log(`Included gym pages: ${gyms.length}`);
-  console.log(`Report written to: ${path.join(OUT_DIR, 'index.html')}`);
-}
-
-main().catch((err) => {
-  console.error(err);
-  process.exit(1);
-});
+  return { report, http };
+}
+
+async function runAudit(options) {
+  const reportPath = path.join(options.dataDir, 'audit-report.json');
+  const previous = fs.existsSync(reportPath) ? readReport(reportPath) : null;
+  const previousSite = previous && previous.site ? previous.site.key : null;
+  const { report, http } = await buildAuditReport({ ...options, previousTickets: previous && previous.tickets, previousSite, log: console.log });
+
+  if (previousSite && previousSite !== report.site.key) {
+    console.log(`The previous report in ${options.dataDir} is for ${previous.site.name}; not comparing it with ${report.site.name}.`);
+  } else if (previous) {
+    report.changes = compareReports(previous, report);
+    fs.mkdirSync(options.dataDir, { recursive: true });
+    fs.writeFileSync(path.join(options.dataDir, 'audit-changes.json'), JSON.stringify(report.changes, null, 2));
+    console.log(`Changes since previous report: ${report.changes.counts.regressions} regressions, ${report.changes.counts.improvements} improvements.`);
+  }
+
+  writeReportFiles(report, options);
+
+  if (http.log.length) {
+    const logPath = path.join(LOGS_DIR, 'http-requests.jsonl');
+    http.writeLog(logPath);
+    console.log(`HTTP log written to: ${logPath} (${report.http.requests} requests, ${report.http.retries} retries, ${report.http.failures} failures)`);
+  }
+
+  console.log(`Included gym pages: ${report.gyms.length}`);
+  console.log(`Report written to: ${path.join(options.outDir, 'index.html')}`);
+  return reportGateFailures(checkGates(options.gates, report));
+}
+
+function libraryOptions(options) {
+  const skippable = [...SCORED_CRITERIA, 'google'];
+  const skip = options.skip || [];
+  const unknown = skip.filter((s) => !skippable.includes(s));
+  if (unknown.length) throw new Error(`skip does not know ${unknown.join(', ')}. Choose from: ${skippable.join(', ')}.`);
+  const toRegExp = (pattern) => (pattern instanceof RegExp ? pattern : globToRegExp(pattern));
+  return {
+    ...options,
+    http: { ...HTTP_DEFAULTS, ...options.http },
+    concurrency: options.concurrency || CONCURRENCY,
+    include: (options.include || []).map(toRegExp),
+    exclude: (options.exclude || []).map(toRegExp),
+    disabledCriteria: skip.filter((s) => s !== 'google'),
+    skipGoogle: skip.includes('google'),
+    render: Boolean(options.render),
+    placesUrl: options.placesUrl || GOOGLE_PLACES_BASE_URL || null
+  };
+}
+
+function auditPage(html, url, options = {}) {
+  const { rules, disabledCriteria } = libraryOptions(options);
+  const { site } = resolveSite(options.sites, options.site);
+  return assessPage(url, html, applySiteRules({ ...resolveRules(rules), disabledCriteria }, site), options.rendered || null);
+}
+
+async function auditSitemap(sitemapUrl, options = {}) {
+  const { report } = await buildAuditReport({ ...libraryOptions(options), sitemapUrl });
+  return report;
+}
+
+const COMMAND_RUNNERS = { audit: runAudit, page: runPage, report: runReport, diff: runDiff, benchmark: runBenchmark };
+
+async function main() {
+  const { command, options } = parseCommandLine(process.argv.slice(2), {
+    root: ROOT,
+    outDir: OUT_DIR,
+    dataDir: DATA_DIR,
+    rulesPath: DEFAULT_RULES_PATH,
+    regionsPath: DEFAULT_REGIONS_PATH,
+    sitesPath: DEFAULT_SITES_PATH,
+    http: HTTP_DEFAULTS,
+    concurrency: CONCURRENCY,
+    placesUrl: GOOGLE_PLACES_BASE_URL,
+    criteria: SCORED_CRITERIA
+  });
+  if (command === 'help') {
+    console.log(USAGE);
+    return EXIT_CODES.ok;
+  }
+  return COMMAND_RUNNERS[command](options);
+}
+
+if (require.main === module) {
+  main().then(
+    (code) => {
+      process.exitCode = code;
+    },
+    (err) => {
+      console.error(err.code === 'USAGE' ? `Error: ${err.message}` : err);
+      process.exitCode = err.code === 'USAGE' ? EXIT_CODES.usage : EXIT_CODES.error;
+    }
+  );
+}
+
+module.exports = {
+  CRITERIA,
+  SCORED_CRITERIA,
+  auditPage,
+  auditSitemap,
+  assessPage,
+  parseLocs,
+  normalizeGoogleAssessment,
+  applyGoogleResult,
+  generateHtml,
+  generateGymPage,
+  generateCsv,
+  benchmarkReports,
+  generateBenchmarkHtml
+};
@@ -0,0 +1,121 @@
+const {
+  CRITERIA,
+  SCORED_CRITERIA,
+  auditPage,
+  auditSitemap,
+  assessPage,
+  parseLocs,
+  normalizeGoogleAssessment,
+  applyGoogleResult,
+  generateHtml,
+  generateGymPage,
+  generateCsv,
+  benchmarkReports,
+  generateBenchmarkHtml
+} = require('./audit');
+const { DEFAULT_RULES_PATH, loadRules } = require('./lib/rules');
+const { DEFAULT_REGIONS_PATH, loadRegions, assignGroup } = require('./lib/regions');
+const { DEFAULT_SITES_PATH, loadSites } = require('./lib/sites');
+const { compareReports } = require('./lib/compare');
+const { markCopySimilarity } = require('./lib/copy');
+const { trackTickets, generateTicketsCsv, generateGymTicketsMarkdown } = require('./lib/tickets');
+const { createHttpClient } = require('./lib/http-client');
+const { loadSnapshot } = require('./lib/snapshot');
+
+module.exports = {
+  CRITERIA,
+  SCORED_CRITERIA,
+  DEFAULT_RULES_PATH,
+  DEFAULT_REGIONS_PATH,
+  DEFAULT_SITES_PATH,
+
+  /**
+   * Scores one gym landing page from its HTML without any network access.
+   * @param {string} html Page HTML.
+   * @param {string} url Page URL, used for the slug and to resolve relative links.
+   * @param {{rules?: string|object, sites?: string|object, site?: string, skip?: string[], rendered?: object}} [options]
+   * @returns {object} The gym row: score, fixPriority, criteria, subScores and evidence.
+   */
+  auditPage,
+
+  /**
+   * Crawls a sitemap (or a URL list or replayed snapshot) and builds the full report object.
+   * Nothing is written to disk; pass the result to generateHtml or generateCsv.
+   * @param {string} [sitemapUrl] Defaults to the site profile's sitemap.
+   * @param {object} [options] rules, regions, sites, site, urls, include, exclude, skip, concurrency, http, replay,
+   *   capture, snapshotDir, checkLinks, analyzeImages, render, chromePath, placesUrl,
+   *   refreshGoogle, googleBudget, googleCacheFile, previousTickets and log.
+   * @returns {Promise<object>} The report, as written to data/audit-report.json by the CLI.
+   */
+  auditSitemap,
+
+  /** Lower-level form of auditPage: assessPage(url, html, rules, rendered). */
+  assessPage,
+
+  /** Returns the <loc> URLs in a sitemap document, entity-decoded. */
+  parseLocs,
+
+  /** Turns a Places lookup result into { reviewSummary, profileAssessment } text. */
+  normalizeGoogleAssessment,
+
+  /** Applies a Places lookup result to a gym row (reviews, NAP consistency, profile evidence). */
+  applyGoogleResult,
+
+  /** Renders a report object as the standalone HTML page. */
+  generateHtml,
+
+  /** Renders one gym's detail page; the CLI saves these as docs/gyms/{slug}.html. */
+  generateGymPage,
+
+  /** Renders a report object as CSV, one row per gym. */
+  generateCsv,
+
+  /**
+   * Compares the club description intros of several gym rows and records each one's closest match.
+   * Returns the groups of gyms whose intros are above rules.clubDescription.maxSimilarity.
+   * auditSitemap already does this and rescores the club descriptions.
+   */
+  markCopySimilarity,
+
+  /**
+   * Compares reports from different sites (for example Nuffield Health and a rival chain) side by side:
+   * pass rates, average and median scores and the share of High priority pages. The first report is the baseline.
+   */
+  benchmarkReports,
+
+  /** Renders a benchmarkReports result as a standalone HTML page; the CLI saves it as docs/benchmark.html. */
+  generateBenchmarkHtml,
+
+  /** Compares two report objects and lists regressions and improvements per gym. */
+  compareReports,
+
+  /**
+   * Marks remediation tasks new, still open or resolved against an earlier report's tickets.
+   * auditSitemap already does this when given options.previousTickets.
+   */
+  trackTickets,
+
+  /** Renders remediation tasks as an issue-import CSV (Summary, Description, Priority, ...). */
+  generateTicketsCsv,
+
+  /** Renders one gym's remediation tasks as Markdown; the CLI saves these as data/tickets/{slug}.md. */
+  generateGymTicketsMarkdown,
+
+  /** Loads and validates a JSON or YAML rules file. */
+  loadRules,
+
+  /** Loads and validates a JSON or YAML file of site profiles (sitemap, gym URL pattern, exclusions, join signals). */
+  loadSites,
+
+  /** Loads and validates a JSON or YAML region, city and club format mapping. */
+  loadRegions,
+
+  /** Assigns a gym row its { region, city, format, evidence } from a loaded mapping. */
+  assignGroup,
+
+  /** Loads a captured snapshot directory as a fetch source for replay. */
+  loadSnapshot,
+
+  /** Creates the rate-limited, robots-aware HTTP client used by the crawler. */
+  createHttpClient
+};
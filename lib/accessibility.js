@@ -0,0 +1,178 @@
+const MAX_SELECTORS = 5;
+
+const LANDMARK_ROLES = { main: 'main', nav: 'navigation', header: 'banner', footer: 'contentinfo' };
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+  yellow: [255, 255, 0],
+  grey: [128, 128, 128],
+  gray: [128, 128, 128],
+  silver: [192, 192, 192],
+  lightgrey: [211, 211, 211],
+  lightgray: [211, 211, 211],
+  orange: [255, 165, 0]
+};
+
+function cssPath($, el) {
+  const parts = [];
+  let node = el;
+  while (node && node.type === 'tag' && node.name !== 'html') {
+    const id = $(node).attr('id');
+    if (id && /^[A-Za-z][\w-]*$/.test(id)) {
+      parts.unshift(`${node.name}#${id}`);
+      break;
+    }
+    const siblings = node.parent ? node.parent.children.filter((c) => c.type === 'tag' && c.name === node.name) : [];
+    parts.unshift(siblings.length > 1 ? `${node.name}:nth-of-type(${siblings.indexOf(node) + 1})` : node.name);
+    node = node.parent;
+  }
+  return parts.join(' > ');
+}
+
+function textOf($, el) {
+  return ($(el).text() || '').replace(/\s+/g, ' ').trim();
+}
+
+function hasAriaName($, el) {
+  const node = $(el);
+  return Boolean((node.attr('aria-label') || '').trim() || (node.attr('aria-labelledby') || '').trim() || (node.attr('title') || '').trim());
+}
+
+function parseColor(value) {
+  const v = String(value).trim().toLowerCase();
+  if (NAMED_COLORS[v]) return NAMED_COLORS[v];
+  let m = v.match(/^#([0-9a-f]{3})$/);
+  if (m) return m[1].split('').map((c) => parseInt(c + c, 16));
+  m = v.match(/^#([0-9a-f]{6})$/);
+  if (m) return [0, 2, 4].map((i) => parseInt(m[1].slice(i, i + 2), 16));
+  m = v.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+  if (m) return [Number(m[1]), Number(m[2]), Number(m[3])];
+  return null;
+}
+
+function relativeLuminance([r, g, b]) {
+  const channel = (c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+function contrastRatio(a, b) {
+  const [hi, lo] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+function inlineColors(style) {
+  const decls = {};
+  for (const part of style.split(';')) {
+    const idx = part.indexOf(':');
+    if (idx === -1) continue;
+    decls[part.slice(0, idx).trim().toLowerCase()] = part.slice(idx + 1).trim();
+  }
+  const fg = decls.color ? parseColor(decls.color) : null;
+  const bg = parseColor(decls['background-color'] || decls.background || '');
+  return fg && bg ? { fg, bg } : null;
+}
+
+function collect($, elements, predicate) {
+  const matched = elements.filter((el) => predicate(el));
+  return { count: matched.length, selectors: matched.slice(0, MAX_SELECTORS).map((el) => cssPath($, el)) };
+}
+
+function assessAccessibility($, rules) {
+  const config = rules.accessibility;
+  const findings = [];
+  const add = (key, result, [one, many]) => {
+    if (result.count) findings.push({ key, count: result.count, selectors: result.selectors, message: `${result.count} ${result.count === 1 ? one : many}` });
+  };
+
+  const images = $('img').toArray();
+  add(
+    'missingAlt',
+    collect($, images, (el) => {
+      const node = $(el);
+      const hay = `${node.attr('src') || ''} ${node.attr('srcset') || ''} ${node.attr('class') || ''}`.toLowerCase();
+      const meaningful = !rules.imagery.ignoreRe.test(hay) && (node.attr('src') || node.attr('srcset'));
+      return meaningful && node.attr('alt') == null && node.attr('role') !== 'presentation';
+    }),
+    ['meaningful image has no alt text', 'meaningful images have no alt text']
+  );
+
+  const anchors = $('a[href]').toArray();
+  add(
+    'genericLinkText',
+    collect($, anchors, (el) => config.genericLinkText.includes(textOf($, el).toLowerCase()) && !hasAriaName($, el)),
+    ['link has generic text such as "read more"', 'links have generic text such as "read more"']
+  );
+  add(
+    'unnamedLink',
+    collect($, anchors, (el) => !textOf($, el) && !hasAriaName($, el) && !$(el).find('img[alt]').toArray().some((img) => ($(img).attr('alt') || '').trim())),
+    ['link has no accessible name', 'links have no accessible name']
+  );
+
+  add(
+    'unnamedButton',
+    collect($, $('button, [role="button"], input[type="submit"], input[type="button"]').toArray(), (el) => {
+      const node = $(el);
+      if (el.name === 'input') return !(node.attr('value') || '').trim() && !hasAriaName($, el);
+      return !textOf($, el) && !hasAriaName($, el) && !node.find('img[alt]').toArray().some((img) => ($(img).attr('alt') || '').trim());
+    }),
+    ['button has no accessible name', 'buttons have no accessible name']
+  );
+
+  if (!($('html').attr('lang') || '').trim()) {
+    findings.push({ key: 'missingLang', count: 1, selectors: ['html'], message: 'The html element has no lang attribute' });
+  }
+
+  const missingLandmarks = config.landmarks.filter((landmark) => !$(`${landmark}, [role="${LANDMARK_ROLES[landmark] || landmark}"]`).length);
+  if (missingLandmarks.length) {
+    findings.push({
+      key: 'missingLandmarks',
+      count: missingLandmarks.length,
+      selectors: [],
+      message: `${missingLandmarks.length} ${missingLandmarks.length === 1 ? 'landmark is' : 'landmarks are'} missing (${missingLandmarks.join(', ')})`
+    });
+  }
+
+  const fields = $('input, select, textarea')
+    .toArray()
+    .filter((el) => !['hidden', 'submit', 'button', 'image', 'reset'].includes(($(el).attr('type') || '').toLowerCase()));
+  add(
+    'unlabelledInput',
+    collect($, fields, (el) => {
+      const id = $(el).attr('id');
+      const labelled = (id && $('label').toArray().some((label) => $(label).attr('for') === id)) || $(el).closest('label').length;
+      return !labelled && !hasAriaName($, el);
+    }),
+    ['form field has no label', 'form fields have no label']
+  );
+
+  add(
+    'lowContrast',
+    collect($, $('[style]').toArray(), (el) => {
+      const colors = inlineColors($(el).attr('style') || '');
+      return colors && contrastRatio(colors.fg, colors.bg) < config.minContrastRatio;
+    }),
+    [`inline style has text contrast below ${config.minContrastRatio}:1`, `inline styles have text contrast below ${config.minContrastRatio}:1`]
+  );
+
+  const penalties = config.penalties;
+  const score = Math.max(0, 100 - findings.reduce((sum, f) => sum + (penalties[f.key] || 0), 0));
+  return { score, findings };
+}
+
+function buildAccessibilityEvidence(findings, pass) {
+  if (!findings.length) {
+    return 'No static accessibility issues found.';
+  }
+  const list = findings.map((f) => `${f.message}${f.selectors.length ? ` (e.g. ${f.selectors[0]})` : ''}`);
+  const lead = pass ? 'Accessibility is mostly in place.' : 'Accessibility needs improvement.';
+  return `${lead} Findings: ${list.join('; ')}.`;
+}
+
+module.exports = { assessAccessibility, buildAccessibilityEvidence };
@@ -0,0 +1,92 @@
+const { rollupRows } = require('./regions');
+
+function csvText(value) {
+  return `"${String(value == null ? '' : value).replaceAll('"', '""')}"`;
+}
+
+function average(values) {
+  return values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+function siteSummary(report, index, criteriaKeys) {
+  const site = report.site || { key: `report-${index + 1}`, name: report.source || `Report ${index + 1}` };
+  const gyms = report.gyms || [];
+  const [row] = rollupRows(gyms, () => site.key, criteriaKeys);
+  return {
+    key: site.key,
+    name: site.name,
+    source: report.source || null,
+    generatedAt: report.generatedAt || null,
+    snapshot: report.snapshot || null,
+    rules: report.rules ? { version: report.rules.version, sha256: report.rules.sha256 } : null,
+    disabled: report.disabled || [],
+    gyms: gyms.length,
+    averageScore: row ? row.averageScore : null,
+    medianScore: median(gyms.map((g) => g.score)),
+    highPriority: row ? row.highPriority : 0,
+    highPriorityRate: row ? Math.round((row.highPriority / gyms.length) * 100) : null,
+    passRates: row ? row.passRates : Object.fromEntries([...criteriaKeys, 'joinRoute'].map((key) => [key, null])),
+    clubDescriptionScore: average(gyms.map((g) => g.subScores && g.subScores.clubDescription).filter((v) => typeof v === 'number'))
+  };
+}
+
+function leadersBy(sites, value) {
+  const scored = sites.filter((s) => value(s) != null);
+  if (!scored.length) return [];
+  const best = Math.max(...scored.map(value));
+  return scored.filter((s) => value(s) === best).map((s) => s.key);
+}
+
+function buildBenchmark(reports, criteriaKeys) {
+  const sites = reports.map((report, i) => siteSummary(report, i, criteriaKeys));
+  const metrics = [...criteriaKeys, 'joinRoute'];
+
+  const leaders = {
+    averageScore: leadersBy(sites, (s) => s.averageScore),
+    clubDescriptionScore: leadersBy(sites, (s) => s.clubDescriptionScore),
+    ...Object.fromEntries(metrics.map((key) => [key, leadersBy(sites, (s) => s.passRates[key])]))
+  };
+
+  const warnings = [];
+  const keys = sites.map((s) => s.key);
+  const repeated = keys.filter((key, i) => keys.indexOf(key) !== i);
+  if (repeated.length) warnings.push(`More than one report is for ${[...new Set(repeated)].join(', ')}.`);
+  if (new Set(sites.map((s) => (s.rules ? s.rules.sha256 : null))).size > 1) {
+    warnings.push('The reports were scored with different rules files, so pass rates are not strictly comparable.');
+  }
+  for (const s of sites) {
+    if (!s.gyms) warnings.push(`${s.name} has no gym pages in its report.`);
+    if (s.disabled.length) warnings.push(`${s.name} was audited with ${s.disabled.join(', ')} switched off.`);
+  }
+
+  return { generatedAt: new Date().toISOString(), baseline: sites.length ? sites[0].key : null, metrics, sites, leaders, warnings };
+}
+
+function generateBenchmarkCsv(benchmark) {
+  const columns = [
+    ['site', (s) => csvText(s.key)],
+    ['name', (s) => csvText(s.name)],
+    ['gyms', (s) => s.gyms],
+    ['averageScore', (s) => (s.averageScore == null ? '' : s.averageScore)],
+    ['medianScore', (s) => (s.medianScore == null ? '' : s.medianScore)],
+    ['highPriority', (s) => s.highPriority],
+    ['highPriorityRate', (s) => (s.highPriorityRate == null ? '' : s.highPriorityRate)],
+    ...benchmark.metrics.map((key) => [`${key}PassRate`, (s) => (s.passRates[key] == null ? '' : s.passRates[key])]),
+    ['clubDescriptionScore', (s) => (s.clubDescriptionScore == null ? '' : s.clubDescriptionScore)],
+    ['generatedAt', (s) => csvText(s.generatedAt)],
+    ['rulesVersion', (s) => csvText(s.rules ? s.rules.version : '')],
+    ['source', (s) => csvText(s.source)]
+  ];
+  const header = columns.map(([name]) => name).join(',');
+  const rows = benchmark.sites.map((s) => columns.map(([, get]) => get(s)).join(','));
+  return [header, ...rows].join('\n');
+}
+
+module.exports = { buildBenchmark, generateBenchmarkCsv };
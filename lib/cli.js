@@ -0,0 +1,280 @@
+const path = require('path');
+const { parseArgs } = require('util');
+
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  gateFailed: 3
+};
+
+const COMMANDS = ['audit', 'page', 'report', 'diff', 'benchmark'];
+
+const USAGE = `Usage: node audit.js [command] [options]
+
+Commands:
+  audit                     Crawl the gym pages and write the report (default)
+  page <url|file>           Score a single page and print the result
+  report [report.json]      Rebuild the HTML, CSVs and task exports from a JSON report
+  diff <previous> <current> Compare two JSON reports
+  benchmark [reports...]    Compare pass rates and scores across sites side by side
+
+Audit options:
+  --site <name>             Site profile to audit (default nuffield); reports go to data/sites/<name> and docs/sites/<name>
+  --sites <file>            Site profiles (JSON or YAML, default config/sites.json)
+  --sitemap <url>           Sitemap to read gym URLs from (default the site profile's)
+  --urls <file>             Audit the URLs (or slugs) listed in a file instead of the sitemap
+  --include <glob>          Only audit slugs matching the glob (repeatable)
+  --exclude <glob>          Skip slugs matching the glob (repeatable)
+  --concurrency <n>         Pages fetched in parallel
+  --skip <list>             Comma-separated criteria and phases to switch off, e.g. performance,google
+  --out-dir <dir>           Directory for index.html (default docs)
+  --data-dir <dir>          Directory for the JSON and CSV reports (default data)
+  --capture | --replay <dir> | --snapshot-dir <dir>
+  --check-links | --analyze-images | --render | --chrome-path <path>
+  --measure-resources       Send a HEAD request for each render-blocking script and stylesheet to total their size
+  --check-og-images         Send a HEAD request for each gym's og:image to check that it loads
+  --no-sandbox              Start Chrome without its sandbox (only for root or container runs; or set CHROME_NO_SANDBOX=1)
+  --places-url <url> | --refresh-google | --google-budget <n>
+  --timeout <s> | --retries <n> | --max-rps <n> | --ignore-robots
+  --rules <file>            Scoring rules file (JSON or YAML)
+  --regions <file>          Region, city and club format mapping (JSON or YAML, default config/regions.json)
+
+Page options:
+  --url <url>               URL to assess a local HTML file as (default derived from the file name)
+  --site <name> | --sites <file>
+  --json                    Print the full JSON result
+  --min-score <n>           Exit with code 3 if the page scores below n
+
+Report options:
+  --out-dir <dir> | --data-dir <dir>
+
+Diff options:
+  --out <file>              Write the comparison to a file instead of stdout
+
+Benchmark options (default reports: data/audit-report.json and data/sites/*/audit-report.json):
+  --out-dir <dir>           Directory for benchmark.html (default docs)
+  --data-dir <dir>          Directory for benchmark.json and benchmark.csv, and to find reports in (default data)
+
+Quality gates (audit, and --max-regressions for diff):
+  --max-high <n>            Exit with code 3 if more than n gyms are High priority
+  --min-average <n>         Exit with code 3 if the average score is below n
+  --max-regressions <n>     Exit with code 3 if more than n regressions since the previous report
+
+Exit codes: 0 success, 1 unexpected error, 2 invalid usage or input, 3 quality gate failed.`;
+
+const HTTP_OPTIONS = {
+  timeout: { type: 'string' },
+  retries: { type: 'string' },
+  'max-rps': { type: 'string' },
+  'ignore-robots': { type: 'boolean', default: false }
+};
+
+const COMMAND_OPTIONS = {
+  audit: {
+    ...HTTP_OPTIONS,
+    site: { type: 'string' },
+    sites: { type: 'string' },
+    sitemap: { type: 'string' },
+    urls: { type: 'string' },
+    include: { type: 'string', multiple: true },
+    exclude: { type: 'string', multiple: true },
+    concurrency: { type: 'string' },
+    skip: { type: 'string' },
+    'out-dir': { type: 'string' },
+    'data-dir': { type: 'string' },
+    capture: { type: 'boolean', default: false },
+    'snapshot-dir': { type: 'string' },
+    replay: { type: 'string' },
+    rules: { type: 'string' },
+    regions: { type: 'string' },
+    'check-links': { type: 'boolean', default: false },
+    'measure-resources': { type: 'boolean', default: false },
+    'check-og-images': { type: 'boolean', default: false },
+    'analyze-images': { type: 'boolean', default: false },
+    render: { type: 'boolean', default: false },
+    'chrome-path': { type: 'string' },
+    'no-sandbox': { type: 'boolean', default: false },
+    'places-url': { type: 'string' },
+    'refresh-google': { type: 'boolean', default: false },
+    'google-budget': { type: 'string' },
+    'max-high': { type: 'string' },
+    'min-average': { type: 'string' },
+    'max-regressions': { type: 'string' }
+  },
+  page: {
+    ...HTTP_OPTIONS,
+    url: { type: 'string' },
+    site: { type: 'string' },
+    sites: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    rules: { type: 'string' },
+    'min-score': { type: 'string' }
+  },
+  report: {
+    'out-dir': { type: 'string' },
+    'data-dir': { type: 'string' }
+  },
+  diff: {
+    out: { type: 'string' },
+    'max-regressions': { type: 'string' }
+  },
+  benchmark: {
+    'out-dir': { type: 'string' },
+    'data-dir': { type: 'string' }
+  }
+};
+
+function usageError(message) {
+  const err = new Error(message);
+  err.code = 'USAGE';
+  return err;
+}
+
+function globToRegExp(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function parseCommandLine(argv, defaults) {
+  if (argv.includes('--help') || argv.includes('-h')) return { command: 'help', options: {} };
+
+  let command = COMMANDS.includes(argv[0]) ? argv[0] : 'audit';
+  const args = command === argv[0] ? argv.slice(1) : argv;
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: COMMAND_OPTIONS[command], allowPositionals: true });
+  } catch (err) {
+    throw usageError(`${err.message}\nRun with --help to see the options for "${command}".`);
+  }
+  const { values, positionals } = parsed;
+  const resolve = (p) => path.resolve(defaults.root, p);
+
+  const number = (name, fallback = null) => {
+    if (values[name] == null) return fallback;
+    const n = Number(values[name]);
+    if (!Number.isFinite(n) || n < 0) throw usageError(`--${name} must be a non-negative number.`);
+    return n;
+  };
+  const http = {
+    timeoutMs: number('timeout', defaults.http.timeoutMs / 1000) * 1000,
+    retries: Math.floor(number('retries', defaults.http.retries)),
+    maxRequestsPerSecondPerHost: number('max-rps', defaults.http.maxRequestsPerSecondPerHost),
+    respectRobots: !values['ignore-robots']
+  };
+  const gates = {
+    maxHigh: number('max-high'),
+    minAverage: number('min-average'),
+    maxRegressions: number('max-regressions')
+  };
+
+  if (command === 'audit' && positionals.length) {
+    throw usageError(`Unknown command "${positionals[0]}". Commands: ${COMMANDS.join(', ')}.`);
+  }
+
+  if (command === 'diff') {
+    if (positionals.length !== 2) throw usageError('diff needs two report files: <previous.json> <current.json>.');
+    return { command, options: { files: positionals.map(resolve), out: values.out ? resolve(values.out) : null, gates } };
+  }
+
+  if (command === 'report') {
+    if (positionals.length > 1) throw usageError('report takes at most one report file.');
+    return {
+      command,
+      options: {
+        file: positionals.length ? resolve(positionals[0]) : path.join(defaults.dataDir, 'audit-report.json'),
+        outDir: values['out-dir'] ? resolve(values['out-dir']) : defaults.outDir,
+        dataDir: values['data-dir'] ? resolve(values['data-dir']) : defaults.dataDir
+      }
+    };
+  }
+
+  if (command === 'benchmark') {
+    return {
+      command,
+      options: {
+        files: positionals.map(resolve),
+        outDir: values['out-dir'] ? resolve(values['out-dir']) : defaults.outDir,
+        dataDir: values['data-dir'] ? resolve(values['data-dir']) : defaults.dataDir
+      }
+    };
+  }
+
+  const rules = values.rules ? resolve(values.rules) : defaults.rulesPath;
+  const sites = values.sites ? resolve(values.sites) : defaults.sitesPath;
+  if (values.site != null && !/^[a-z0-9-]+$/.test(values.site)) throw usageError('--site must be a site profile name such as nuffield.');
+
+  if (command === 'page') {
+    if (positionals.length !== 1) throw usageError('page needs one URL or HTML file.');
+    return {
+      command,
+      options: { target: positionals[0], url: values.url || null, json: values.json, minScore: number('min-score'), rules, sites, site: values.site || null, http }
+    };
+  }
+
+  if (values.capture && values.replay) throw usageError('--capture and --replay cannot be used together.');
+  if (values.sitemap && values.urls) throw usageError('--sitemap and --urls cannot be used together.');
+
+  const skip = (values.skip || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const skippable = [...defaults.criteria, 'google'];
+  const unknown = skip.filter((s) => !skippable.includes(s));
+  if (unknown.length) throw usageError(`--skip does not know ${unknown.join(', ')}. Choose from: ${skippable.join(', ')}.`);
+
+  const concurrency = Math.floor(number('concurrency', defaults.concurrency));
+  if (concurrency < 1) throw usageError('--concurrency must be at least 1.');
+
+  return {
+    command,
+    options: {
+      http,
+      gates,
+      rules,
+      regions: values.regions ? resolve(values.regions) : defaults.regionsPath,
+      sites,
+      site: values.site || null,
+      sitemapUrl: values.sitemap || null,
+      urlsFile: values.urls ? resolve(values.urls) : null,
+      include: (values.include || []).map(globToRegExp),
+      exclude: (values.exclude || []).map(globToRegExp),
+      concurrency,
+      disabledCriteria: skip.filter((s) => s !== 'google'),
+      skipGoogle: skip.includes('google'),
+      outDir: values['out-dir'] ? resolve(values['out-dir']) : values.site ? path.join(defaults.outDir, 'sites', values.site) : defaults.outDir,
+      dataDir: values['data-dir'] ? resolve(values['data-dir']) : values.site ? path.join(defaults.dataDir, 'sites', values.site) : defaults.dataDir,
+      checkLinks: values['check-links'],
+      measureResources: values['measure-resources'],
+      checkOgImages: values['check-og-images'],
+      analyzeImages: values['analyze-images'],
+      render: values.render,
+      chromePath: values['chrome-path'] || null,
+      noSandbox: values['no-sandbox'],
+      placesUrl: values['places-url'] || defaults.placesUrl || null,
+      refreshGoogle: values['refresh-google'],
+      googleBudget: values['google-budget'] != null ? Math.floor(number('google-budget')) : null,
+      capture: values.capture,
+      snapshotDir: values['snapshot-dir'] ? resolve(values['snapshot-dir']) : null,
+      replay: values.replay ? resolve(values.replay) : null
+    }
+  };
+}
+
+function checkGates(gates, report) {
+  const failures = [];
+  if (gates.maxHigh != null) {
+    const high = report.gyms.filter((g) => g.fixPriority === 'High').length;
+    if (high > gates.maxHigh) failures.push(`${high} gyms are High priority (maximum ${gates.maxHigh})`);
+  }
+  if (gates.minAverage != null && report.summary.averageScore < gates.minAverage) {
+    failures.push(`average score ${report.summary.averageScore} is below ${gates.minAverage}`);
+  }
+  if (gates.maxRegressions != null && report.changes && report.changes.counts.regressions > gates.maxRegressions) {
+    failures.push(`${report.changes.counts.regressions} regressions since the previous report (maximum ${gates.maxRegressions})`);
+  }
+  return failures;
+}
+
+module.exports = { EXIT_CODES, COMMANDS, USAGE, parseCommandLine, globToRegExp, checkGates };
@@ -0,0 +1,133 @@
+const PRIORITY_RANK = { Low: 1, Medium: 2, High: 3 };
+
+function unique(arr) {
+  return [...new Set(arr)];
+}
+
+function gymRef(g) {
+  return { slug: g.slug, gymName: g.gymName, url: g.url };
+}
+
+function reportRef(report) {
+  return {
+    generatedAt: report.generatedAt || null,
+    total: (report.gyms || []).length,
+    rulesVersion: report.rules ? report.rules.version : null
+  };
+}
+
+function indexBySlug(report) {
+  const map = new Map();
+  for (const g of report.gyms || []) {
+    if (g.slug) map.set(g.slug, g);
+  }
+  return map;
+}
+
+function gymResults(g) {
+  const results = {};
+  for (const [key, c] of Object.entries(g.criteria || {})) {
+    results[key] = c.result;
+  }
+  if (typeof g.joinRoutePresent === 'boolean') {
+    results.joinRoute = g.joinRoutePresent ? 'Pass' : 'Fail';
+  }
+  return results;
+}
+
+function compareSummary(before, after) {
+  const keys = unique([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const summary = {};
+  for (const key of keys) {
+    const b = before && typeof before[key] === 'number' ? before[key] : null;
+    const a = after && typeof after[key] === 'number' ? after[key] : null;
+    summary[key] = { before: b, after: a, delta: b != null && a != null ? a - b : null };
+  }
+  return summary;
+}
+
+function compareReports(before, after) {
+  const beforeGyms = indexBySlug(before);
+  const afterGyms = indexBySlug(after);
+
+  const added = [];
+  const removed = [];
+  const criteria = [];
+  const fixPriority = [];
+  const scores = [];
+
+  for (const [slug, g] of afterGyms) {
+    if (!beforeGyms.has(slug)) added.push(gymRef(g));
+  }
+
+  for (const [slug, prev] of beforeGyms) {
+    const next = afterGyms.get(slug);
+    if (!next) {
+      removed.push(gymRef(prev));
+      continue;
+    }
+
+    const prevResults = gymResults(prev);
+    const nextResults = gymResults(next);
+    for (const key of Object.keys(nextResults)) {
+      const from = prevResults[key];
+      const to = nextResults[key];
+      if (!from || from === to) continue;
+      criteria.push({
+        ...gymRef(next),
+        criterion: key,
+        from,
+        to,
+        direction: to === 'Fail' ? 'regressed' : 'improved'
+      });
+    }
+
+    if (typeof prev.score === 'number' && typeof next.score === 'number' && prev.score !== next.score) {
+      scores.push({
+        ...gymRef(next),
+        from: prev.score,
+        to: next.score,
+        delta: next.score - prev.score,
+        direction: next.score < prev.score ? 'regressed' : 'improved'
+      });
+    }
+
+    if (prev.fixPriority && next.fixPriority && prev.fixPriority !== next.fixPriority) {
+      fixPriority.push({
+        ...gymRef(next),
+        from: prev.fixPriority,
+        to: next.fixPriority,
+        direction: (PRIORITY_RANK[next.fixPriority] || 0) > (PRIORITY_RANK[prev.fixPriority] || 0) ? 'regressed' : 'improved'
+      });
+    }
+  }
+
+  const bySlug = (a, b) => a.slug.localeCompare(b.slug);
+  added.sort(bySlug);
+  removed.sort(bySlug);
+  criteria.sort((a, b) => bySlug(a, b) || a.criterion.localeCompare(b.criterion));
+  fixPriority.sort(bySlug);
+  scores.sort((a, b) => a.delta - b.delta || bySlug(a, b));
+
+  const changes = [...criteria, ...fixPriority];
+
+  return {
+    before: reportRef(before),
+    after: reportRef(after),
+    rulesChanged: Boolean(before.rules && after.rules && before.rules.sha256 !== after.rules.sha256),
+    counts: {
+      regressions: changes.filter((c) => c.direction === 'regressed').length,
+      improvements: changes.filter((c) => c.direction === 'improved').length,
+      added: added.length,
+      removed: removed.length
+    },
+    summary: compareSummary(before.summary, after.summary),
+    added,
+    removed,
+    criteria,
+    fixPriority,
+    scores
+  };
+}
+
+module.exports = { compareReports };
@@ -0,0 +1,244 @@
+const SHINGLE_SIZE = 3;
+const MIN_PARAGRAPH_WORDS = 6;
+const EXCLUDED_ANCESTORS = 'header, nav, footer, form, [class*="cookie"], [id*="cookie"]';
+
+function clean(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function words(text) {
+  return text.match(/[A-Za-z0-9À-ɏ]+(?:['’-][A-Za-z0-9À-ɏ]+)*/g) || [];
+}
+
+function sentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+(?=[A-Z0-9"“‘'(])/)
+    .map(clean)
+    .filter((s) => words(s).length);
+}
+
+function syllables(word) {
+  const w = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!w) return 1;
+  if (w.length <= 3) return 1;
+  const groups = w.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+function readingEase(wordList, sentenceCount) {
+  if (!wordList.length || !sentenceCount) return 0;
+  const syllableCount = wordList.reduce((sum, w) => sum + syllables(w), 0);
+  const score = 206.835 - 1.015 * (wordList.length / sentenceCount) - 84.6 * (syllableCount / wordList.length);
+  return Math.round(Math.max(0, Math.min(100, score)));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function termRe(term) {
+  return new RegExp(`\\b${escapeRegExp(term.toLowerCase())}\\b`);
+}
+
+function extractIntro($, { h1, metaDescription }, rules) {
+  const { introMaxWords } = rules.clubDescription;
+  const scope = $('main p').length ? $('main p') : $('p');
+  const paragraphs = scope
+    .toArray()
+    .filter((el) => !$(el).closest(EXCLUDED_ANCESTORS).length)
+    .map((el) => clean($(el).text()))
+    .filter((t) => words(t).length >= MIN_PARAGRAPH_WORDS);
+
+  const picked = [];
+  let count = 0;
+  for (const p of paragraphs) {
+    if (count >= introMaxWords) break;
+    picked.push(p);
+    count += words(p).length;
+  }
+  if (picked.length) return { text: picked.join(' '), source: 'page copy' };
+  if (metaDescription) return { text: metaDescription, source: 'meta description' };
+  return { text: h1 || '', source: 'H1' };
+}
+
+function analyzeCopy(intro, { towns, facilities }, rules) {
+  const config = rules.clubDescription;
+  const lower = intro.text.toLowerCase();
+  const wordList = words(intro.text);
+  const sentenceList = sentences(intro.text);
+  const townNames = [...new Set(towns.filter(Boolean))];
+
+  const town = townNames.find((t) => termRe(t).test(lower)) || '';
+  const landmarks = config.landmarkTerms.filter((t) => termRe(t).test(lower));
+  const facilitiesMentioned = facilities.filter((f) => f.re.test(lower)).map((f) => f.label);
+  const facilitiesMissing = facilities.filter((f) => !f.re.test(lower)).map((f) => f.label);
+
+  return {
+    intro: intro.text,
+    source: intro.source,
+    words: wordList.length,
+    sentences: sentenceList.length,
+    readingEase: readingEase(wordList, sentenceList.length),
+    towns: townNames,
+    local: { town, landmarks, facilities: facilitiesMentioned, count: Number(Boolean(town)) + landmarks.length + facilitiesMentioned.length },
+    facilitiesMissing,
+    appealTerms: config.appealTerms.filter((t) => lower.includes(t)),
+    benefitTerms: config.benefitTerms.filter((t) => lower.includes(t)),
+    similarity: null,
+    weakSentence: weakestSentence(sentenceList, townNames, config)
+  };
+}
+
+function sentenceValue(sentence, towns, config) {
+  const lower = sentence.toLowerCase();
+  const hits = [...towns, ...config.landmarkTerms].filter((t) => termRe(t).test(lower)).length;
+  const language = [...config.appealTerms, ...config.benefitTerms].filter((t) => lower.includes(t)).length;
+  const tooLong = words(sentence).length > config.maxSentenceWords ? 1 : 0;
+  return hits + language - tooLong * 2;
+}
+
+function weakestSentence(sentenceList, towns, config) {
+  if (!sentenceList.length) return '';
+  return sentenceList
+    .map((s, i) => ({ s, i, value: sentenceValue(s, towns, config), length: words(s).length }))
+    .sort((a, b) => a.value - b.value || b.length - a.length || a.i - b.i)[0].s;
+}
+
+function maskedWords(text, names) {
+  let masked = text.toLowerCase();
+  for (const name of names) {
+    if (name) masked = masked.replace(new RegExp(`\\b${escapeRegExp(name.toLowerCase())}\\b`, 'g'), ' zzplace ');
+  }
+  return words(masked);
+}
+
+function shingles(wordList) {
+  const set = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= wordList.length; i += 1) set.add(wordList.slice(i, i + SHINGLE_SIZE).join(' '));
+  return set;
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared += 1;
+  return shared / (a.size + b.size - shared);
+}
+
+function sharedSentence(copy, other, names) {
+  const otherText = ` ${maskedWords(other.intro, names).join(' ')} `;
+  return (
+    sentences(copy.intro)
+      .filter((s) => words(s).length >= SHINGLE_SIZE && otherText.includes(` ${maskedWords(s, names).join(' ')} `))
+      .sort((a, b) => words(b).length - words(a).length)[0] || ''
+  );
+}
+
+function markCopySimilarity(gyms, rules) {
+  const { maxSimilarity } = rules.clubDescription;
+  const withCopy = gyms.filter((g) => g.clubDescription && g.clubDescription.copy && g.clubDescription.copy.words);
+  const names = (g) => [g.gymName, ...g.clubDescription.copy.towns];
+  const sets = withCopy.map((g) => shingles(maskedWords(g.clubDescription.copy.intro, names(g))));
+
+  const pairs = [];
+  for (let i = 0; i < withCopy.length; i += 1) {
+    for (let j = i + 1; j < withCopy.length; j += 1) {
+      const value = jaccard(sets[i], sets[j]);
+      if (value > 0) pairs.push({ i, j, value });
+    }
+  }
+
+  withCopy.forEach((g, i) => {
+    const best = pairs.filter((p) => p.i === i || p.j === i).sort((a, b) => b.value - a.value)[0];
+    const copy = g.clubDescription.copy;
+    if (!best) {
+      copy.similarity = { value: 0, slug: null, gymName: null, sharedSentence: '' };
+      return;
+    }
+    const other = withCopy[best.i === i ? best.j : best.i];
+    copy.similarity = {
+      value: Math.round(best.value * 100) / 100,
+      slug: other.slug,
+      gymName: other.gymName,
+      sharedSentence: best.value > maxSimilarity ? sharedSentence(copy, other.clubDescription.copy, [...names(g), ...names(other)]) : ''
+    };
+  });
+
+  const parent = withCopy.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const reused = pairs.filter((p) => p.value > maxSimilarity);
+  for (const p of reused) parent[find(p.i)] = find(p.j);
+  const groups = new Map();
+  for (const p of reused) {
+    const root = find(p.i);
+    if (!groups.has(root)) groups.set(root, { members: new Set(), similarity: 0 });
+    const grp = groups.get(root);
+    grp.members.add(p.i).add(p.j);
+    grp.similarity = Math.max(grp.similarity, p.value);
+  }
+  return [...groups.values()]
+    .map((grp) => ({ slugs: [...grp.members].map((i) => withCopy[i].slug), similarity: Math.round(grp.similarity * 100) / 100 }))
+    .sort((a, b) => b.slugs.length - a.slugs.length || b.similarity - a.similarity);
+}
+
+function scoreCopy(copy, rules) {
+  const config = rules.clubDescription;
+  const w = rules.scoring.components.clubDescription;
+  const ratio = (value, target) => (target > 0 ? Math.max(0, Math.min(value / target, 1)) : 1);
+  const similarity = copy.similarity ? copy.similarity.value : 0;
+  const distinctive = similarity <= config.maxSimilarity ? 1 : Math.max(0, (1 - similarity) / (1 - config.maxSimilarity));
+  return Math.floor(
+    w.length * ratio(copy.words, config.minWords) +
+      w.readability * ratio(copy.readingEase, config.minReadingEase) +
+      w.local * ratio(copy.local.count, config.minLocalMentions) +
+      w.distinctive * distinctive +
+      w.appeal * ratio(copy.appealTerms.length, config.minAppealHits) +
+      w.benefit * ratio(copy.benefitTerms.length, config.minBenefitHits) +
+      1e-9
+  );
+}
+
+function missingDifferentiators(copy, config) {
+  const missing = [];
+  if (!copy.local.town) missing.push(`the town name${copy.towns.length ? ` (${copy.towns[0]})` : ''}`);
+  if (!copy.local.landmarks.length) missing.push('a nearby landmark or transport link');
+  if (copy.facilitiesMissing.length) missing.push(`facilities found on the page: ${copy.facilitiesMissing.join(', ')}`);
+  if (copy.benefitTerms.length < config.minBenefitHits) missing.push('a clear member benefit');
+  if (copy.appealTerms.length < config.minAppealHits) missing.push('distinctive language about the experience');
+  return missing;
+}
+
+function assessCopy(copy, rules) {
+  const config = rules.clubDescription;
+  const score = scoreCopy(copy, rules);
+  const pass = score >= rules.scoring.passScores.clubDescription;
+  const reused = copy.similarity && copy.similarity.value > config.maxSimilarity;
+  const stats = `Intro (${copy.source}): ${copy.words} words in ${copy.sentences} sentence${copy.sentences === 1 ? '' : 's'}, reading ease ${copy.readingEase} (target ${config.minReadingEase}+). Local mentions: ${copy.local.count} (target ${config.minLocalMentions}+)${
+    copy.local.count ? `: ${[copy.local.town, ...copy.local.landmarks, ...copy.local.facilities].filter(Boolean).join(', ')}` : ''
+  }.`;
+  const similarity = copy.similarity && copy.similarity.slug ? ` Closest intro: ${copy.similarity.gymName} (${Math.round(copy.similarity.value * 100)}% similar).` : '';
+
+  if (pass) {
+    return { tone: 'Appealing', score, text: `The club description is specific and readable. ${stats}${similarity}`, copy: { ...copy, missing: [] } };
+  }
+
+  const missing = missingDifferentiators(copy, config);
+  const problems = [];
+  if (copy.words < config.minWords) problems.push(`it is short (${copy.words} of ${config.minWords} words)`);
+  if (copy.readingEase < config.minReadingEase) problems.push('it is hard to read; use shorter sentences and plainer words');
+  if (reused) problems.push(`it reuses the intro on ${copy.similarity.gymName}; write it for this club`);
+  const quote = reused && copy.similarity.sharedSentence ? copy.similarity.sharedSentence : copy.weakSentence;
+
+  const text = [
+    `The club description needs work${problems.length ? `: ${problems.join('; ')}` : ''}.`,
+    stats + similarity,
+    quote ? `${reused && copy.similarity.sharedSentence ? 'Shared sentence' : 'Weakest sentence'}: "${quote}"` : '',
+    missing.length ? `Missing differentiators: ${missing.join('; ')}.` : ''
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+  return { tone: reused ? 'Boilerplate' : 'Needs improvement', score, text, copy: { ...copy, missing } };
+}
+
+module.exports = { extractIntro, analyzeCopy, assessCopy, markCopySimilarity, readingEase, words, sentences };
@@ -0,0 +1,42 @@
+const OUTCOMES = ['included', 'excluded_slug', 'excluded_filter', 'not_gym_page', 'http_error', 'exception'];
+
+const SIGNAL_LABELS = {
+  hasTimetableOrSubNav: 'no links to the gym timetable, classes or services pages',
+  hasGymWords: 'no gym, health club or fitness wording in the title, H1 or meta description',
+  hasJoinWords: 'no join or membership wording near the top of the page',
+  isClosureOrPromo: 'title, H1 or meta description looks like a closure or promo page'
+};
+
+function failedSignals(signals) {
+  return Object.keys(SIGNAL_LABELS)
+    .filter((key) => (key === 'isClosureOrPromo' ? signals[key] : !signals[key]))
+    .map((key) => ({ key, message: SIGNAL_LABELS[key] }));
+}
+
+function coverageEntry(url, slug, row, filteredOut) {
+  if (filteredOut) {
+    return { url, slug, outcome: 'excluded_filter', detail: `slug "${slug}" does not match the --include/--exclude filters` };
+  }
+  if (!row) {
+    return { url, slug, outcome: 'excluded_slug', detail: `slug "${slug}" is in the site profile's excludeSlugs` };
+  }
+  if (row.error) {
+    return { url, slug, outcome: 'exception', detail: row.error };
+  }
+  if (row.skipped) {
+    return { url, slug, outcome: 'http_error', status: row.status, detail: `HTTP ${row.status}` };
+  }
+  if (!row.isLikelyGymPage) {
+    const failed = failedSignals(row.gymPageSignals);
+    return { url, slug, outcome: 'not_gym_page', failedSignals: failed, detail: failed.map((f) => f.message).join('; ') };
+  }
+  return { url, slug, outcome: 'included', detail: '' };
+}
+
+function buildCoverage(candidates) {
+  const pages = candidates.map((c) => coverageEntry(c.url, c.slug, c.row, c.filteredOut));
+  const counts = Object.fromEntries(OUTCOMES.map((o) => [o, pages.filter((p) => p.outcome === o).length]));
+  return { total: pages.length, counts, pages };
+}
+
+module.exports = { OUTCOMES, buildCoverage };
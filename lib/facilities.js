@@ -0,0 +1,95 @@
+const HEADINGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+function clean(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function spacedText(nodes) {
+  const parts = [];
+  const walk = (node) => {
+    if (node.type === 'text') parts.push(node.data);
+    else if (node.children && !['script', 'style'].includes(node.name)) node.children.forEach(walk);
+  };
+  nodes.forEach(walk);
+  return clean(parts.join(' '));
+}
+
+function sectionChunks($, sectionRe) {
+  const chunks = [];
+  $(HEADINGS.join(', ')).each((_, heading) => {
+    if (!sectionRe.test(clean($(heading).text()))) return;
+    const stopAt = HEADINGS.slice(0, HEADINGS.indexOf(heading.name) + 1).join(', ');
+    const following = spacedText($(heading).nextUntil(stopAt).toArray());
+    chunks.push(following || spacedText([heading.parent]));
+  });
+  $('[class*="facilit" i], [id*="facilit" i], [class*="amenit" i]').each((_, el) => {
+    chunks.push(spacedText([el]));
+  });
+  return chunks.filter(Boolean);
+}
+
+function iconChunks($) {
+  const labels = [];
+  $('img[alt]').each((_, el) => {
+    const node = $(el);
+    if (/icon/i.test(`${node.attr('class') || ''} ${node.attr('src') || ''}`)) labels.push(node.attr('alt'));
+  });
+  $('[aria-label]').each((_, el) => {
+    if (!['a', 'button', 'input', 'select', 'textarea'].includes(el.name)) labels.push($(el).attr('aria-label'));
+  });
+  $('svg title, i[title], span[title]').each((_, el) => {
+    labels.push(el.name === 'title' ? $(el).text() : $(el).attr('title'));
+  });
+  return labels.map(clean).filter(Boolean);
+}
+
+function extractFacilities($, rules) {
+  const { sectionRe, vocabulary } = rules.facilityInventory;
+  const sources = {
+    section: sectionChunks($, sectionRe),
+    list: $('li')
+      .toArray()
+      .map((el) => clean($(el).text()))
+      .filter((t) => t && t.length <= 200),
+    icon: iconChunks($)
+  };
+
+  const facilities = [];
+  for (const item of vocabulary) {
+    const foundIn = [];
+    let detail = '';
+    for (const [source, chunks] of Object.entries(sources)) {
+      const matching = chunks.filter((chunk) => item.re.test(chunk.toLowerCase()));
+      if (!matching.length) continue;
+      foundIn.push(source);
+      if (!detail && item.detailRe) {
+        for (const chunk of matching) {
+          const m = chunk.toLowerCase().match(item.detailRe);
+          if (m) {
+            detail = m[0];
+            break;
+          }
+        }
+      }
+    }
+    if (foundIn.length) {
+      facilities.push({ key: item.key, label: item.label, category: item.category, sources: foundIn, ...(detail ? { detail } : {}) });
+    }
+  }
+  return facilities;
+}
+
+function buildFacilityMatrix(gyms, rules) {
+  const columns = rules.facilityInventory.vocabulary.map((item) => ({
+    key: item.key,
+    label: item.label,
+    category: item.category,
+    gyms: gyms.filter((g) => (g.facilities || []).some((f) => f.key === item.key)).length
+  }));
+  const counts = gyms.map((g) => (g.facilities || []).length).sort((a, b) => a - b);
+  const mid = Math.floor(counts.length / 2);
+  const median = !counts.length ? 0 : counts.length % 2 ? counts[mid] : (counts[mid - 1] + counts[mid]) / 2;
+  return { columns, medianListed: median };
+}
+
+module.exports = { extractFacilities, buildFacilityMatrix };
@@ -0,0 +1,57 @@
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const CHART_WIDTH = 640;
+const CHART_LABEL_WIDTH = 170;
+const CHART_ROW_HEIGHT = 30;
+const CHART_BAR_HEIGHT = 20;
+const CHART_MIN_TEXT_WIDTH = 28;
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value).replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+}
+
+function gymPageFile(slug, extension = 'html') {
+  return `${String(slug || 'gym').replace(/[^a-z0-9_-]/gi, '_')}.${extension}`;
+}
+
+function renderBarChart({ title, rows, legend = [] }) {
+  const barWidth = CHART_WIDTH - CHART_LABEL_WIDTH - 10;
+  const legendHeight = legend.length ? 26 : 0;
+  const height = rows.length * CHART_ROW_HEIGHT + legendHeight + 6;
+
+  const bars = rows
+    .map((row, i) => {
+      const y = legendHeight + i * CHART_ROW_HEIGHT;
+      const total = row.total || row.segments.reduce((sum, s) => sum + s.value, 0) || 1;
+      let x = CHART_LABEL_WIDTH;
+      const segments = row.segments
+        .filter((s) => s.value > 0)
+        .map((s) => {
+          const width = (s.value / total) * barWidth;
+          const rect = `<rect class="${escapeHtml(s.className)}" x="${x.toFixed(1)}" y="${y + 4}" width="${width.toFixed(1)}" height="${CHART_BAR_HEIGHT}"><title>${escapeHtml(`${row.label}: ${s.label}`)}</title></rect>`;
+          const text =
+            width >= CHART_MIN_TEXT_WIDTH
+              ? `<text class="bar-value" x="${(x + width / 2).toFixed(1)}" y="${y + 18}" text-anchor="middle">${escapeHtml(s.value)}</text>`
+              : '';
+          x += width;
+          const shape = `${rect}${text}`;
+          return s.href ? `<a href="${escapeHtml(s.href)}">${shape}</a>` : shape;
+        })
+        .join('');
+      return `<text class="bar-label" x="${CHART_LABEL_WIDTH - 8}" y="${y + 18}" text-anchor="end">${escapeHtml(row.label)}</text>${segments}`;
+    })
+    .join('\n');
+
+  let legendX = CHART_LABEL_WIDTH;
+  const legendItems = legend
+    .map((item) => {
+      const shape = `<rect class="${escapeHtml(item.className)}" x="${legendX}" y="4" width="12" height="12"></rect><text class="bar-label" x="${legendX + 17}" y="15">${escapeHtml(item.label)}</text>`;
+      legendX += 30 + item.label.length * 7;
+      return shape;
+    })
+    .join('');
+
+  return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${height}" width="100%" role="img" aria-label="${escapeHtml(title)}" xmlns="http://www.w3.org/2000/svg"><title>${escapeHtml(title)}</title>${legendItems}${bars}</svg>`;
+}
+
+module.exports = { escapeHtml, gymPageFile, renderBarChart };
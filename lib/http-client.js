@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OPTIONS = {
+  userAgent: 'NuffieldGymAuditBot/1.0 (+internal assessment)',
+  timeoutMs: 20000,
+  retries: 3,
+  backoffMs: 1000,
+  maxBackoffMs: 30000,
+  maxRequestsPerSecondPerHost: 4,
+  respectRobots: true
+};
+
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function retryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function parseRobots(text, userAgent) {
+  const token = userAgent.split('/')[0].toLowerCase();
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const idx = line.indexOf(':');
+    if (idx === -1) continue;
+    const field = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+    if (field === 'allow' || field === 'disallow') {
+      if (value) current.rules.push({ allow: field === 'allow', pattern: value });
+    } else if (field === 'crawl-delay') {
+      const delay = Number(value);
+      if (Number.isFinite(delay)) current.crawlDelay = delay;
+    }
+  }
+
+  const group = groups.find((g) => g.agents.some((a) => a !== '*' && token.includes(a))) || groups.find((g) => g.agents.includes('*'));
+  return group ? { rules: group.rules, crawlDelay: group.crawlDelay } : { rules: [], crawlDelay: null };
+}
+
+function robotsPatternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+function isAllowedByRobots(robots, url) {
+  const { pathname, search } = new URL(url);
+  const target = `${pathname}${search}`;
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!robotsPatternToRegex(rule.pattern).test(target)) continue;
+    if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+function createHttpClient(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const requestLog = [];
+  const nextSlotByHost = new Map();
+  const robotsByOrigin = new Map();
+
+  function intervalFor(crawlDelay) {
+    const base = config.maxRequestsPerSecondPerHost > 0 ? 1000 / config.maxRequestsPerSecondPerHost : 0;
+    return Math.max(base, crawlDelay ? crawlDelay * 1000 : 0);
+  }
+
+  async function waitForSlot(host, crawlDelay) {
+    const now = Date.now();
+    const at = Math.max(now, nextSlotByHost.get(host) || 0);
+    nextSlotByHost.set(host, at + intervalFor(crawlDelay));
+    if (at > now) await sleep(at - now);
+  }
+
+  async function send(url, init, crawlDelay, read) {
+    const { host } = new URL(url);
+    let attempt = 0;
+
+    for (;;) {
+      attempt += 1;
+      await waitForSlot(host, crawlDelay);
+      const started = Date.now();
+      const entry = { at: new Date(started).toISOString(), method: init.method || 'GET', url, attempt };
+      requestLog.push(entry);
+
+      let res;
+      let body;
+      try {
+        res = await fetch(url, {
+          ...init,
+          headers: { 'user-agent': config.userAgent, ...(init.headers || {}) },
+          signal: AbortSignal.timeout(config.timeoutMs)
+        });
+        if (read && (!RETRY_STATUSES.has(res.status) || attempt > config.retries)) body = await read(res);
+      } catch (err) {
+        entry.durationMs = Date.now() - started;
+        entry.error = err.name === 'TimeoutError' ? `Timed out after ${config.timeoutMs}ms` : String(err.message || err);
+        if (attempt > config.retries) {
+          const failure = new Error(`${entry.error} for ${url}`);
+          failure.code = err.name === 'TimeoutError' ? 'TIMEOUT' : 'NETWORK';
+          throw failure;
+        }
+        await sleep(Math.min(config.maxBackoffMs, config.backoffMs * 2 ** (attempt - 1)));
+        continue;
+      }
+
+      entry.status = res.status;
+      entry.durationMs = Date.now() - started;
+      if (!RETRY_STATUSES.has(res.status) || attempt > config.retries) {
+        return { res, body };
+      }
+
+      const waitMs = retryAfterMs(res.headers.get('retry-after'));
+      if (res.body) await res.body.cancel();
+      await sleep(Math.min(config.maxBackoffMs, waitMs != null ? waitMs : config.backoffMs * 2 ** (attempt - 1)));
+    }
+  }
+
+  async function robotsFor(url) {
+    const { origin } = new URL(url);
+    if (!robotsByOrigin.has(origin)) {
+      const pending = send(`${origin}/robots.txt`, { method: 'GET' }, null, (res) => res.text())
+        .then(({ res, body }) => (res.ok ? parseRobots(body, config.userAgent) : { rules: [], crawlDelay: null }))
+        .catch(() => ({ rules: [], crawlDelay: null }));
+      robotsByOrigin.set(origin, pending);
+    }
+    return robotsByOrigin.get(origin);
+  }
+
+  async function checkRobots(url, method) {
+    const rules = await robotsFor(url);
+    if (!isAllowedByRobots(rules, url)) {
+      requestLog.push({ at: new Date().toISOString(), method, url, blocked: 'robots.txt' });
+      const err = new Error(`Blocked by robots.txt: ${url}`);
+      err.code = 'ROBOTS_DISALLOWED';
+      throw err;
+    }
+    return rules.crawlDelay;
+  }
+
+  async function request(url, init = {}, { robots = config.respectRobots, read } = {}) {
+    const crawlDelay = robots ? await checkRobots(url, init.method || 'GET') : null;
+    return send(url, init, crawlDelay, read);
+  }
+
+  async function admit(url) {
+    const crawlDelay = config.respectRobots ? await checkRobots(url, 'GET') : null;
+    await waitForSlot(new URL(url).host, crawlDelay);
+    requestLog.push({ at: new Date().toISOString(), method: 'GET', url, attempt: 1, via: 'browser' });
+  }
+
+  async function fetchText(url) {
+    const { res, body } = await request(url, {}, { read: (r) => r.text() });
+    return { status: res.status, text: body, url: res.url };
+  }
+
+  async function fetchBuffer(url) {
+    const { res, body } = await request(url, {}, { read: async (r) => Buffer.from(await r.arrayBuffer()) });
+    return { status: res.status, url: res.url, contentType: res.headers.get('content-type') || '', buffer: body };
+  }
+
+  async function fetchJson(url) {
+    const { res, body } = await request(url, {}, { robots: false, read: async (r) => (r.ok ? r.text() : r.body && r.body.cancel()) });
+    if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+    return JSON.parse(body);
+  }
+
+  async function fetchStatus(url, maxRedirects = 5) {
+    const chain = [];
+    let current = url;
+
+    for (let hop = 0; hop <= maxRedirects; hop += 1) {
+      let { res } = await request(current, { method: 'HEAD', redirect: 'manual' });
+      if (res.status === 405 || res.status === 501) {
+        ({ res } = await request(current, { method: 'GET', redirect: 'manual' }));
+      }
+      if (res.body) await res.body.cancel();
+
+      const location = res.headers.get('location');
+      if (res.status >= 300 && res.status < 400 && location) {
+        chain.push({ url: current, status: res.status });
+        current = new URL(location, current).href;
+        continue;
+      }
+
+      const length = Number(res.headers.get('content-length'));
+      return {
+        status: res.status,
+        url: current,
+        contentType: res.headers.get('content-type') || '',
+        contentLength: res.headers.has('content-length') && Number.isFinite(length) ? length : null,
+        chain
+      };
+    }
+
+    return { status: 0, url: current, contentType: '', chain, error: `More than ${maxRedirects} redirects` };
+  }
+
+  function stats() {
+    return {
+      requests: requestLog.filter((e) => !e.blocked).length,
+      retries: requestLog.filter((e) => e.attempt > 1).length,
+      failures: requestLog.filter((e) => e.error).length,
+      robotsBlocked: requestLog.filter((e) => e.blocked).length
+    };
+  }
+
+  function writeLog(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, requestLog.map((e) => JSON.stringify(e)).join('\n') + (requestLog.length ? '\n' : ''));
+  }
+
+  return { fetchText, fetchBuffer, fetchJson, fetchStatus, admit, stats, writeLog, log: requestLog };
+}
+
+module.exports = { DEFAULT_OPTIONS, createHttpClient, parseRobots, isAllowedByRobots };
@@ -0,0 +1,227 @@
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+let sharpModule = null;
+
+function loadSharp() {
+  if (!sharpModule) {
+    try {
+      sharpModule = require('sharp');
+    } catch (err) {
+      const usage = new Error(`--analyze-images needs the sharp package, which could not be loaded (${err.message.split('\n')[0]}). Run npm install, or audit without --analyze-images.`);
+      usage.code = 'USAGE';
+      throw usage;
+    }
+  }
+  return sharpModule;
+}
+
+function pickImageUrl(img, base) {
+  const candidates = [img.src, ...img.srcset.split(',').map((part) => part.trim().split(/\s+/)[0])].filter(
+    (u) => u && !u.startsWith('data:')
+  );
+  for (const candidate of candidates) {
+    try {
+      return new URL(candidate, base).href;
+    } catch {
+      continue;
+    }
+  }
+  return null;
+}
+
+function displaySize(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function imageRefs(meaningfulImages, base, rules) {
+  const refs = [];
+  for (const img of meaningfulImages) {
+    const url = pickImageUrl(img, base);
+    if (!url || refs.some((r) => r.url === url)) continue;
+    refs.push({ url, displayWidth: displaySize(img.width), displayHeight: displaySize(img.height) });
+    if (refs.length >= rules.imagery.analysis.maxImagesPerGym) break;
+  }
+  return refs;
+}
+
+async function differenceHash(buffer) {
+  const pixels = await loadSharp()(buffer).greyscale().resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' }).raw().toBuffer();
+  let bits = '';
+  for (let y = 0; y < HASH_HEIGHT; y += 1) {
+    for (let x = 0; x < HASH_WIDTH - 1; x += 1) {
+      const i = y * HASH_WIDTH + x;
+      bits += pixels[i] < pixels[i + 1] ? '1' : '0';
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+}
+
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+function createImageFetcher(fetchBuffer) {
+  return async function fetchImage(url) {
+    const sharp = loadSharp();
+    const res = await fetchBuffer(url);
+    const info = { status: res.status, url: res.url, contentType: res.contentType, bytes: res.buffer.length, format: '', width: null, height: null, hash: '' };
+    if (res.status >= 400) return info;
+    try {
+      const meta = await sharp(res.buffer).metadata();
+      info.format = meta.format === 'heif' ? 'avif' : meta.format || '';
+      info.width = meta.width || null;
+      info.height = meta.height || null;
+      info.hash = await differenceHash(res.buffer);
+    } catch (err) {
+      info.error = `Could not decode image: ${err.message}`;
+    }
+    return info;
+  };
+}
+
+function createImageAnalyzer(fetchImage) {
+  const cache = new Map();
+  const stats = { requests: 0, cacheHits: 0 };
+
+  function analyze(url) {
+    if (cache.has(url)) {
+      stats.cacheHits += 1;
+      return cache.get(url);
+    }
+    stats.requests += 1;
+    const pending = fetchImage(url).then(
+      (info) => ({ checked: true, ...info }),
+      (err) => {
+        if (err.code === 'USAGE') throw err;
+        return err.code === 'NOT_CAPTURED'
+          ? { checked: false, error: err.message }
+          : { checked: true, status: 0, error: String(err.message || err) };
+      }
+    );
+    cache.set(url, pending);
+    return pending;
+  }
+
+  return { analyze, stats };
+}
+
+function imageIssues(image, config) {
+  const issues = [];
+  if (!image.status || image.status >= 400) issues.push('unreachable');
+  else if (!/^image\//i.test(image.contentType || '') || image.error) issues.push('notAnImage');
+  if (image.bytes > config.maxBytes) issues.push('heavy');
+  if (image.width) {
+    if (image.width < config.minWidth) issues.push('lowResolution');
+    if (image.displayWidth && image.width < image.displayWidth) issues.push('upscaled');
+    if (image.displayWidth && image.width > image.displayWidth * config.maxOversizeFactor) issues.push('oversized');
+  }
+  if (image.sharedWith && image.sharedWith.length + 1 >= config.sharedMinGyms) issues.push('shared');
+  return issues;
+}
+
+function findImageDuplicates(gyms, rules) {
+  const maxDistance = rules.imagery.analysis.duplicateMaxDistance;
+  const entries = [];
+  for (const gym of gyms) {
+    for (const image of (gym.imagery && gym.imagery.images) || []) {
+      if (image.hash) entries.push({ slug: gym.slug, image });
+    }
+  }
+
+  const parent = entries.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < entries.length; i += 1) {
+    for (let j = i + 1; j < entries.length; j += 1) {
+      if (hammingDistance(entries[i].image.hash, entries[j].image.hash) <= maxDistance) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  entries.forEach((entry, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry);
+  });
+
+  const duplicates = [];
+  for (const members of groups.values()) {
+    const slugs = [...new Set(members.map((m) => m.slug))];
+    if (slugs.length < 2) continue;
+    for (const m of members) m.image.sharedWith = slugs.filter((s) => s !== m.slug);
+    duplicates.push({ hash: members[0].image.hash, gyms: slugs, urls: [...new Set(members.map((m) => m.image.url))] });
+  }
+  return duplicates.sort((a, b) => b.gyms.length - a.gyms.length);
+}
+
+function summarizeImageAnalysis(images, rules) {
+  const config = rules.imagery.analysis;
+  const checked = images.filter((img) => img.checked);
+  const issueCounts = {};
+  let good = 0;
+  for (const image of checked) {
+    image.issues = imageIssues(image, config);
+    if (!image.issues.length) good += 1;
+    for (const issue of image.issues) issueCounts[issue] = (issueCounts[issue] || 0) + 1;
+  }
+  return {
+    checked: checked.length,
+    good,
+    qualityRatio: checked.length ? good / checked.length : null,
+    modernFormatCount: checked.filter((img) => config.modernFormats.includes(img.format)).length,
+    totalBytes: checked.reduce((sum, img) => sum + (img.bytes || 0), 0),
+    largestBytes: checked.reduce((max, img) => Math.max(max, img.bytes || 0), 0),
+    issueCounts
+  };
+}
+
+const ISSUE_LABELS = {
+  unreachable: 'not downloadable',
+  notAnImage: 'not a readable image',
+  heavy: 'over the byte budget',
+  lowResolution: 'low resolution',
+  upscaled: 'smaller than displayed size',
+  oversized: 'much larger than displayed size',
+  shared: 'shared with other gyms'
+};
+
+function formatBytes(bytes) {
+  return bytes >= 1000000 ? `${(bytes / 1000000).toFixed(1)} MB` : `${Math.round(bytes / 1000)} KB`;
+}
+
+function buildImageAnalysisEvidence(summary, rules) {
+  if (!summary || !summary.checked) return '';
+  const config = rules.imagery.analysis;
+  const issues = Object.entries(summary.issueCounts).map(([key, count]) => {
+    const detail =
+      key === 'heavy'
+        ? ` (over ${formatBytes(config.maxBytes)}, largest ${formatBytes(summary.largestBytes)})`
+        : key === 'lowResolution'
+          ? ` (under ${config.minWidth}px wide)`
+          : key === 'shared'
+            ? ` (${config.sharedMinGyms}+ gyms)`
+            : '';
+    return `${ISSUE_LABELS[key]}${detail}: ${count}`;
+  });
+  const lead = `Image analysis: ${summary.good} of ${summary.checked} downloaded images are well-sized and unique (${formatBytes(summary.totalBytes)} in total).`;
+  return issues.length ? `${lead} Issues: ${issues.join('; ')}.` : lead;
+}
+
+module.exports = {
+  loadSharp,
+  imageRefs,
+  createImageFetcher,
+  createImageAnalyzer,
+  findImageDuplicates,
+  summarizeImageAnalysis,
+  buildImageAnalysisEvidence
+};
@@ -0,0 +1,98 @@
+function createLinkChecker(fetchStatus) {
+  const cache = new Map();
+  const stats = { requests: 0, cacheHits: 0 };
+
+  function check(url) {
+    if (cache.has(url)) {
+      stats.cacheHits += 1;
+      return cache.get(url);
+    }
+    stats.requests += 1;
+    const pending = fetchStatus(url).then(
+      (res) => ({ checked: true, status: res.status, finalUrl: res.url, chain: res.chain || [], error: res.error || '' }),
+      (err) =>
+        err.code === 'NOT_CAPTURED'
+          ? { checked: false, status: null, finalUrl: '', chain: [], error: err.message }
+          : { checked: true, status: 0, finalUrl: '', chain: [], error: String(err.message || err) }
+    );
+    cache.set(url, pending);
+    return pending;
+  }
+
+  return { check, stats };
+}
+
+function resolveHref(href, base) {
+  if (!href || href.startsWith('#') || /^(javascript|mailto|tel):/i.test(href)) return null;
+  try {
+    return new URL(href, base).href;
+  } catch {
+    return null;
+  }
+}
+
+function classifyLink(result, homepageRe) {
+  if (!result.checked) return { broken: false, reason: 'not checked' };
+  if (!result.status) return { broken: true, reason: result.error || 'request failed' };
+  if (result.status >= 400) return { broken: true, reason: `HTTP ${result.status}` };
+  let finalPath = '';
+  try {
+    finalPath = new URL(result.finalUrl).pathname;
+  } catch {
+    finalPath = '';
+  }
+  if (result.chain.length && homepageRe.test(finalPath)) {
+    return { broken: true, reason: 'redirects to the homepage' };
+  }
+  return { broken: false, reason: '' };
+}
+
+async function verifyGymLinks(gym, checker, rules) {
+  const config = rules.linkCheck;
+  const homepageRe = config.homepageRe;
+
+  const checkOne = async (link) => {
+    const result = await checker.check(link.url);
+    return { ...link, ...result, ...classifyLink(result, homepageRe) };
+  };
+
+  const join = await Promise.all((gym.joinCandidates || []).map(checkOne));
+  const subpages = gym.slug
+    ? await Promise.all(config.subpages.map((name) => checkOne({ text: name, url: `${gym.url.replace(/\/$/, '')}/${name}` })))
+    : [];
+
+  const [primary] = join;
+  return {
+    join,
+    subpages,
+    primaryJoinLink: primary ? primary.url : null,
+    brokenJoinLinks: join.filter((l) => l.broken).length,
+    brokenSubpages: subpages.filter((l) => l.broken).length,
+    joinRouteBroken: Boolean(primary && primary.broken)
+  };
+}
+
+function describeLink(l) {
+  return `"${l.text || l.url}" → ${l.reason} (${l.finalUrl || l.url})`;
+}
+
+function buildLinkCheckEvidence(linkCheck) {
+  const parts = [];
+  const brokenJoin = linkCheck.join.filter((l) => l.broken);
+  const brokenSub = linkCheck.subpages.filter((l) => l.broken);
+  if (linkCheck.joinRouteBroken) {
+    const [primary, ...others] = brokenJoin;
+    parts.push(`Join route is broken: the primary join link failed (${describeLink(primary)}).`);
+    if (others.length) parts.push(`Other broken join links: ${others.map(describeLink).join('; ')}.`);
+  } else if (brokenJoin.length) {
+    parts.push(`Broken join links: ${brokenJoin.map(describeLink).join('; ')}.`);
+  } else if (linkCheck.join.some((l) => l.checked)) {
+    parts.push(`Join links verified (${linkCheck.join.filter((l) => l.checked).length} checked).`);
+  }
+  if (brokenSub.length) {
+    parts.push(`Broken gym subpages: ${brokenSub.map((l) => `/${l.text} → ${l.reason}`).join('; ')}.`);
+  }
+  return parts.join(' ');
+}
+
+module.exports = { createLinkChecker, resolveHref, verifyGymLinks, buildLinkCheckEvidence };
@@ -0,0 +1,188 @@
+const { pagePhones, pagePostcodes, normalizePhone, normalizePostcode } = require('./structured-data');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const DAY_RE = '(mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)';
+const TIME_RE = '(\\d{1,2}(?:[:.]\\d{2})?\\s*(?:am|pm)?|noon|midday|midnight)';
+const HOURS_LINE_RE = new RegExp(
+  `${DAY_RE}\\.?(?:\\s*(?:-|–|—|to|&|and)\\s*${DAY_RE}\\.?)?\\s*:?\\s*(?:${TIME_RE}\\s*(?:-|–|—|to)\\s*${TIME_RE}|(closed)|(open 24 hours))`,
+  'gi'
+);
+const HOURS_HEADING_RE = /opening (hours|times)|club hours|hours of opening/i;
+const UK_POSTCODE_RE = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/i;
+
+function clean(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function spacedText($, elements) {
+  return clean(
+    elements
+      .map((el) => $(el).find('*').addBack().contents().filter((_, n) => n.type === 'text').toArray().map((n) => n.data).join(' '))
+      .join(' ')
+  );
+}
+
+function dayIndex(token) {
+  return DAYS.findIndex((d) => d.startsWith(token.toLowerCase().slice(0, 3)));
+}
+
+function parseTime(raw) {
+  const t = raw.toLowerCase().replace(/\s+/g, '');
+  if (t === 'noon' || t === 'midday') return '12:00';
+  if (t === 'midnight') return '00:00';
+  const m = t.match(/^(\d{1,2})(?:[:.](\d{2}))?(am|pm)?$/);
+  if (!m) return null;
+  let hour = Number(m[1]);
+  if (m[3] === 'pm' && hour < 12) hour += 12;
+  if (m[3] === 'am' && hour === 12) hour = 0;
+  if (hour > 24) return null;
+  return `${String(hour % 24).padStart(2, '0')}:${m[2] || '00'}`;
+}
+
+function parseHours(text) {
+  const hours = {};
+  const lines = [];
+  for (const m of text.matchAll(HOURS_LINE_RE)) {
+    const from = dayIndex(m[1]);
+    const to = m[2] ? dayIndex(m[2]) : from;
+    let value;
+    if (m[5]) value = { closed: true };
+    else if (m[6]) value = { opens: '00:00', closes: '24:00' };
+    else {
+      const opens = parseTime(m[3]);
+      const closes = parseTime(m[4]);
+      if (!opens || !closes) continue;
+      value = { opens, closes: closes === '00:00' ? '24:00' : closes };
+    }
+    lines.push(clean(m[0]));
+    const span = to >= from ? to - from : to + 7 - from;
+    for (let i = 0; i <= span; i += 1) {
+      const day = DAYS[(from + i) % 7];
+      if (!hours[day]) hours[day] = value;
+    }
+  }
+  return { hours, lines };
+}
+
+function hoursText($) {
+  const chunks = [];
+  $('h1, h2, h3, h4, h5, h6, dt, strong').each((_, heading) => {
+    if (!HOURS_HEADING_RE.test($(heading).text())) return;
+    const following = $(heading).nextUntil('h1, h2, h3, h4, h5, h6').toArray();
+    chunks.push(spacedText($, following.length ? following : [heading.parent]));
+  });
+  $('[class*="opening" i], [id*="opening" i], [itemprop="openingHours"]').each((_, el) => {
+    chunks.push(spacedText($, [el]));
+  });
+  return chunks.filter(Boolean).join(' | ');
+}
+
+function pageAddress($, bodyText) {
+  const candidates = $('address, [itemprop="address"], [class*="address" i]')
+    .toArray()
+    .map((el) => spacedText($, [el]))
+    .filter((t) => t && t.length <= 300);
+  const withPostcode = candidates.find((t) => UK_POSTCODE_RE.test(t));
+  if (withPostcode) return withPostcode;
+  if (candidates.length) return candidates[0];
+  const m = bodyText.match(new RegExp(`[^.|]{0,120}${UK_POSTCODE_RE.source}`, 'i'));
+  return m ? clean(m[0]) : '';
+}
+
+function extractNap($, bodyText) {
+  const address = pageAddress($, bodyText);
+  const addressPostcode = address.match(UK_POSTCODE_RE);
+  const postcodes = pagePostcodes(bodyText);
+  const { hours, lines } = parseHours(hoursText($));
+  return {
+    address,
+    postcode: addressPostcode ? normalizePostcode(`${addressPostcode[1]}${addressPostcode[2]}`) : postcodes[0] || '',
+    phone: pagePhones($, bodyText)[0] || '',
+    hoursText: lines.join('; '),
+    hours
+  };
+}
+
+function parseGoogleHours(weekdayText) {
+  const hours = {};
+  for (const line of weekdayText || []) {
+    const [dayPart, ...rest] = line.split(':');
+    const day = DAYS[dayIndex(dayPart.trim())];
+    const value = rest.join(':').trim().toLowerCase();
+    if (!day) continue;
+    if (/closed/.test(value)) {
+      hours[day] = { closed: true };
+    } else if (/open 24 hours/.test(value)) {
+      hours[day] = { opens: '00:00', closes: '24:00' };
+    } else {
+      const times = value.split(/\s*[–—-]\s*|,\s*/).map((t) => t.trim()).filter(Boolean);
+      if (times.length < 2) continue;
+      const lastMeridiem = (times[times.length - 1].match(/(am|pm)$/) || [])[1] || '';
+      const opens = parseTime(/(am|pm)$/.test(times[0]) ? times[0] : `${times[0]}${lastMeridiem}`);
+      const closes = parseTime(times[times.length - 1]);
+      if (opens && closes) hours[day] = { opens, closes: closes === '00:00' ? '24:00' : closes };
+    }
+  }
+  return hours;
+}
+
+function describeHours(value) {
+  return value.closed ? 'closed' : `${value.opens}-${value.closes}`;
+}
+
+function compareNap(nap, google) {
+  const checked = [];
+  const mismatches = [];
+  const add = (field, message) => mismatches.push({ field, message });
+
+  const googlePhone = google.formatted_phone_number ? normalizePhone(google.formatted_phone_number) : '';
+  if (nap.phone && googlePhone) {
+    checked.push('phone');
+    if (nap.phone !== googlePhone) add('phone', `page says phone ${nap.phone}, Google says ${google.formatted_phone_number}`);
+  }
+
+  const googlePostcodeMatch = (google.formatted_address || '').match(UK_POSTCODE_RE);
+  const googlePostcode = googlePostcodeMatch ? normalizePostcode(`${googlePostcodeMatch[1]}${googlePostcodeMatch[2]}`) : '';
+  if (nap.postcode && googlePostcode) {
+    checked.push('postcode');
+    if (nap.postcode !== googlePostcode) add('postcode', `page says postcode ${nap.postcode}, Google says ${googlePostcode}`);
+  }
+
+  if (nap.address && google.formatted_address) {
+    checked.push('address');
+    const firstLine = google.formatted_address.split(',')[0].toLowerCase();
+    const tokens = firstLine.split(/[^a-z0-9]+/).filter((t) => t.length > 2 || /\d/.test(t));
+    const pageAddress = nap.address.toLowerCase();
+    if (tokens.length && !tokens.every((t) => pageAddress.includes(t))) {
+      add('address', `page address "${nap.address}" does not include Google's "${google.formatted_address.split(',')[0]}"`);
+    }
+  }
+
+  const googleHours = parseGoogleHours(google.weekday_text);
+  for (const day of DAYS) {
+    const pageValue = nap.hours[day];
+    const googleValue = googleHours[day];
+    if (!pageValue || !googleValue) continue;
+    if (!checked.includes('hours')) checked.push('hours');
+    const label = day.charAt(0).toUpperCase() + day.slice(1);
+    if (pageValue.closed !== googleValue.closed || (pageValue.opens !== googleValue.opens && pageValue.closes !== googleValue.closes)) {
+      add('hours', `${label}: page says ${describeHours(pageValue)}, Google says ${describeHours(googleValue)}`);
+    } else if (!pageValue.closed) {
+      if (pageValue.opens !== googleValue.opens) add('hours', `${label}: page says opens ${pageValue.opens}, Google says ${googleValue.opens}`);
+      if (pageValue.closes !== googleValue.closes) add('hours', `${label}: page says closes ${pageValue.closes}, Google says ${googleValue.closes}`);
+    }
+  }
+
+  return { status: checked.length ? (mismatches.length ? 'mismatch' : 'consistent') : 'not_comparable', checked, mismatches };
+}
+
+function buildNapEvidence(nap, consistency) {
+  const found = [nap.address && 'address', nap.phone && 'phone', Object.keys(nap.hours).length && 'opening hours'].filter(Boolean);
+  const pageSummary = found.length ? `Page shows ${found.join(', ')}.` : 'Page shows no address, phone or opening hours.';
+  if (!consistency || consistency.status === 'not_checked') return pageSummary;
+  if (consistency.status === 'not_comparable') return `${pageSummary} Nothing to compare with Google.`;
+  if (consistency.status === 'consistent') return `${pageSummary} Matches Google on ${consistency.checked.join(', ')}.`;
+  return `${pageSummary} NAP mismatches with Google: ${consistency.mismatches.map((m) => m.message).join('; ')}.`;
+}
+
+module.exports = { extractNap, parseGoogleHours, compareNap, buildNapEvidence };
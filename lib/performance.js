@@ -0,0 +1,178 @@
+const MAX_METRICS = ['htmlBytes', 'renderBlockingScripts', 'renderBlockingStyles', 'renderBlockingBytes', 'thirdPartyHosts', 'imageBytes'];
+
+const METRIC_LABELS = {
+  htmlBytes: 'HTML size',
+  renderBlockingScripts: 'Render-blocking scripts',
+  renderBlockingStyles: 'Render-blocking stylesheets',
+  renderBlockingBytes: 'Render-blocking bytes',
+  thirdPartyHosts: 'Third-party hosts',
+  imageBytes: 'Image transfer size',
+  resourceHints: 'Preload/preconnect hints'
+};
+
+function resolve(href, base) {
+  try {
+    return new URL(href, base).href;
+  } catch {
+    return null;
+  }
+}
+
+function isFirstParty(host, firstPartyHosts) {
+  return firstPartyHosts.some((h) => host === h || host.endsWith(`.${h}`));
+}
+
+function extractPerformance($, url, html, rules) {
+  const config = rules.performance;
+
+  const renderBlockingScripts = $('head script[src]')
+    .toArray()
+    .filter((el) => {
+      const node = $(el);
+      return node.attr('async') == null && node.attr('defer') == null && (node.attr('type') || '').toLowerCase() !== 'module';
+    })
+    .map((el) => resolve($(el).attr('src'), url))
+    .filter(Boolean);
+
+  const renderBlockingStyles = $('head link[href]')
+    .toArray()
+    .filter((el) => {
+      const node = $(el);
+      const rel = (node.attr('rel') || '').toLowerCase().split(/\s+/);
+      const media = (node.attr('media') || 'all').toLowerCase();
+      return rel.includes('stylesheet') && !rel.includes('alternate') && node.attr('disabled') == null && media !== 'print';
+    })
+    .map((el) => resolve($(el).attr('href'), url))
+    .filter(Boolean);
+
+  const hosts = new Set();
+  $('script[src], link[href], img[src], iframe[src], source[src]').each((_, el) => {
+    const resolved = resolve($(el).attr('src') || $(el).attr('href'), url);
+    if (!resolved || !/^https?:/.test(resolved)) return;
+    const host = new URL(resolved).hostname.toLowerCase();
+    if (!isFirstParty(host, config.firstPartyHosts)) hosts.add(host);
+  });
+
+  const rels = $('link[rel]')
+    .toArray()
+    .map((el) => ($(el).attr('rel') || '').toLowerCase().split(/\s+/));
+
+  return {
+    htmlBytes: Buffer.byteLength(html),
+    renderBlockingScripts,
+    renderBlockingStyles,
+    renderBlockingBytes: null,
+    unmeasuredRenderBlocking: renderBlockingScripts.length + renderBlockingStyles.length,
+    thirdPartyHosts: [...hosts].sort(),
+    preloadHints: rels.filter((r) => r.includes('preload') || r.includes('modulepreload')).length,
+    preconnectHints: rels.filter((r) => r.includes('preconnect') || r.includes('dns-prefetch')).length,
+    imageBytes: null
+  };
+}
+
+function performanceMetrics(details) {
+  return {
+    htmlBytes: details.htmlBytes,
+    renderBlockingScripts: details.renderBlockingScripts.length,
+    renderBlockingStyles: details.renderBlockingStyles.length,
+    renderBlockingBytes: details.renderBlockingBytes,
+    thirdPartyHosts: details.thirdPartyHosts.length,
+    imageBytes: details.imageBytes,
+    resourceHints: details.preloadHints + details.preconnectHints
+  };
+}
+
+function formatValue(key, value) {
+  if (!/Bytes$/.test(key)) return String(value);
+  return value >= 1000000 ? `${(value / 1000000).toFixed(1)} MB` : `${Math.round(value / 1000)} KB`;
+}
+
+function scorePerformance(details, rules) {
+  const { budget, penalties } = rules.performance;
+  const metrics = performanceMetrics(details);
+  const issues = [];
+
+  for (const key of MAX_METRICS) {
+    if (metrics[key] != null && metrics[key] > budget[key]) {
+      issues.push({
+        key,
+        penalty: penalties[key],
+        message: `${METRIC_LABELS[key]} is ${formatValue(key, metrics[key])} (budget ${formatValue(key, budget[key])})`
+      });
+    }
+  }
+  if (metrics.resourceHints < budget.minResourceHints) {
+    issues.push({
+      key: 'resourceHints',
+      penalty: penalties.resourceHints,
+      message: `${metrics.resourceHints} preload/preconnect hints (budget at least ${budget.minResourceHints})`
+    });
+  }
+
+  const score = Math.max(0, 100 - issues.reduce((sum, i) => sum + i.penalty, 0));
+  return { score, issues };
+}
+
+function buildPerformanceEvidence(details, issues, pass) {
+  const metrics = performanceMetrics(details);
+  const parts = [
+    `HTML: ${formatValue('htmlBytes', metrics.htmlBytes)}.`,
+    `Render-blocking: ${metrics.renderBlockingScripts} scripts, ${metrics.renderBlockingStyles} stylesheets${metrics.renderBlockingBytes != null ? ` (${formatValue('renderBlockingBytes', metrics.renderBlockingBytes)}${details.unmeasuredRenderBlocking ? `, ${details.unmeasuredRenderBlocking} not measured` : ''})` : ''}.`,
+    `Third-party hosts: ${metrics.thirdPartyHosts}.`,
+    `Hints: ${details.preloadHints} preload, ${details.preconnectHints} preconnect.`
+  ];
+  if (metrics.imageBytes != null) parts.push(`Images: ${formatValue('imageBytes', metrics.imageBytes)}.`);
+  const stats = parts.join(' ');
+  if (!issues.length) {
+    return `Page is within the performance budget. ${stats}`;
+  }
+  const lead = pass ? 'Page is mostly within the performance budget.' : 'Page is over the performance budget.';
+  return `${lead} ${stats} Over budget: ${issues.map((i) => i.message).join('; ')}.`;
+}
+
+function findWorstOffenders(gyms, rules) {
+  const { budget, worstOffenders } = rules.performance;
+  const withDetails = gyms.filter((g) => g.performance);
+  return MAX_METRICS.map((key) => {
+    const offenders = withDetails
+      .map((g) => ({ slug: g.slug, gymName: g.gymName, value: performanceMetrics(g.performance)[key] }))
+      .filter((o) => o.value != null && o.value > budget[key])
+      .sort((a, b) => b.value - a.value);
+    return {
+      metric: key,
+      label: METRIC_LABELS[key],
+      budget: budget[key],
+      budgetDisplay: formatValue(key, budget[key]),
+      overBudget: offenders.length,
+      worst: offenders.slice(0, worstOffenders).map((o) => ({ ...o, display: formatValue(key, o.value) }))
+    };
+  }).filter((m) => m.overBudget > 0);
+}
+
+function createResourceSizer(fetchStatus) {
+  const cache = new Map();
+
+  function size(url) {
+    if (!cache.has(url)) {
+      cache.set(
+        url,
+        fetchStatus(url).then(
+          (res) => (res.status < 400 && res.contentLength != null ? res.contentLength : null),
+          () => null
+        )
+      );
+    }
+    return cache.get(url);
+  }
+
+  async function measure(details) {
+    const sizes = await Promise.all([...details.renderBlockingScripts, ...details.renderBlockingStyles].map(size));
+    const known = sizes.filter((n) => n != null);
+    details.renderBlockingBytes = sizes.length && !known.length ? null : known.reduce((a, b) => a + b, 0);
+    details.unmeasuredRenderBlocking = sizes.length - known.length;
+  }
+
+  return { measure, requests: () => cache.size };
+}
+
+module.exports = { extractPerformance, scorePerformance, buildPerformanceEvidence, findWorstOffenders, createResourceSizer };
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function readCache(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read Google cache ${file}: ${err.message}. Delete it to start a fresh cache.`);
+  }
+}
+
+function createPlacesCache(provider, { file, ttlDays, budget = Infinity, refresh = false }) {
+  const data = readCache(file);
+  const store = data[provider.baseUrl] || (data[provider.baseUrl] = { searches: {}, details: {} });
+  const inFlight = new Map();
+  const usage = { apiCalls: 0, cacheHits: 0, staleFallbacks: 0, budgetExhausted: 0 };
+
+  function isFresh(entry) {
+    return !refresh && Date.now() - Date.parse(entry.fetchedAt) < ttlDays * DAY_MS;
+  }
+
+  function note(meta, entry, stale) {
+    if (!meta) return;
+    if (stale) meta.stale = true;
+    if (!meta.fetchedAt || entry.fetchedAt < meta.fetchedAt) meta.fetchedAt = entry.fetchedAt;
+  }
+
+  async function cached(kind, key, fetch, meta) {
+    const entry = store[kind][key];
+    if (entry && isFresh(entry)) {
+      usage.cacheHits += 1;
+      note(meta, entry, false);
+      return entry.value;
+    }
+    if (usage.apiCalls >= budget) {
+      usage.budgetExhausted += 1;
+      if (entry) {
+        usage.staleFallbacks += 1;
+        note(meta, entry, true);
+        return entry.value;
+      }
+      const err = new Error(`Google request budget of ${budget} used up and no cached ${kind === 'searches' ? 'search' : 'details'} for ${key}.`);
+      err.code = 'BUDGET_EXHAUSTED';
+      throw err;
+    }
+
+    const flightKey = `${kind} ${key}`;
+    if (!inFlight.has(flightKey)) {
+      usage.apiCalls += 1;
+      inFlight.set(
+        flightKey,
+        fetch().then((value) => {
+          store[kind][key] = { fetchedAt: new Date().toISOString(), value };
+          return value;
+        })
+      );
+    }
+    try {
+      const value = await inFlight.get(flightKey);
+      note(meta, store[kind][key], false);
+      return value;
+    } finally {
+      inFlight.delete(flightKey);
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  }
+
+  return {
+    baseUrl: provider.baseUrl,
+    textSearch: (query, meta) => cached('searches', query, () => provider.textSearch(query), meta),
+    details: (placeId, meta) => cached('details', placeId, () => provider.details(placeId), meta),
+    save,
+    usage: () => ({ ...usage, budget: Number.isFinite(budget) ? budget : null, ttlDays, refresh })
+  };
+}
+
+module.exports = { createPlacesCache };
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '..', 'fixtures', 'places', 'places.json');
+const DEFAULT_PORT = 4174;
+const QUERY_STOP_WORDS = new Set(['nuffield', 'health', 'gym', 'fitness', 'wellbeing', 'and', 'the', 'uk']);
+
+function loadPlacesFixtures(file = DEFAULT_FIXTURES) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read Places fixtures ${file}: ${err.message}`);
+  }
+  if (!Array.isArray(data.places)) {
+    throw new Error(`Places fixtures ${file} must contain a "places" array.`);
+  }
+  return data.places;
+}
+
+function searchPlaces(places, query) {
+  const tokens = query
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1 && !QUERY_STOP_WORDS.has(t));
+  if (!tokens.length) return [];
+  return places
+    .map((place) => {
+      const haystack = `${place.name || ''} ${place.formatted_address || ''}`.toLowerCase();
+      return { place, hits: tokens.filter((t) => haystack.includes(t)).length };
+    })
+    .filter((r) => r.hits > 0)
+    .sort((a, b) => b.hits - a.hits)
+    .map(({ place }) => ({
+      place_id: place.place_id,
+      name: place.name,
+      formatted_address: place.formatted_address,
+      geometry: place.geometry,
+      business_status: place.business_status
+    }));
+}
+
+function createPlacesMockServer(places) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname.endsWith('/textsearch/json')) {
+      const results = searchPlaces(places, url.searchParams.get('query') || '');
+      send(200, { status: results.length ? 'OK' : 'ZERO_RESULTS', results });
+    } else if (url.pathname.endsWith('/details/json')) {
+      const place = places.find((p) => p.place_id === url.searchParams.get('place_id'));
+      send(200, place ? { status: 'OK', result: place } : { status: 'NOT_FOUND' });
+    } else {
+      send(404, { status: 'NOT_FOUND', error_message: `Unknown endpoint ${url.pathname}` });
+    }
+  });
+}
+
+function startPlacesMockServer({ fixtures = DEFAULT_FIXTURES, port = DEFAULT_PORT, host = '127.0.0.1' } = {}) {
+  const server = createPlacesMockServer(loadPlacesFixtures(fixtures));
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({ server, baseUrl: `http://${host}:${address.port}` });
+    });
+  });
+}
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string' },
+      fixtures: { type: 'string' }
+    }
+  });
+  startPlacesMockServer({
+    fixtures: values.fixtures ? path.resolve(values.fixtures) : DEFAULT_FIXTURES,
+    port: values.port ? Number(values.port) : DEFAULT_PORT
+  })
+    .then(({ baseUrl }) => {
+      console.log(`Places stand-in listening on ${baseUrl}`);
+      console.log(`Run the audit against it with: node audit.js --places-url ${baseUrl}`);
+    })
+    .catch((err) => {
+      console.error(err.message || err);
+      process.exit(1);
+    });
+}
+
+module.exports = { DEFAULT_FIXTURES, loadPlacesFixtures, searchPlaces, createPlacesMockServer, startPlacesMockServer };
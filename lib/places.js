@@ -0,0 +1,191 @@
+const { normalizePostcode } = require('./structured-data');
+
+const GOOGLE_PLACES_BASE_URL = 'https://maps.googleapis.com/maps/api/place';
+
+const DETAIL_FIELDS = [
+  'name',
+  'formatted_address',
+  'geometry',
+  'rating',
+  'user_ratings_total',
+  'business_status',
+  'opening_hours',
+  'photos',
+  'website',
+  'formatted_phone_number',
+  'reviews',
+  'url'
+];
+
+const UK_POSTCODE_RE = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/i;
+const GENERIC_NAME_WORDS = new Set(['nuffield', 'health', 'gym', 'club', 'fitness', 'wellbeing', 'and', 'the', 'in', 'centre', 'center']);
+const UNKNOWN_SIGNAL = 0.5;
+
+function createPlacesProvider({ apiKey = '', baseUrl = GOOGLE_PLACES_BASE_URL, fetchJson }) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  function endpoint(name, params) {
+    const query = new URLSearchParams(params);
+    if (apiKey) query.set('key', apiKey);
+    return `${root}/${name}/json?${query}`;
+  }
+
+  async function call(name, params) {
+    const body = await fetchJson(endpoint(name, params));
+    if (body.status && !['OK', 'ZERO_RESULTS'].includes(body.status)) {
+      throw new Error(`Places ${name} returned ${body.status}${body.error_message ? `: ${body.error_message}` : ''}`);
+    }
+    return body;
+  }
+
+  async function textSearch(query) {
+    const body = await call('textsearch', { query });
+    return Array.isArray(body.results) ? body.results : [];
+  }
+
+  async function details(placeId) {
+    const body = await call('details', { place_id: placeId, fields: DETAIL_FIELDS.join(',') });
+    return body.result || {};
+  }
+
+  return { baseUrl: root, textSearch, details };
+}
+
+function postcodeOf(text) {
+  const m = (text || '').match(UK_POSTCODE_RE);
+  return m ? normalizePostcode(`${m[1]}${m[2]}`) : '';
+}
+
+function distinctiveWords(name) {
+  return (name || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w && !GENERIC_NAME_WORDS.has(w));
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function distanceKm(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLng = rad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+function candidateLocation(candidate) {
+  const loc = candidate.geometry && candidate.geometry.location;
+  return loc && Number.isFinite(loc.lat) && Number.isFinite(loc.lng) ? { latitude: loc.lat, longitude: loc.lng } : null;
+}
+
+function gymPlaceHints(gym) {
+  const entity = gym.structuredData && gym.structuredData.entity;
+  return {
+    words: distinctiveWords(gym.gymName),
+    postcode: (gym.nap && gym.nap.postcode) || (entity && entity.postalCode ? normalizePostcode(entity.postalCode) : ''),
+    location: (entity && entity.geo) || null
+  };
+}
+
+function scoreCandidate(hints, candidate, config) {
+  const name = (candidate.name || '').toLowerCase();
+  const signals = {};
+
+  const words = new Set(distinctiveWords(name));
+  const shared = hints.words.filter((w) => words.has(w)).length;
+  const union = new Set([...hints.words, ...words]).size;
+  const overlap = hints.words.length ? shared / union : UNKNOWN_SIGNAL;
+  signals.name = { score: 0.7 * overlap + (config.brandRe.test(name) ? 0.3 : 0), detail: `"${candidate.name || ''}"` };
+
+  const candidatePostcode = postcodeOf(candidate.formatted_address);
+  if (hints.postcode && candidatePostcode) {
+    const outward = (p) => p.slice(0, -3);
+    const score = candidatePostcode === hints.postcode ? 1 : outward(candidatePostcode) === outward(hints.postcode) ? 0.5 : 0;
+    signals.postcode = { score, detail: `${candidatePostcode} vs page ${hints.postcode}` };
+  } else {
+    signals.postcode = { score: UNKNOWN_SIGNAL, detail: 'not comparable' };
+  }
+
+  const location = candidateLocation(candidate);
+  if (hints.location && location) {
+    const km = distanceKm(hints.location, location);
+    signals.distance = { score: Math.max(0, 1 - km / config.maxDistanceKm), detail: `${km.toFixed(1)} km from page coordinates` };
+  } else {
+    signals.distance = { score: UNKNOWN_SIGNAL, detail: 'not comparable' };
+  }
+
+  const confidence = Object.entries(config.weights).reduce((sum, [key, weight]) => sum + (weight * signals[key].score) / 100, 0);
+  for (const signal of Object.values(signals)) signal.score = round2(signal.score);
+  return { placeId: candidate.place_id, name: candidate.name || '', confidence: round2(confidence), signals };
+}
+
+function rankPlaceCandidates(gym, results, rules) {
+  const config = rules.places;
+  const hints = gymPlaceHints(gym);
+  return results
+    .filter((r) => r.place_id)
+    .slice(0, config.maxCandidates)
+    .map((r) => scoreCandidate(hints, r, config))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+function placeQuery(gym, rules) {
+  return rules.places.queryTemplate.replace(/\{gymName\}/g, gym.gymName);
+}
+
+function summarizePlaceDetails(details, fallback) {
+  const weekdayText = (details.opening_hours && details.opening_hours.weekday_text) || [];
+  return {
+    name: details.name || fallback.name,
+    formatted_address: details.formatted_address || '',
+    rating: details.rating,
+    user_ratings_total: details.user_ratings_total,
+    business_status: details.business_status || fallback.business_status || 'UNKNOWN',
+    has_hours: weekdayText.length > 0,
+    photos_count: Array.isArray(details.photos) ? details.photos.length : 0,
+    has_website: Boolean(details.website),
+    has_phone: Boolean(details.formatted_phone_number),
+    formatted_phone_number: details.formatted_phone_number || '',
+    weekday_text: weekdayText,
+    reviews: (details.reviews || []).map((r) => ({ rating: r.rating, text: r.text || '', time: r.time })),
+    google_maps_url: details.url || ''
+  };
+}
+
+function cacheFields(meta) {
+  return meta.fetchedAt ? { fetchedAt: meta.fetchedAt, stale: Boolean(meta.stale) } : {};
+}
+
+async function lookupPlace(gym, provider, rules) {
+  const meta = {};
+  try {
+    const results = await provider.textSearch(placeQuery(gym, rules), meta);
+    const ranked = rankPlaceCandidates(gym, results, rules);
+    if (!ranked.length) {
+      return { status: 'not_found', message: 'Google profile not found for this gym.', ...cacheFields(meta) };
+    }
+
+    const [best] = ranked;
+    const match = { confidence: best.confidence, signals: best.signals, candidates: ranked.map(({ placeId, name, confidence }) => ({ placeId, name, confidence })) };
+    if (best.confidence < rules.places.minConfidence) {
+      return {
+        status: 'low_confidence',
+        placeId: best.placeId,
+        match,
+        message: `Google match "${best.name}" has low confidence (${best.confidence.toFixed(2)}, minimum ${rules.places.minConfidence}); not used.`,
+        ...cacheFields(meta)
+      };
+    }
+
+    const fallback = results.find((r) => r.place_id === best.placeId);
+    const details = await provider.details(best.placeId, meta);
+    return { status: 'ok', placeId: best.placeId, match, details: summarizePlaceDetails(details, fallback), ...cacheFields(meta) };
+  } catch (err) {
+    if (err.code === 'BUDGET_EXHAUSTED') return { status: 'skipped', message: `Google lookup skipped: ${err.message}` };
+    return { status: 'error', message: `Google lookup failed: ${String(err.message || err)}` };
+  }
+}
+
+module.exports = { GOOGLE_PLACES_BASE_URL, createPlacesProvider, rankPlaceCandidates, lookupPlace };
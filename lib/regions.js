@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { usageError, parseRulesText, createValidator } = require('./rules');
+const { normalizePostcode } = require('./structured-data');
+
+const DEFAULT_REGIONS_PATH = path.join(__dirname, '..', 'config', 'regions.json');
+const TITLE_TOWN_RE = /\bgyms? in ([^,|(]+)/i;
+const POSTCODE_TOKEN_RE = /\b[A-Z]{1,2}\d[A-Z\d]?(?:\s*\d[A-Z]{2})?\b/g;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function validateRegions(raw, file) {
+  const v = createValidator();
+  const root = v.object({ value: raw, path: '(root)' }) || {};
+
+  const version = v.string(v.at(root, 'version'));
+  const defaultRegion = v.string(v.at(root, 'defaultRegion'));
+  const defaultFormat = v.string(v.at(root, 'defaultFormat'));
+
+  const regions = [];
+  const regionsField = v.at(root, 'regions');
+  if (!Array.isArray(regionsField.value) || !regionsField.value.length) {
+    v.errors.push('regions must be a non-empty array');
+  } else {
+    regionsField.value.forEach((r, i) => {
+      const where = `regions[${i}]`;
+      const obj = v.object({ value: r, path: where }) || {};
+      const cities = v.at(obj, 'cities', where);
+      if (!Array.isArray(cities.value)) v.errors.push(`${cities.path} must be an array of strings`);
+      else cities.value.forEach((c, j) => v.string({ value: c, path: `${cities.path}[${j}]` }));
+      regions.push({
+        name: v.string(v.at(obj, 'name', where)),
+        defaultCity: obj.defaultCity == null ? '' : v.string(v.at(obj, 'defaultCity', where)),
+        postcodes: (v.stringList(v.at(obj, 'postcodes', where)) || []).map((p) => p.toUpperCase()),
+        cities: (Array.isArray(cities.value) ? cities.value : []).map((name) => ({ name, re: new RegExp(`\\b${escapeRegExp(String(name))}\\b`, 'i') }))
+      });
+    });
+  }
+
+  const formats = [];
+  const formatsField = v.at(root, 'formats');
+  if (!Array.isArray(formatsField.value) || !formatsField.value.length) {
+    v.errors.push('formats must be a non-empty array');
+  } else {
+    formatsField.value.forEach((f, i) => {
+      const where = `formats[${i}]`;
+      const obj = v.object({ value: f, path: where }) || {};
+      formats.push({ name: v.string(v.at(obj, 'name', where)), re: v.regex(v.at(obj, 'pattern', where), 'i') });
+    });
+  }
+
+  const regionNames = [...regions.map((r) => r.name), defaultRegion];
+  const formatNames = [...formats.map((f) => f.name), defaultFormat];
+  const gymsObj = root.gyms == null ? {} : v.object(v.at(root, 'gyms')) || {};
+  const gyms = {};
+  for (const [slug, entry] of Object.entries(gymsObj)) {
+    const where = `gyms.${slug}`;
+    const obj = v.object({ value: entry, path: where }) || {};
+    for (const key of Object.keys(obj)) {
+      if (!['region', 'city', 'format'].includes(key)) v.errors.push(`${where}.${key} is not recognised (use region, city or format)`);
+      else v.string(v.at(obj, key, where));
+    }
+    if (obj.region && !regionNames.includes(obj.region)) v.errors.push(`${where}.region "${obj.region}" is not one of: ${regionNames.join(', ')}`);
+    if (obj.format && !formatNames.includes(obj.format)) v.errors.push(`${where}.format "${obj.format}" is not one of: ${formatNames.join(', ')}`);
+    gyms[slug] = obj;
+  }
+
+  if (v.errors.length) {
+    throw usageError(`Invalid regions file ${file}:\n${v.errors.map((e) => `  - ${e}`).join('\n')}`);
+  }
+
+  return { version, defaultRegion, defaultFormat, regions, formats, gyms };
+}
+
+function loadRegions(file = DEFAULT_REGIONS_PATH) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw usageError(`Could not read regions file ${file}: ${err.message}`);
+  }
+
+  const mapping = validateRegions(parseRulesText(text, file), file);
+  const relative = path.relative(process.cwd(), file);
+  mapping.source = {
+    file: relative && !relative.startsWith('..') ? relative.split(path.sep).join('/') : file,
+    version: mapping.version,
+    sha256: crypto.createHash('sha256').update(text).digest('hex')
+  };
+  return mapping;
+}
+
+function regionByPostcode(postcode, mapping) {
+  if (!postcode || postcode.length < 5) return null;
+  const outward = postcode.slice(0, -3);
+  const area = (outward.match(/^[A-Z]+/) || [''])[0];
+  const district = mapping.regions.find((r) => r.postcodes.includes(outward));
+  if (district) return { region: district, detail: `postcode district ${outward}` };
+  const byArea = mapping.regions.find((r) => r.postcodes.includes(area));
+  return byArea ? { region: byArea, detail: `postcode area ${area}` } : null;
+}
+
+function cityInText(text, mapping) {
+  for (const region of mapping.regions) {
+    const city = region.cities.find((c) => c.re.test(text));
+    if (city) return { region, city: city.name };
+  }
+  return null;
+}
+
+function townFromTitle(title) {
+  const m = (title || '').match(TITLE_TOWN_RE);
+  return m ? m[1].replace(POSTCODE_TOKEN_RE, '').replace(/\s+/g, ' ').trim() : '';
+}
+
+function assignGroup(gym, mapping) {
+  const override = mapping.gyms[gym.slug] || {};
+  const entity = gym.structuredData && gym.structuredData.entity;
+  const postcode = normalizePostcode((gym.nap && gym.nap.postcode) || (entity && entity.postalCode) || '');
+  const text = [gym.gymName, gym.title, gym.nap && gym.nap.address].filter(Boolean).join(' | ');
+  const byPostcode = regionByPostcode(postcode, mapping);
+  const byCity = cityInText(text, mapping);
+
+  let region = mapping.defaultRegion;
+  let regionSource = 'no mapped postcode or city';
+  if (override.region) {
+    region = override.region;
+    regionSource = 'mapping file';
+  } else if (byPostcode) {
+    region = byPostcode.region.name;
+    regionSource = byPostcode.detail;
+  } else if (byCity) {
+    region = byCity.region.name;
+    regionSource = `city ${byCity.city}`;
+  }
+
+  const regionEntry = mapping.regions.find((r) => r.name === region);
+  const titleTown = townFromTitle(gym.title);
+  const [city, citySource] = override.city
+    ? [override.city, 'mapping file']
+    : byCity
+      ? [byCity.city, 'name or address']
+      : regionEntry && regionEntry.defaultCity
+        ? [regionEntry.defaultCity, `${region} default`]
+        : titleTown
+          ? [titleTown, 'page title']
+          : ['', 'not found'];
+
+  const matchedFormat = !override.format && (mapping.formats.find((f) => f.re.test(gym.gymName || '')) || mapping.formats.find((f) => f.re.test(gym.title || '')));
+  const [format, formatSource] = override.format
+    ? [override.format, 'mapping file']
+    : matchedFormat
+      ? [matchedFormat.name, 'gym name or title']
+      : [mapping.defaultFormat, 'no format pattern matched'];
+
+  return {
+    region,
+    city,
+    format,
+    evidence: `Region ${region} (${regionSource}); city ${city || 'unknown'} (${citySource}); format ${format} (${formatSource}).`
+  };
+}
+
+function rollupRows(gyms, groupOf, criteriaKeys) {
+  const groups = new Map();
+  for (const gym of gyms) {
+    const name = groupOf(gym);
+    if (!name) continue;
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(gym);
+  }
+  const percent = (n, d) => (d ? Math.round((n / d) * 100) : null);
+  return [...groups.entries()]
+    .map(([name, members]) => {
+      const passRates = {};
+      for (const key of criteriaKeys) {
+        const scored = members.filter((g) => g.criteria[key]);
+        passRates[key] = percent(scored.filter((g) => g.criteria[key].pass).length, scored.length);
+      }
+      passRates.joinRoute = percent(members.filter((g) => g.joinRoutePresent).length, members.length);
+      return {
+        name,
+        gyms: members.length,
+        averageScore: Math.round(members.reduce((sum, g) => sum + g.score, 0) / members.length),
+        highPriority: members.filter((g) => g.fixPriority === 'High').length,
+        passRates,
+        slugs: members.map((g) => g.slug)
+      };
+    })
+    .sort((a, b) => b.gyms - a.gyms || a.name.localeCompare(b.name));
+}
+
+function buildRollups(gyms, mapping, criteriaKeys) {
+  return {
+    mapping: mapping.source || null,
+    regions: rollupRows(gyms, (g) => g.region, criteriaKeys),
+    cities: rollupRows(gyms, (g) => g.city, criteriaKeys),
+    formats: rollupRows(gyms, (g) => g.format, criteriaKeys)
+  };
+}
+
+module.exports = { DEFAULT_REGIONS_PATH, loadRegions, validateRegions, assignGroup, buildRollups, rollupRows, townFromTitle };
@@ -0,0 +1,165 @@
+const fs = require('fs');
+
+const CHROME_PATHS = [
+  '/usr/bin/chromium',
+  '/usr/bin/chromium-browser',
+  '/usr/bin/google-chrome',
+  '/usr/bin/google-chrome-stable',
+  '/snap/bin/chromium',
+  '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+  '/Applications/Chromium.app/Contents/MacOS/Chromium',
+  'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+  'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe'
+];
+
+const MAX_OPEN_PAGES = 2;
+
+function findChrome(explicitPath) {
+  const candidates = [explicitPath, process.env.CHROME_PATH, ...CHROME_PATHS].filter(Boolean);
+  return candidates.find((p) => fs.existsSync(p)) || null;
+}
+
+function loadPuppeteer() {
+  try {
+    return require('puppeteer-core');
+  } catch {
+    return null;
+  }
+}
+
+function locateCtas(terms, hrefSource) {
+  const hrefRe = new RegExp(hrefSource);
+  const foldHeight = window.innerHeight;
+  const results = [];
+  for (const el of document.querySelectorAll('a, button')) {
+    const text = (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+    const href = (el.getAttribute('href') || '').trim();
+    const lowerText = text.toLowerCase();
+    if (!terms.some((t) => lowerText.includes(t)) && !hrefRe.test(href.toLowerCase())) continue;
+
+    const rect = el.getBoundingClientRect();
+    const style = window.getComputedStyle(el);
+    const visible = rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none' && Number(style.opacity) > 0;
+    const top = Math.round(rect.top + window.scrollY);
+    results.push({
+      text: text.slice(0, 80),
+      href,
+      visible,
+      top,
+      width: Math.round(rect.width),
+      height: Math.round(rect.height),
+      aboveFold: visible && top < foldHeight
+    });
+  }
+  return results;
+}
+
+async function createRenderer(rules, options = {}) {
+  const puppeteer = loadPuppeteer();
+  if (!puppeteer) {
+    return { renderer: null, reason: 'puppeteer-core is not installed' };
+  }
+  const executablePath = findChrome(options.executablePath);
+  if (!executablePath) {
+    return { renderer: null, reason: 'no local Chrome or Chromium found (set CHROME_PATH or --chrome-path)' };
+  }
+
+  let browser;
+  try {
+    const noSandbox = options.noSandbox || process.env.CHROME_NO_SANDBOX === '1';
+    browser = await puppeteer.launch({ executablePath, headless: true, args: noSandbox ? ['--no-sandbox'] : [] });
+  } catch (err) {
+    return { renderer: null, reason: `could not start ${executablePath}: ${err.message}` };
+  }
+
+  const config = rules.rendering;
+  const waiting = [];
+  let open = 0;
+
+  async function acquire() {
+    if (open < MAX_OPEN_PAGES) {
+      open += 1;
+      return;
+    }
+    await new Promise((resolve) => waiting.push(resolve));
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) next();
+    else open -= 1;
+  }
+
+  async function renderViewport(url, name, viewport) {
+    const page = await browser.newPage();
+    try {
+      if (options.userAgent) await page.setUserAgent(options.userAgent);
+      await page.setViewport({ width: viewport.width, height: viewport.height, isMobile: name === 'mobile', hasTouch: name === 'mobile' });
+      if (options.admit) await options.admit(url);
+      const res = await page.goto(url, { waitUntil: 'networkidle2', timeout: config.timeoutMs });
+      if (res && res.status() >= 400) throw new Error(`HTTP ${res.status()} in the ${name} viewport`);
+      const ctas = await page.evaluate(locateCtas, rules.joinCta.textTerms, rules.joinCta.hrefRe.source);
+      const html = await page.content();
+      return { status: res ? res.status() : 0, html, ctas };
+    } finally {
+      await page.close();
+    }
+  }
+
+  async function render(url) {
+    await acquire();
+    try {
+      const viewports = {};
+      let html = '';
+      let status = 0;
+      for (const [name, viewport] of Object.entries(config.viewports)) {
+        const result = await renderViewport(url, name, viewport);
+        viewports[name] = { width: viewport.width, height: viewport.height, ctas: result.ctas };
+        if (name === 'desktop' || !html) {
+          html = result.html;
+          status = result.status;
+        }
+      }
+      return { status, html, viewports };
+    } finally {
+      release();
+    }
+  }
+
+  return { renderer: { executablePath, render, close: () => browser.close() }, reason: '' };
+}
+
+function summarizeRendering(rendered, rules) {
+  const minSize = rules.rendering.minTargetSize;
+  const viewports = {};
+  for (const [name, vp] of Object.entries(rendered.viewports)) {
+    const visible = vp.ctas.filter((c) => c.visible);
+    const first = visible.find((c) => c.aboveFold) || visible[0] || null;
+    viewports[name] = {
+      width: vp.width,
+      height: vp.height,
+      ctaCount: visible.length,
+      aboveFold: Boolean(first && first.aboveFold),
+      cta: first,
+      smallTarget: Boolean(first) && (first.width < minSize || first.height < minSize)
+    };
+  }
+  const names = Object.keys(viewports);
+  return {
+    mode: 'browser',
+    viewports,
+    aboveFoldEverywhere: names.length > 0 && names.every((n) => viewports[n].aboveFold)
+  };
+}
+
+function buildRenderingEvidence(rendering) {
+  if (!rendering || rendering.mode !== 'browser') return '';
+  const parts = Object.entries(rendering.viewports).map(([name, vp]) => {
+    if (!vp.cta) return `${name}: no visible join CTA`;
+    const where = vp.aboveFold ? 'above the fold' : `below the fold (${vp.cta.top}px down, fold at ${vp.height}px)`;
+    return `${name}: "${vp.cta.text}" ${where}, ${vp.cta.width}×${vp.cta.height}px${vp.smallTarget ? ' (small tap target)' : ''}`;
+  });
+  return `Rendered check — ${parts.join('; ')}.`;
+}
+
+module.exports = { createRenderer, summarizeRendering, buildRenderingEvidence };
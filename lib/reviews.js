@@ -0,0 +1,104 @@
+const CLAUSE_SPLIT_RE = /[.!?;,\n]+|\b(?:and|but|however|although|though)\b/i;
+const EXAMPLE_LENGTH = 140;
+
+function isNegated(clause, index, negators) {
+  const before = clause.slice(0, index).toLowerCase().split(/[^a-z']+/).filter(Boolean).slice(-3);
+  return before.some((w) => negators.includes(w) || w.endsWith("n't"));
+}
+
+function clauseSentiment(clause, config) {
+  let score = 0;
+  for (const [re, sign] of [
+    [config.positiveRe, 1],
+    [config.negativeRe, -1]
+  ]) {
+    for (const m of clause.matchAll(re)) {
+      score += isNegated(clause, m.index, config.negators) ? -sign : sign;
+    }
+  }
+  return score;
+}
+
+function ratingSentiment(rating) {
+  if (rating == null) return 0;
+  if (rating <= 2) return -1;
+  return rating >= 4 ? 1 : 0;
+}
+
+function themesOnPage(bodyText, rules) {
+  return rules.reviews.themes.filter((t) => t.pageRe.test(bodyText)).map((t) => t.key);
+}
+
+function example(clause) {
+  const text = clause.replace(/\s+/g, ' ').trim();
+  return text.length > EXAMPLE_LENGTH ? `${text.slice(0, EXAMPLE_LENGTH - 1)}…` : text;
+}
+
+function analyzeReviews(reviews, pageThemes, rules) {
+  const config = rules.reviews;
+  const themes = config.themes.map((t) => ({ key: t.key, label: t.label, mentions: 0, positive: 0, negative: 0, neutral: 0, examples: [] }));
+  const texts = (reviews || []).filter((r) => r.text && r.text.trim());
+
+  for (const review of texts) {
+    const clauses = review.text.split(CLAUSE_SPLIT_RE).filter((c) => c && c.trim());
+    config.themes.forEach((theme, i) => {
+      const matching = clauses.filter((c) => theme.re.test(c));
+      if (!matching.length) return;
+      const total = matching.reduce((sum, c) => sum + clauseSentiment(c, config), 0);
+      const sentiment = Math.sign(total) || ratingSentiment(review.rating);
+      const entry = themes[i];
+      entry.mentions += 1;
+      if (sentiment > 0) entry.positive += 1;
+      else if (sentiment < 0) {
+        entry.negative += 1;
+        const worst = matching.reduce((a, b) => (clauseSentiment(b, config) < clauseSentiment(a, config) ? b : a));
+        if (entry.examples.length < 2) entry.examples.push(example(worst));
+      } else entry.neutral += 1;
+    });
+  }
+
+  const mentioned = themes.filter((t) => t.mentions > 0);
+  const complaints = mentioned
+    .filter((t) => t.negative >= config.recurringMinReviews)
+    .sort((a, b) => b.negative - a.negative)
+    .map((t) => ({ key: t.key, label: t.label, negative: t.negative, addressedOnPage: pageThemes.includes(t.key), examples: t.examples }));
+  const praise = mentioned
+    .filter((t) => t.positive >= config.recurringMinReviews && t.positive > t.negative)
+    .sort((a, b) => b.positive - a.positive)
+    .map((t) => ({ key: t.key, label: t.label, positive: t.positive }));
+
+  return { reviewCount: texts.length, themes: mentioned, complaints, praise };
+}
+
+function buildReviewEvidence(analysis) {
+  if (!analysis) return '';
+  if (!analysis.reviewCount) return 'No review texts returned by Google.';
+  const parts = [`Review themes from ${analysis.reviewCount} Google reviews.`];
+  if (analysis.complaints.length) {
+    const list = analysis.complaints.map(
+      (c) => `${c.label} (${c.negative} negative, ${c.addressedOnPage ? 'mentioned on page' : 'not mentioned on page'})`
+    );
+    parts.push(`Recurring complaints: ${list.join('; ')}.`);
+  } else {
+    parts.push('No recurring complaints.');
+  }
+  if (analysis.praise.length) parts.push(`Praised: ${analysis.praise.map((p) => `${p.label} (${p.positive})`).join(', ')}.`);
+  return parts.join(' ');
+}
+
+function summarizeReviewComplaints(gyms, rules) {
+  return rules.reviews.themes
+    .map((theme) => {
+      const affected = gyms.filter((g) => g.reviewAnalysis && g.reviewAnalysis.complaints.some((c) => c.key === theme.key));
+      return {
+        key: theme.key,
+        label: theme.label,
+        gyms: affected.map((g) => g.slug),
+        notAddressed: affected.filter((g) => g.reviewAnalysis.complaints.find((c) => c.key === theme.key).addressedOnPage === false).map((g) => g.slug)
+      };
+    })
+    .filter((row) => row.gyms.length)
+    .sort((a, b) => b.gyms.length - a.gyms.length);
+}
+
+module.exports = { themesOnPage, analyzeReviews, buildReviewEvidence, summarizeReviewComplaints };
@@ -0,0 +1,415 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const YAML = require('yaml');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'rules.json');
+const SCORED = ['coreFacilities', 'imagery', 'joinRoute', 'clubDescription', 'structuredData', 'seo', 'accessibility', 'performance'];
+
+function usageError(message) {
+  const err = new Error(message);
+  err.code = 'USAGE';
+  return err;
+}
+
+function parseRulesText(text, file) {
+  const ext = path.extname(file).toLowerCase();
+  try {
+    return ext === '.yml' || ext === '.yaml' ? YAML.parse(text) : JSON.parse(text);
+  } catch (err) {
+    throw usageError(`Could not parse rules file ${file}: ${err.message}`);
+  }
+}
+
+function createValidator() {
+  const errors = [];
+
+  const isObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+  function at(obj, key, where) {
+    const p = where ? `${where}.${key}` : key;
+    return { value: obj == null ? undefined : obj[key], path: p };
+  }
+
+  function object(field) {
+    if (!isObject(field.value)) {
+      errors.push(`${field.path} must be an object`);
+      return null;
+    }
+    return field.value;
+  }
+
+  function string(field) {
+    if (typeof field.value !== 'string' || !field.value.trim()) {
+      errors.push(`${field.path} must be a non-empty string`);
+      return null;
+    }
+    return field.value;
+  }
+
+  function count(field) {
+    if (!Number.isInteger(field.value) || field.value < 0) {
+      errors.push(`${field.path} must be a non-negative integer`);
+      return null;
+    }
+    return field.value;
+  }
+
+  function range(field) {
+    const obj = object(field);
+    if (!obj) return null;
+    const min = count({ value: obj.min, path: `${field.path}.min` });
+    const max = count({ value: obj.max, path: `${field.path}.max` });
+    if (min != null && max != null && min > max) {
+      errors.push(`${field.path}.min must not be greater than ${field.path}.max`);
+    }
+    return { min, max };
+  }
+
+  function boolean(field) {
+    if (typeof field.value !== 'boolean') {
+      errors.push(`${field.path} must be true or false`);
+      return null;
+    }
+    return field.value;
+  }
+
+  function stringList(field) {
+    if (!Array.isArray(field.value) || !field.value.length) {
+      errors.push(`${field.path} must be a non-empty array of strings`);
+      return null;
+    }
+    field.value.forEach((v, i) => string({ value: v, path: `${field.path}[${i}]` }));
+    return field.value;
+  }
+
+  function regex(field, flags = '') {
+    const source = string(field);
+    if (source == null) return null;
+    try {
+      return new RegExp(source, flags);
+    } catch (err) {
+      errors.push(`${field.path} is not a valid regular expression: ${err.message}`);
+      return null;
+    }
+  }
+
+  return { errors, at, object, string, count, range, boolean, stringList, regex };
+}
+
+function validateRules(raw, file) {
+  const v = createValidator();
+  const root = v.object({ value: raw, path: '(root)' }) || {};
+
+  const version = v.string(v.at(root, 'version'));
+
+  const facilitiesField = v.at(root, 'coreFacilities');
+  const coreFacilities = [];
+  if (!Array.isArray(facilitiesField.value) || !facilitiesField.value.length) {
+    v.errors.push('coreFacilities must be a non-empty array');
+  } else {
+    const seen = new Set();
+    facilitiesField.value.forEach((f, i) => {
+      const where = `coreFacilities[${i}]`;
+      if (!v.object({ value: f, path: where })) return;
+      const key = v.string(v.at(f, 'key', where));
+      const label = v.string(v.at(f, 'label', where));
+      const re = v.regex(v.at(f, 'pattern', where));
+      if (key && seen.has(key)) v.errors.push(`${where}.key "${key}" is duplicated`);
+      seen.add(key);
+      coreFacilities.push({ key, label, pattern: f.pattern, test: (t) => re.test(t) });
+    });
+  }
+
+  const inventoryObj = v.object(v.at(root, 'facilityInventory')) || {};
+  const vocabularyField = v.at(inventoryObj, 'vocabulary', 'facilityInventory');
+  const facilityInventory = { sectionRe: v.regex(v.at(inventoryObj, 'sectionPattern', 'facilityInventory'), 'i'), vocabulary: [] };
+  if (!Array.isArray(vocabularyField.value) || !vocabularyField.value.length) {
+    v.errors.push('facilityInventory.vocabulary must be a non-empty array');
+  } else {
+    const seen = new Set();
+    vocabularyField.value.forEach((f, i) => {
+      const where = `facilityInventory.vocabulary[${i}]`;
+      if (!v.object({ value: f, path: where })) return;
+      const key = v.string(v.at(f, 'key', where));
+      if (key && seen.has(key)) v.errors.push(`${where}.key "${key}" is duplicated`);
+      seen.add(key);
+      facilityInventory.vocabulary.push({
+        key,
+        label: v.string(v.at(f, 'label', where)),
+        category: v.string(v.at(f, 'category', where)),
+        re: v.regex(v.at(f, 'pattern', where)),
+        detailRe: f.detailPattern == null ? null : v.regex(v.at(f, 'detailPattern', where))
+      });
+    });
+  }
+
+  const img = v.object(v.at(root, 'imagery')) || {};
+  const imagery = {
+    minMeaningfulImages: v.count(v.at(img, 'minMeaningfulImages', 'imagery')),
+    minModernFormat: v.count(v.at(img, 'minModernFormat', 'imagery')),
+    minLazy: v.count(v.at(img, 'minLazy', 'imagery')),
+    ignoreRe: v.regex(v.at(img, 'ignorePattern', 'imagery')),
+    modernFormatMarkers: (v.stringList(v.at(img, 'modernFormatMarkers', 'imagery')) || []).map((m) => m.toLowerCase())
+  };
+  const analysisObj = v.object(v.at(img, 'analysis', 'imagery')) || {};
+  imagery.analysis = {
+    maxImagesPerGym: v.count(v.at(analysisObj, 'maxImagesPerGym', 'imagery.analysis')),
+    maxBytes: v.count(v.at(analysisObj, 'maxBytes', 'imagery.analysis')),
+    minWidth: v.count(v.at(analysisObj, 'minWidth', 'imagery.analysis')),
+    maxOversizeFactor: v.count(v.at(analysisObj, 'maxOversizeFactor', 'imagery.analysis')),
+    modernFormats: (v.stringList(v.at(analysisObj, 'modernFormats', 'imagery.analysis')) || []).map((f) => f.toLowerCase()),
+    duplicateMaxDistance: v.count(v.at(analysisObj, 'duplicateMaxDistance', 'imagery.analysis')),
+    sharedMinGyms: v.count(v.at(analysisObj, 'sharedMinGyms', 'imagery.analysis'))
+  };
+
+  const cta = v.object(v.at(root, 'joinCta')) || {};
+  const joinCta = {
+    textTerms: (v.stringList(v.at(cta, 'textTerms', 'joinCta')) || []).map((t) => t.toLowerCase()),
+    hrefRe: v.regex(v.at(cta, 'hrefPattern', 'joinCta')),
+    onlineRe: v.regex(v.at(cta, 'onlinePattern', 'joinCta')),
+    membershipOptionsRe: v.regex(v.at(cta, 'membershipOptionsPattern', 'joinCta'), 'i'),
+    maxTopIndex: v.count(v.at(cta, 'maxTopIndex', 'joinCta'))
+  };
+
+  const desc = v.object(v.at(root, 'clubDescription')) || {};
+  const maxSimilarity = v.at(desc, 'maxSimilarity', 'clubDescription');
+  if (typeof maxSimilarity.value !== 'number' || maxSimilarity.value < 0 || maxSimilarity.value > 1) {
+    v.errors.push(`${maxSimilarity.path} must be a number between 0 and 1`);
+  }
+  const clubDescription = {
+    introMaxWords: v.count(v.at(desc, 'introMaxWords', 'clubDescription')),
+    minWords: v.count(v.at(desc, 'minWords', 'clubDescription')),
+    minReadingEase: v.count(v.at(desc, 'minReadingEase', 'clubDescription')),
+    maxSentenceWords: v.count(v.at(desc, 'maxSentenceWords', 'clubDescription')),
+    minLocalMentions: v.count(v.at(desc, 'minLocalMentions', 'clubDescription')),
+    maxSimilarity: maxSimilarity.value,
+    landmarkTerms: (v.stringList(v.at(desc, 'landmarkTerms', 'clubDescription')) || []).map((t) => t.toLowerCase()),
+    minAppealHits: v.count(v.at(desc, 'minAppealHits', 'clubDescription')),
+    minBenefitHits: v.count(v.at(desc, 'minBenefitHits', 'clubDescription')),
+    appealTerms: (v.stringList(v.at(desc, 'appealTerms', 'clubDescription')) || []).map((t) => t.toLowerCase()),
+    benefitTerms: (v.stringList(v.at(desc, 'benefitTerms', 'clubDescription')) || []).map((t) => t.toLowerCase())
+  };
+
+  const fp = v.object(v.at(root, 'fixPriority')) || {};
+  const fixPriority = {
+    criteria: v.stringList(v.at(fp, 'criteria', 'fixPriority')),
+    highWhenJoinRouteMissing: v.boolean(v.at(fp, 'highWhenJoinRouteMissing', 'fixPriority')),
+    highMinFailures: v.count(v.at(fp, 'highMinFailures', 'fixPriority')),
+    mediumMinFailures: v.count(v.at(fp, 'mediumMinFailures', 'fixPriority'))
+  };
+  const unknownPriority = (fixPriority.criteria || []).filter((key) => !SCORED.includes(key));
+  if (unknownPriority.length) {
+    v.errors.push(`fixPriority.criteria has unknown criteria ${unknownPriority.join(', ')} (use ${SCORED.join(', ')})`);
+  }
+  if (fixPriority.highMinFailures != null && fixPriority.mediumMinFailures != null && fixPriority.mediumMinFailures > fixPriority.highMinFailures) {
+    v.errors.push('fixPriority.mediumMinFailures must not be greater than fixPriority.highMinFailures');
+  }
+
+  const sd = v.object(v.at(root, 'structuredData')) || {};
+  const structuredData = {
+    gymTypes: v.stringList(v.at(sd, 'gymTypes', 'structuredData')),
+    required: v.stringList(v.at(sd, 'required', 'structuredData')),
+    recommended: v.stringList(v.at(sd, 'recommended', 'structuredData'))
+  };
+
+  const SEO_PENALTIES = [
+    'titleLength',
+    'descriptionLength',
+    'missingH1',
+    'multipleH1',
+    'skippedHeadingLevel',
+    'canonical',
+    'openGraph',
+    'twitter',
+    'ogImageUnreachable',
+    'noindex',
+    'duplicateTitle',
+    'duplicateDescription'
+  ];
+  const seoObj = v.object(v.at(root, 'seo')) || {};
+  const penaltiesObj = v.object(v.at(seoObj, 'penalties', 'seo')) || {};
+  const seo = {
+    titleLength: v.range(v.at(seoObj, 'titleLength', 'seo')),
+    descriptionLength: v.range(v.at(seoObj, 'descriptionLength', 'seo')),
+    openGraphTags: v.stringList(v.at(seoObj, 'openGraphTags', 'seo')),
+    twitterTags: v.stringList(v.at(seoObj, 'twitterTags', 'seo')),
+    penalties: Object.fromEntries(SEO_PENALTIES.map((key) => [key, v.count(v.at(penaltiesObj, key, 'seo.penalties'))]))
+  };
+
+  const ACCESSIBILITY_PENALTIES = [
+    'missingAlt',
+    'genericLinkText',
+    'unnamedLink',
+    'unnamedButton',
+    'missingLang',
+    'missingLandmarks',
+    'unlabelledInput',
+    'lowContrast'
+  ];
+  const a11yObj = v.object(v.at(root, 'accessibility')) || {};
+  const a11yPenaltiesObj = v.object(v.at(a11yObj, 'penalties', 'accessibility')) || {};
+  const minContrast = v.at(a11yObj, 'minContrastRatio', 'accessibility');
+  if (typeof minContrast.value !== 'number' || minContrast.value < 1 || minContrast.value > 21) {
+    v.errors.push(`${minContrast.path} must be a number between 1 and 21`);
+  }
+  const accessibility = {
+    genericLinkText: (v.stringList(v.at(a11yObj, 'genericLinkText', 'accessibility')) || []).map((t) => t.toLowerCase()),
+    landmarks: v.stringList(v.at(a11yObj, 'landmarks', 'accessibility')),
+    minContrastRatio: minContrast.value,
+    penalties: Object.fromEntries(ACCESSIBILITY_PENALTIES.map((key) => [key, v.count(v.at(a11yPenaltiesObj, key, 'accessibility.penalties'))]))
+  };
+
+  const PERFORMANCE_BUDGETS = ['htmlBytes', 'renderBlockingScripts', 'renderBlockingStyles', 'renderBlockingBytes', 'thirdPartyHosts', 'imageBytes', 'minResourceHints'];
+  const PERFORMANCE_PENALTIES = ['htmlBytes', 'renderBlockingScripts', 'renderBlockingStyles', 'renderBlockingBytes', 'thirdPartyHosts', 'imageBytes', 'resourceHints'];
+  const perfObj = v.object(v.at(root, 'performance')) || {};
+  const budgetObj = v.object(v.at(perfObj, 'budget', 'performance')) || {};
+  const perfPenaltiesObj = v.object(v.at(perfObj, 'penalties', 'performance')) || {};
+  const performance = {
+    firstPartyHosts: (v.stringList(v.at(perfObj, 'firstPartyHosts', 'performance')) || []).map((h) => h.toLowerCase()),
+    budget: Object.fromEntries(PERFORMANCE_BUDGETS.map((key) => [key, v.count(v.at(budgetObj, key, 'performance.budget'))])),
+    penalties: Object.fromEntries(PERFORMANCE_PENALTIES.map((key) => [key, v.count(v.at(perfPenaltiesObj, key, 'performance.penalties'))])),
+    worstOffenders: v.count(v.at(perfObj, 'worstOffenders', 'performance'))
+  };
+
+  const lc = v.object(v.at(root, 'linkCheck')) || {};
+  const linkCheck = {
+    subpages: v.stringList(v.at(lc, 'subpages', 'linkCheck')),
+    maxRedirects: v.count(v.at(lc, 'maxRedirects', 'linkCheck')),
+    maxLinksPerGym: v.count(v.at(lc, 'maxLinksPerGym', 'linkCheck')),
+    homepageRe: v.regex(v.at(lc, 'homepagePattern', 'linkCheck'))
+  };
+
+  const pl = v.object(v.at(root, 'places')) || {};
+  const placeWeightsObj = v.object(v.at(pl, 'weights', 'places')) || {};
+  const placeCacheObj = v.object(v.at(pl, 'cache', 'places')) || {};
+  const minConfidence = v.at(pl, 'minConfidence', 'places');
+  if (typeof minConfidence.value !== 'number' || minConfidence.value < 0 || minConfidence.value > 1) {
+    v.errors.push(`${minConfidence.path} must be a number between 0 and 1`);
+  }
+  const places = {
+    queryTemplate: v.string(v.at(pl, 'queryTemplate', 'places')),
+    brandRe: v.regex(v.at(pl, 'brandPattern', 'places'), 'i'),
+    maxCandidates: v.count(v.at(pl, 'maxCandidates', 'places')),
+    maxDistanceKm: v.count(v.at(pl, 'maxDistanceKm', 'places')),
+    minConfidence: minConfidence.value,
+    weights: Object.fromEntries(['name', 'postcode', 'distance'].map((key) => [key, v.count(v.at(placeWeightsObj, key, 'places.weights'))])),
+    cache: {
+      ttlDays: v.count(v.at(placeCacheObj, 'ttlDays', 'places.cache')),
+      requestBudget: v.count(v.at(placeCacheObj, 'requestBudget', 'places.cache'))
+    }
+  };
+  if (places.queryTemplate && !places.queryTemplate.includes('{gymName}')) v.errors.push('places.queryTemplate must contain {gymName}');
+  if (places.maxDistanceKm === 0) v.errors.push('places.maxDistanceKm must be above 0');
+  const placeWeights = Object.values(places.weights);
+  if (placeWeights.every((n) => n != null) && placeWeights.reduce((a, b) => a + b, 0) !== 100) {
+    v.errors.push('places.weights must add up to 100');
+  }
+
+  const rv = v.object(v.at(root, 'reviews')) || {};
+  const wordListRe = (field) => {
+    const words = v.stringList(field) || [];
+    const escaped = words.map((w) => w.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+    return new RegExp(`\\b(${escaped.join('|')})\\b`, 'gi');
+  };
+  const reviews = {
+    recurringMinReviews: v.count(v.at(rv, 'recurringMinReviews', 'reviews')),
+    negators: (v.stringList(v.at(rv, 'negators', 'reviews')) || []).map((w) => w.toLowerCase()),
+    positiveRe: wordListRe(v.at(rv, 'positiveWords', 'reviews')),
+    negativeRe: wordListRe(v.at(rv, 'negativeWords', 'reviews')),
+    themes: []
+  };
+  const themesField = v.at(rv, 'themes', 'reviews');
+  if (!Array.isArray(themesField.value) || !themesField.value.length) {
+    v.errors.push('reviews.themes must be a non-empty array');
+  } else {
+    const seen = new Set();
+    themesField.value.forEach((t, i) => {
+      const where = `reviews.themes[${i}]`;
+      if (!v.object({ value: t, path: where })) return;
+      const key = v.string(v.at(t, 'key', where));
+      if (key && seen.has(key)) v.errors.push(`${where}.key "${key}" is duplicated`);
+      seen.add(key);
+      reviews.themes.push({
+        key,
+        label: v.string(v.at(t, 'label', where)),
+        re: v.regex(v.at(t, 'pattern', where), 'i'),
+        pageRe: v.regex(v.at(t, 'pagePattern', where), 'i')
+      });
+    });
+  }
+
+  const rn = v.object(v.at(root, 'rendering')) || {};
+  const viewportsObj = v.object(v.at(rn, 'viewports', 'rendering')) || {};
+  const rendering = {
+    viewports: Object.fromEntries(
+      Object.keys(viewportsObj).map((name) => {
+        const vp = v.object(v.at(viewportsObj, name, 'rendering.viewports')) || {};
+        const where = `rendering.viewports.${name}`;
+        return [name, { width: v.count(v.at(vp, 'width', where)), height: v.count(v.at(vp, 'height', where)) }];
+      })
+    ),
+    minTargetSize: v.count(v.at(rn, 'minTargetSize', 'rendering')),
+    timeoutMs: v.count(v.at(rn, 'timeoutMs', 'rendering'))
+  };
+  if (!Object.keys(rendering.viewports).length) v.errors.push('rendering.viewports must define at least one viewport');
+
+  const COMPONENTS = {
+    imagery: ['count', 'delivery', 'quality'],
+    joinRoute: ['candidates', 'onlineDestination', 'nearTop'],
+    clubDescription: ['length', 'readability', 'local', 'distinctive', 'appeal', 'benefit'],
+    structuredData: ['required', 'consistency']
+  };
+  const sc = v.object(v.at(root, 'scoring')) || {};
+  const weightsObj = v.object(v.at(sc, 'weights', 'scoring')) || {};
+  const passObj = v.object(v.at(sc, 'passScores', 'scoring')) || {};
+  const componentsObj = v.object(v.at(sc, 'components', 'scoring')) || {};
+  const scoring = { weights: {}, passScores: {}, components: {} };
+  for (const key of SCORED) {
+    scoring.weights[key] = v.count(v.at(weightsObj, key, 'scoring.weights'));
+    const passScore = v.count(v.at(passObj, key, 'scoring.passScores'));
+    if (passScore != null && passScore > 100) v.errors.push(`scoring.passScores.${key} must be between 0 and 100`);
+    scoring.passScores[key] = passScore;
+  }
+  if (SCORED.every((key) => scoring.weights[key] === 0)) {
+    v.errors.push('scoring.weights must give at least one criterion a weight above 0');
+  }
+  for (const [group, parts] of Object.entries(COMPONENTS)) {
+    const where = `scoring.components.${group}`;
+    const groupObj = v.object(v.at(componentsObj, group, 'scoring.components')) || {};
+    scoring.components[group] = {};
+    for (const part of parts) {
+      scoring.components[group][part] = v.count(v.at(groupObj, part, where));
+    }
+    const values = Object.values(scoring.components[group]);
+    if (values.every((n) => n != null) && values.reduce((a, b) => a + b, 0) !== 100) {
+      v.errors.push(`${where} must add up to 100`);
+    }
+  }
+
+  if (v.errors.length) {
+    throw usageError(`Invalid rules file ${file}:\n${v.errors.map((e) => `  - ${e}`).join('\n')}`);
+  }
+
+  return { version, coreFacilities, facilityInventory, imagery, joinCta, clubDescription, structuredData, seo, accessibility, performance, linkCheck, places, reviews, rendering, fixPriority, scoring };
+}
+
+function loadRules(file = DEFAULT_RULES_PATH) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw usageError(`Could not read rules file ${file}: ${err.message}`);
+  }
+
+  const rules = validateRules(parseRulesText(text, file), file);
+  const relative = path.relative(process.cwd(), file);
+  rules.source = {
+    file: relative && !relative.startsWith('..') ? relative.split(path.sep).join('/') : file,
+    version: rules.version,
+    sha256: crypto.createHash('sha256').update(text).digest('hex')
+  };
+  return rules;
+}
+
+module.exports = { DEFAULT_RULES_PATH, usageError, parseRulesText, createValidator, loadRules, validateRules };
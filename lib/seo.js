@@ -0,0 +1,149 @@
+function metaContent($, attr, name) {
+  return ($(`meta[${attr}="${name}"]`).first().attr('content') || '').trim();
+}
+
+function normalizeUrlForCompare(u) {
+  try {
+    const parsed = new URL(u);
+    return `${parsed.protocol}//${parsed.host.toLowerCase()}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+  } catch {
+    return String(u).trim().replace(/\/+$/, '');
+  }
+}
+
+function resolveUrl(href, base) {
+  try {
+    return new URL(href, base).href;
+  } catch {
+    return href;
+  }
+}
+
+function headingOutline($) {
+  const levels = $('h1, h2, h3, h4, h5, h6')
+    .toArray()
+    .map((el) => Number(el.name.slice(1)));
+  const skips = [];
+  for (let i = 1; i < levels.length; i += 1) {
+    if (levels[i] > levels[i - 1] + 1) skips.push(`h${levels[i - 1]} → h${levels[i]}`);
+  }
+  return { levels, skips: [...new Set(skips)] };
+}
+
+function extractSeo($, url, page, rules) {
+  const config = rules.seo;
+  const canonicalHref = ($('link[rel="canonical"]').first().attr('href') || '').trim();
+  const canonical = canonicalHref ? resolveUrl(canonicalHref, url) : '';
+  const robots = metaContent($, 'name', 'robots').toLowerCase();
+  const outline = headingOutline($);
+
+  const openGraph = {};
+  for (const tag of config.openGraphTags) openGraph[tag] = metaContent($, 'property', tag);
+  const twitter = {};
+  for (const tag of config.twitterTags) twitter[tag] = metaContent($, 'name', tag) || metaContent($, 'property', tag);
+
+  return {
+    title: page.title,
+    titleLength: page.title.length,
+    description: page.metaDescription,
+    descriptionLength: page.metaDescription.length,
+    h1Count: outline.levels.filter((l) => l === 1).length,
+    skippedHeadingLevels: outline.skips,
+    canonical,
+    canonicalMatches: Boolean(canonical) && normalizeUrlForCompare(canonical) === normalizeUrlForCompare(url),
+    missingOpenGraph: config.openGraphTags.filter((tag) => !openGraph[tag]),
+    missingTwitter: config.twitterTags.filter((tag) => !twitter[tag]),
+    ogImage: openGraph['og:image'] ? resolveUrl(openGraph['og:image'], url) : '',
+    ogImageStatus: null,
+    noindex: /\bnoindex\b/.test(robots),
+    duplicateTitleWith: [],
+    duplicateDescriptionWith: []
+  };
+}
+
+function seoIssues(details, rules) {
+  const { titleLength, descriptionLength, penalties } = rules.seo;
+  const issues = [];
+  const add = (key, message) => issues.push({ key, penalty: penalties[key], message });
+
+  if (!details.title) {
+    add('titleLength', 'title is missing');
+  } else if (details.titleLength < titleLength.min || details.titleLength > titleLength.max) {
+    add('titleLength', `title is ${details.titleLength} characters (target ${titleLength.min}-${titleLength.max})`);
+  }
+  if (!details.description) {
+    add('descriptionLength', 'meta description is missing');
+  } else if (details.descriptionLength < descriptionLength.min || details.descriptionLength > descriptionLength.max) {
+    add('descriptionLength', `meta description is ${details.descriptionLength} characters (target ${descriptionLength.min}-${descriptionLength.max})`);
+  }
+  if (details.h1Count === 0) add('missingH1', 'page has no H1');
+  if (details.h1Count > 1) add('multipleH1', `page has ${details.h1Count} H1 headings`);
+  if (details.skippedHeadingLevels.length) {
+    add('skippedHeadingLevel', `heading levels are skipped (${details.skippedHeadingLevels.join(', ')})`);
+  }
+  if (!details.canonical) {
+    add('canonical', 'canonical link is missing');
+  } else if (!details.canonicalMatches) {
+    add('canonical', `canonical ${details.canonical} does not match the sitemap URL`);
+  }
+  if (details.missingOpenGraph.length) add('openGraph', `missing Open Graph tags: ${details.missingOpenGraph.join(', ')}`);
+  if (details.missingTwitter.length) add('twitter', `missing Twitter tags: ${details.missingTwitter.join(', ')}`);
+  if (details.ogImage && details.ogImageStatus != null && !(details.ogImageStatus >= 200 && details.ogImageStatus < 400)) {
+    add('ogImageUnreachable', `og:image is not reachable (${details.ogImageStatus || 'request failed'})`);
+  }
+  if (details.noindex) add('noindex', 'robots meta tag contains noindex');
+  if (details.duplicateTitleWith.length) {
+    add('duplicateTitle', `title is shared with ${details.duplicateTitleWith.join(', ')}`);
+  }
+  if (details.duplicateDescriptionWith.length) {
+    add('duplicateDescription', `meta description is shared with ${details.duplicateDescriptionWith.join(', ')}`);
+  }
+
+  return issues;
+}
+
+function scoreSeo(details, rules) {
+  const issues = seoIssues(details, rules);
+  const score = Math.max(0, 100 - issues.reduce((sum, i) => sum + i.penalty, 0));
+  return { score, issues };
+}
+
+function buildSeoEvidence(details, issues, pass) {
+  const stats = `Title: ${details.titleLength} chars. Description: ${details.descriptionLength} chars. H1 count: ${details.h1Count}. Canonical: ${details.canonicalMatches ? 'OK' : 'Needs work'}.`;
+  const ogImage = details.ogImageStatus == null ? '' : ` og:image status: ${details.ogImageStatus || 'failed'}.`;
+  if (!issues.length) {
+    return `SEO metadata looks good. ${stats}${ogImage}`;
+  }
+  const lead = pass ? 'SEO metadata is mostly in place.' : 'SEO metadata needs improvement.';
+  return `${lead} ${stats}${ogImage} Issues: ${issues.map((i) => i.message).join('; ')}.`;
+}
+
+function groupDuplicates(gyms, pick) {
+  const groups = new Map();
+  for (const g of gyms) {
+    const value = pick(g);
+    if (!value) continue;
+    const key = value.toLowerCase().replace(/\s+/g, ' ').trim();
+    if (!groups.has(key)) groups.set(key, { value, slugs: [] });
+    groups.get(key).slugs.push(g.slug);
+  }
+  return [...groups.values()].filter((grp) => grp.slugs.length > 1);
+}
+
+function markDuplicateMetadata(gyms) {
+  const withSeo = gyms.filter((g) => g.seo);
+  const titles = groupDuplicates(withSeo, (g) => g.seo.title);
+  const descriptions = groupDuplicates(withSeo, (g) => g.seo.description);
+  const bySlug = new Map(withSeo.map((g) => [g.slug, g]));
+
+  for (const grp of titles) {
+    for (const slug of grp.slugs) bySlug.get(slug).seo.duplicateTitleWith = grp.slugs.filter((s) => s !== slug);
+  }
+  for (const grp of descriptions) {
+    for (const slug of grp.slugs) bySlug.get(slug).seo.duplicateDescriptionWith = grp.slugs.filter((s) => s !== slug);
+  }
+
+  return { titles, descriptions };
+}
+
+module.exports = { extractSeo, scoreSeo, buildSeoEvidence, markDuplicateMetadata };
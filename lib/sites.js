@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { usageError, parseRulesText, createValidator } = require('./rules');
+
+const DEFAULT_SITES_PATH = path.join(__dirname, '..', 'config', 'sites.json');
+const SLUG_PLACEHOLDER = '{slug}';
+const JOIN_CTA_PATTERNS = { hrefPattern: 'hrefRe', onlinePattern: 'onlineRe', membershipOptionsPattern: 'membershipOptionsRe' };
+const PROFILE_KEYS = ['name', 'baseUrl', 'sitemapUrl', 'logoUrl', 'gymPath', 'gymUrlPattern', 'excludeSlugs', 'joinCta', 'subpages'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function gymUrl(site, slug) {
+  return `${site.baseUrl}${site.gymPath.replace(SLUG_PLACEHOLDER, slug)}`;
+}
+
+function slugFromUrl(site, url) {
+  const m = String(url || '').match(site.gymUrlRe);
+  return m ? m[1] : null;
+}
+
+function derivedGymUrlRe(baseUrl, gymPath) {
+  const [before, after] = `${baseUrl}${gymPath}`.replace(/\/$/, '').split(SLUG_PLACEHOLDER);
+  return new RegExp(`^${escapeRegExp(before)}([^/?#]+)${escapeRegExp(after)}/?$`);
+}
+
+function validateProfile(v, obj, where, key) {
+  for (const field of Object.keys(obj)) {
+    if (!PROFILE_KEYS.includes(field)) v.errors.push(`${where}.${field} is not recognised (use ${PROFILE_KEYS.join(', ')})`);
+  }
+
+  const baseUrl = (v.string(v.at(obj, 'baseUrl', where)) || '').replace(/\/$/, '');
+  if (baseUrl && !/^https?:\/\/[^/]+$/i.test(baseUrl)) v.errors.push(`${where}.baseUrl must be an http(s) origin such as https://www.example.com`);
+  const sitemapUrl = v.string(v.at(obj, 'sitemapUrl', where));
+  if (sitemapUrl && !/^https?:\/\//i.test(sitemapUrl)) v.errors.push(`${where}.sitemapUrl must be an absolute http(s) URL`);
+  const logoUrl = obj.logoUrl == null ? null : v.string(v.at(obj, 'logoUrl', where));
+  if (logoUrl && !/^https?:\/\//i.test(logoUrl)) v.errors.push(`${where}.logoUrl must be an absolute http(s) URL`);
+  const gymPath = v.string(v.at(obj, 'gymPath', where)) || '';
+  if (gymPath && (!gymPath.startsWith('/') || gymPath.split(SLUG_PLACEHOLDER).length !== 2)) {
+    v.errors.push(`${where}.gymPath must start with / and contain ${SLUG_PLACEHOLDER} once`);
+  }
+
+  let gymUrlRe = null;
+  if (obj.gymUrlPattern != null) {
+    gymUrlRe = v.regex(v.at(obj, 'gymUrlPattern', where));
+    if (gymUrlRe && new RegExp(`${gymUrlRe.source}|`).exec('').length !== 2) {
+      v.errors.push(`${where}.gymUrlPattern must have exactly one capture group for the slug`);
+    }
+  } else if (baseUrl && gymPath.split(SLUG_PLACEHOLDER).length === 2) {
+    gymUrlRe = derivedGymUrlRe(baseUrl, gymPath);
+  }
+
+  const joinCta = {};
+  if (obj.joinCta != null) {
+    const cta = v.object(v.at(obj, 'joinCta', where)) || {};
+    for (const field of Object.keys(cta)) {
+      if (field === 'textTerms') joinCta.textTerms = (v.stringList(v.at(cta, field, `${where}.joinCta`)) || []).map((t) => t.toLowerCase());
+      else if (JOIN_CTA_PATTERNS[field]) joinCta[JOIN_CTA_PATTERNS[field]] = v.regex(v.at(cta, field, `${where}.joinCta`), field === 'membershipOptionsPattern' ? 'i' : '');
+      else v.errors.push(`${where}.joinCta.${field} is not recognised (use textTerms, ${Object.keys(JOIN_CTA_PATTERNS).join(', ')})`);
+    }
+  }
+
+  const profile = {
+    key,
+    name: v.string(v.at(obj, 'name', where)),
+    baseUrl,
+    sitemapUrl,
+    logoUrl,
+    gymPath,
+    gymUrlRe,
+    excludeSlugs: obj.excludeSlugs == null ? [] : v.stringList(v.at(obj, 'excludeSlugs', where)) || [],
+    joinCta,
+    subpages: obj.subpages == null ? null : v.stringList(v.at(obj, 'subpages', where))
+  };
+  if (gymUrlRe && gymPath && !slugFromUrl(profile, gymUrl(profile, 'example-club'))) {
+    v.errors.push(`${where}.gymUrlPattern does not match ${gymUrl(profile, 'example-club')}, the URL gymPath gives for a slug`);
+  }
+  return profile;
+}
+
+function validateSites(raw, file) {
+  const v = createValidator();
+  const root = v.object({ value: raw, path: '(root)' }) || {};
+
+  const version = v.string(v.at(root, 'version'));
+  const defaultSite = v.string(v.at(root, 'defaultSite'));
+  const sitesObj = v.object(v.at(root, 'sites')) || {};
+  const sites = {};
+  for (const [key, entry] of Object.entries(sitesObj)) {
+    if (!/^[a-z0-9-]+$/.test(key)) v.errors.push(`sites.${key} must be named with lowercase letters, digits and hyphens`);
+    sites[key] = validateProfile(v, v.object({ value: entry, path: `sites.${key}` }) || {}, `sites.${key}`, key);
+  }
+  if (!Object.keys(sites).length) v.errors.push('sites must define at least one site');
+  if (defaultSite && Object.keys(sites).length && !sites[defaultSite]) {
+    v.errors.push(`defaultSite "${defaultSite}" is not one of: ${Object.keys(sites).join(', ')}`);
+  }
+
+  if (v.errors.length) {
+    throw usageError(`Invalid sites file ${file}:\n${v.errors.map((e) => `  - ${e}`).join('\n')}`);
+  }
+
+  return { version, defaultSite, sites };
+}
+
+function loadSites(file = DEFAULT_SITES_PATH) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw usageError(`Could not read sites file ${file}: ${err.message}`);
+  }
+
+  const profiles = validateSites(parseRulesText(text, file), file);
+  const relative = path.relative(process.cwd(), file);
+  profiles.source = {
+    file: relative && !relative.startsWith('..') ? relative.split(path.sep).join('/') : file,
+    version: profiles.version,
+    sha256: crypto.createHash('sha256').update(text).digest('hex')
+  };
+  return profiles;
+}
+
+function selectSite(profiles, key) {
+  const site = profiles.sites[key || profiles.defaultSite];
+  if (!site) {
+    const err = new Error(`Unknown site "${key}". Sites in ${profiles.source ? profiles.source.file : 'the sites file'}: ${Object.keys(profiles.sites).join(', ')}.`);
+    err.code = 'USAGE';
+    throw err;
+  }
+  return site;
+}
+
+function applySiteRules(rules, site) {
+  return {
+    ...rules,
+    site,
+    joinCta: { ...rules.joinCta, ...site.joinCta },
+    linkCheck: site.subpages ? { ...rules.linkCheck, subpages: site.subpages } : rules.linkCheck
+  };
+}
+
+function siteRef(site, profiles) {
+  return { key: site.key, name: site.name, baseUrl: site.baseUrl, logoUrl: site.logoUrl, profiles: profiles.source || null };
+}
+
+module.exports = { DEFAULT_SITES_PATH, loadSites, validateSites, selectSite, applySiteRules, siteRef, gymUrl, slugFromUrl };
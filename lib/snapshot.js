@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SNAPSHOT_FORMAT_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+
+function snapshotId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function pageFileName(url, suffix = '') {
+  const tail = url
+    .replace(/^https?:\/\//, '')
+    .replace(/[^a-z0-9]+/gi, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(-60);
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 10);
+  return `${tail}-${hash}${suffix}.html`;
+}
+
+function createSnapshotRecorder(dir, { fetchText, fetchStatus, fetchImage }) {
+  const pagesDir = path.join(dir, 'pages');
+  fs.mkdirSync(pagesDir, { recursive: true });
+
+  const entries = new Map();
+  const resources = new Map();
+  const images = new Map();
+  const rendered = new Map();
+
+  async function recordingFetchText(url) {
+    const res = await fetchText(url);
+    const file = path.posix.join('pages', pageFileName(url));
+    fs.writeFileSync(path.join(dir, file), res.text);
+    entries.set(url, { url, status: res.status, finalUrl: res.url, file });
+    return res;
+  }
+
+  async function recordingFetchStatus(url, ...rest) {
+    const res = await fetchStatus(url, ...rest);
+    resources.set(url, {
+      url,
+      status: res.status,
+      finalUrl: res.url,
+      contentType: res.contentType,
+      contentLength: res.contentLength == null ? null : res.contentLength,
+      chain: res.chain || []
+    });
+    return res;
+  }
+
+  async function recordingFetchImage(url) {
+    const res = await fetchImage(url);
+    images.set(url, { ...res, url, finalUrl: res.url });
+    return res;
+  }
+
+  function recordRendering(render) {
+    return async (url) => {
+      const res = await render(url);
+      const file = path.posix.join('pages', pageFileName(url, '.rendered'));
+      fs.writeFileSync(path.join(dir, file), res.html);
+      rendered.set(url, { url, status: res.status, file, viewports: res.viewports });
+      return res;
+    };
+  }
+
+  function finalize(meta) {
+    const manifest = {
+      formatVersion: SNAPSHOT_FORMAT_VERSION,
+      id: path.basename(dir),
+      capturedAt: new Date().toISOString(),
+      ...meta,
+      pages: [...entries.values()].sort((a, b) => a.url.localeCompare(b.url)),
+      resources: [...resources.values()].sort((a, b) => a.url.localeCompare(b.url)),
+      images: [...images.values()].sort((a, b) => a.url.localeCompare(b.url)),
+      rendered: [...rendered.values()].sort((a, b) => a.url.localeCompare(b.url))
+    };
+    fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    return manifest;
+  }
+
+  return { dir, fetchText: recordingFetchText, fetchStatus: recordingFetchStatus, fetchImage: recordingFetchImage, recordRendering, finalize };
+}
+
+function loadSnapshot(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`Snapshot manifest not found: ${manifestPath}`);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (manifest.formatVersion !== SNAPSHOT_FORMAT_VERSION) {
+    throw new Error(`Unsupported snapshot format version ${manifest.formatVersion} in ${manifestPath} (expected ${SNAPSHOT_FORMAT_VERSION})`);
+  }
+
+  const byUrl = new Map(manifest.pages.map((p) => [p.url, p]));
+  const resourcesByUrl = new Map((manifest.resources || []).map((r) => [r.url, r]));
+  const imagesByUrl = new Map((manifest.images || []).map((i) => [i.url, i]));
+  const renderedByUrl = new Map((manifest.rendered || []).map((r) => [r.url, r]));
+
+  function notCaptured(url) {
+    const err = new Error(`URL not captured in snapshot ${manifest.id}: ${url}`);
+    err.code = 'NOT_CAPTURED';
+    return err;
+  }
+
+  async function replayFetchText(url) {
+    const entry = byUrl.get(url);
+    if (!entry) throw notCaptured(url);
+    const text = fs.readFileSync(path.join(dir, entry.file), 'utf8');
+    return { status: entry.status, text, url: entry.finalUrl };
+  }
+
+  async function replayFetchStatus(url) {
+    const entry = resourcesByUrl.get(url) || byUrl.get(url);
+    if (!entry) throw notCaptured(url);
+    return {
+      status: entry.status,
+      url: entry.finalUrl,
+      contentType: entry.contentType || '',
+      contentLength: entry.contentLength == null ? null : entry.contentLength,
+      chain: entry.chain || []
+    };
+  }
+
+  async function replayFetchImage(url) {
+    const entry = imagesByUrl.get(url);
+    if (!entry) throw notCaptured(url);
+    const { finalUrl, ...info } = entry;
+    return { ...info, url: finalUrl };
+  }
+
+  async function replayRender(url) {
+    const entry = renderedByUrl.get(url);
+    if (!entry) throw notCaptured(url);
+    const html = fs.readFileSync(path.join(dir, entry.file), 'utf8');
+    return { status: entry.status, html, viewports: entry.viewports };
+  }
+
+  return {
+    dir,
+    manifest,
+    fetchText: replayFetchText,
+    fetchStatus: replayFetchStatus,
+    fetchImage: replayFetchImage,
+    render: renderedByUrl.size ? replayRender : null
+  };
+}
+
+module.exports = {
+  SNAPSHOT_FORMAT_VERSION,
+  snapshotId,
+  createSnapshotRecorder,
+  loadSnapshot
+};
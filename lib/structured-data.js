@@ -0,0 +1,208 @@
+const NESTED_REQUIREMENTS = {
+  address: ['streetAddress', 'postalCode'],
+  geo: ['latitude', 'longitude'],
+  openingHoursSpecification: ['dayOfWeek', 'opens', 'closes'],
+  aggregateRating: ['ratingValue']
+};
+
+const GENERIC_NAME_WORDS = new Set(['nuffield', 'health', 'gym', 'club', 'fitness', 'wellbeing', 'and', 'the', 'in']);
+
+const UK_PHONE_RE = /(?:\+44\s?\(?0?\)?\s?|\b0)\d(?:[\s-]?\d){8,9}\b/g;
+const UK_POSTCODE_RE = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/gi;
+
+function normalizeType(t) {
+  return String(t).replace(/^https?:\/\/schema\.org\//i, '');
+}
+
+function typesOf(node) {
+  const t = node['@type'];
+  if (!t) return [];
+  return (Array.isArray(t) ? t : [t]).map(normalizeType);
+}
+
+function flattenNodes(value, out = []) {
+  if (Array.isArray(value)) {
+    value.forEach((v) => flattenNodes(v, out));
+  } else if (value && typeof value === 'object') {
+    if (value['@type']) out.push(value);
+    if (Array.isArray(value['@graph'])) flattenNodes(value['@graph'], out);
+  }
+  return out;
+}
+
+function hasValue(v) {
+  if (v == null) return false;
+  if (typeof v === 'string') return v.trim().length > 0;
+  if (Array.isArray(v)) return v.length > 0;
+  if (typeof v === 'object') return Object.keys(v).length > 0;
+  return true;
+}
+
+function missingNested(prop, value) {
+  const needed = NESTED_REQUIREMENTS[prop];
+  if (!needed || typeof value !== 'object') return [];
+  const items = Array.isArray(value) ? value : [value];
+  return needed.filter((key) => !items.every((item) => item && hasValue(item[key]))).map((key) => `${prop}.${key}`);
+}
+
+function checkProperties(entity, props) {
+  const missing = [];
+  for (const prop of props) {
+    if (!hasValue(entity[prop])) {
+      missing.push(prop);
+    } else {
+      missing.push(...missingNested(prop, entity[prop]));
+    }
+  }
+  return missing;
+}
+
+function normalizePhone(s) {
+  const digits = String(s).replace(/\D/g, '');
+  if (digits.startsWith('440')) return `0${digits.slice(3)}`;
+  if (digits.startsWith('44')) return `0${digits.slice(2)}`;
+  return digits;
+}
+
+function normalizePostcode(s) {
+  return String(s).replace(/\s+/g, '').toUpperCase();
+}
+
+function pagePhones($, bodyText) {
+  const phones = $('a[href^="tel:"]')
+    .toArray()
+    .map((a) => ($(a).attr('href') || '').slice(4));
+  phones.push(...(bodyText.match(UK_PHONE_RE) || []));
+  return [...new Set(phones.map(normalizePhone).filter((p) => p.length >= 10))];
+}
+
+function pagePostcodes(bodyText) {
+  return [...new Set([...bodyText.matchAll(UK_POSTCODE_RE)].map((m) => normalizePostcode(`${m[1]}${m[2]}`)))];
+}
+
+function parseGeo(geo) {
+  if (!geo || typeof geo !== 'object' || !hasValue(geo.latitude) || !hasValue(geo.longitude)) return null;
+  const latitude = Number(geo.latitude);
+  const longitude = Number(geo.longitude);
+  return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+}
+
+function findConflicts(entity, page) {
+  const conflicts = [];
+  let checks = 0;
+
+  if (typeof entity.name === 'string') {
+    const visible = `${page.h1} ${page.title}`.toLowerCase();
+    const distinctive = entity.name
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((w) => w && !GENERIC_NAME_WORDS.has(w));
+    if (distinctive.length) {
+      checks += 1;
+      if (!distinctive.every((w) => visible.includes(w))) {
+        conflicts.push(`name "${entity.name}" does not match the page heading "${page.h1 || page.title}"`);
+      }
+    }
+  }
+
+  if (hasValue(entity.telephone) && page.phones.length) {
+    checks += 1;
+    if (!page.phones.includes(normalizePhone(entity.telephone))) {
+      conflicts.push(`telephone ${entity.telephone} is not the number shown on the page (${page.phones.join(', ')})`);
+    }
+  }
+
+  const postalCode = entity.address && typeof entity.address === 'object' ? entity.address.postalCode : null;
+  if (hasValue(postalCode) && page.postcodes.length) {
+    checks += 1;
+    if (!page.postcodes.includes(normalizePostcode(postalCode))) {
+      conflicts.push(`postcode ${postalCode} is not the postcode shown on the page (${page.postcodes.join(', ')})`);
+    }
+  }
+
+  return { conflicts, checks };
+}
+
+function buildStructuredDataEvidence(details, pass, rules) {
+  const { gymTypes, required } = rules.structuredData;
+  if (!details.entity) {
+    const found = details.types.length ? `JSON-LD types found: ${details.types.join(', ')}.` : 'No JSON-LD blocks found.';
+    const parse = details.parseErrors ? ` ${details.parseErrors} JSON-LD block(s) could not be parsed.` : '';
+    return `Structured data missing. ${found}${parse} Recommended action: add ${gymTypes.join('/')} markup with ${required.join(', ')}.`;
+  }
+
+  const parts = [`${details.entity.type} markup found.`];
+  if (details.missingRequired.length) parts.push(`Missing required: ${details.missingRequired.join(', ')}.`);
+  if (details.conflicts.length) parts.push(`Conflicts with visible content: ${details.conflicts.join('; ')}.`);
+  if (details.missingRecommended.length) parts.push(`Missing recommended: ${details.missingRecommended.join(', ')}.`);
+  if (details.parseErrors) parts.push(`${details.parseErrors} JSON-LD block(s) could not be parsed.`);
+
+  if (pass) {
+    return `Structured data looks good. ${parts.join(' ')}`;
+  }
+
+  const actions = [];
+  if (details.missingRequired.length) actions.push(`add ${details.missingRequired.join(', ')}`);
+  if (details.conflicts.length) actions.push('make the JSON-LD values match the name, phone number and address shown on the page');
+  return `Structured data needs work. ${parts.join(' ')} Recommended actions: ${actions.join('; ')}.`;
+}
+
+function assessStructuredData($, page, rules) {
+  const config = rules.structuredData;
+  const w = rules.scoring.components.structuredData;
+
+  let blocks = 0;
+  let parseErrors = 0;
+  const nodes = [];
+  $('script[type="application/ld+json"]').each((_, el) => {
+    blocks += 1;
+    try {
+      flattenNodes(JSON.parse($(el).contents().text()), nodes);
+    } catch {
+      parseErrors += 1;
+    }
+  });
+
+  const types = [...new Set(nodes.flatMap(typesOf))];
+  const entityNode = nodes.find((n) => typesOf(n).some((t) => config.gymTypes.includes(t)));
+
+  const details = {
+    blocks,
+    parseErrors,
+    types,
+    entity: null,
+    missingRequired: [],
+    missingRecommended: [],
+    conflicts: []
+  };
+
+  let score = 0;
+  if (entityNode) {
+    const pageInfo = {
+      h1: page.h1,
+      title: page.title,
+      phones: pagePhones($, page.bodyText),
+      postcodes: pagePostcodes(page.bodyText)
+    };
+    const { conflicts, checks } = findConflicts(entityNode, pageInfo);
+    details.entity = {
+      type: typesOf(entityNode).find((t) => config.gymTypes.includes(t)),
+      name: typeof entityNode.name === 'string' ? entityNode.name : '',
+      telephone: typeof entityNode.telephone === 'string' ? entityNode.telephone : '',
+      postalCode: entityNode.address && typeof entityNode.address === 'object' ? entityNode.address.postalCode || '' : '',
+      geo: parseGeo(entityNode.geo)
+    };
+    details.missingRequired = checkProperties(entityNode, config.required);
+    details.missingRecommended = checkProperties(entityNode, config.recommended);
+    details.conflicts = conflicts;
+
+    const requiredChecks = config.required.length + config.required.reduce((n, p) => n + (NESTED_REQUIREMENTS[p] || []).length, 0);
+    const requiredRatio = requiredChecks ? Math.max(0, 1 - details.missingRequired.length / requiredChecks) : 1;
+    const consistencyRatio = checks ? 1 - conflicts.length / checks : 1;
+    score = Math.floor(w.required * requiredRatio + w.consistency * consistencyRatio);
+  }
+
+  return { score, details };
+}
+
+module.exports = { assessStructuredData, buildStructuredDataEvidence, pagePhones, pagePostcodes, normalizePhone, normalizePostcode };
@@ -0,0 +1,491 @@
+const { scoreSeo } = require('./seo');
+const { scorePerformance } = require('./performance');
+
+const SEVERITY_RANK = { High: 3, Medium: 2, Low: 1 };
+const STATUS_RANK = { open: 0, stale: 1, resolved: 2 };
+const CSV_STATUS = { open: 'Open', stale: 'Stale', resolved: 'Resolved' };
+const RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SEO_CHECKS = {
+  titleLength: ({ titleLength: t }) => [
+    'Fix the page title length',
+    `Rewrite the title to ${t.min}-${t.max} characters, leading with the club name and town.`,
+    `The title is ${t.min}-${t.max} characters long.`
+  ],
+  descriptionLength: ({ descriptionLength: d }) => [
+    'Fix the meta description length',
+    `Write a ${d.min}-${d.max} character meta description that names the club, its town and its main facilities.`,
+    `The meta description is ${d.min}-${d.max} characters long.`
+  ],
+  missingH1: () => ['Add an H1 heading', 'Add one H1 heading with the club name.', 'The page has exactly one H1.'],
+  multipleH1: () => ['Use a single H1 heading', 'Keep the club name as the only H1 and change the other H1 headings to H2.', 'The page has exactly one H1.'],
+  skippedHeadingLevel: () => [
+    'Fix skipped heading levels',
+    'Change heading tags so each level follows the one above it (H1, then H2, then H3).',
+    'No heading levels are skipped.'
+  ],
+  canonical: () => ['Fix the canonical link', 'Point the canonical link at the gym URL listed in the sitemap.', 'The canonical link matches the sitemap URL.'],
+  openGraph: ({ openGraphTags }) => [
+    'Add the missing Open Graph tags',
+    'Add the missing Open Graph meta tags so shared links show the club name, description and image.',
+    `The page has ${openGraphTags.join(', ')}.`
+  ],
+  twitter: ({ twitterTags }) => ['Add the missing Twitter tags', 'Add the missing Twitter card meta tags.', `The page has ${twitterTags.join(', ')}.`],
+  ogImageUnreachable: () => ['Fix the og:image URL', 'Point og:image at an image that loads.', 'The og:image URL returns a 2xx or 3xx status.'],
+  noindex: () => ['Remove noindex', 'Remove noindex from the robots meta tag so the page can be indexed.', 'The robots meta tag does not contain noindex.'],
+  duplicateTitle: () => ['Make the page title unique', 'Rewrite the title so no other gym page uses it.', 'No other gym page has the same title.'],
+  duplicateDescription: () => [
+    'Make the meta description unique',
+    'Rewrite the meta description so no other gym page uses it.',
+    'No other gym page has the same meta description.'
+  ]
+};
+
+const ACCESSIBILITY_CHECKS = {
+  missingAlt: ['Add alt text to images', 'Give each content image an alt attribute that describes it; use alt="" for decorative images.', 'Every image has an alt attribute.'],
+  genericLinkText: ['Replace generic link text', 'Reword links such as "read more" or "click here" to say where they go.', 'No links use generic text.'],
+  unnamedLink: ['Name links that have no text', 'Add visible text or an aria-label to each link that has none.', 'Every link has an accessible name.'],
+  unnamedButton: ['Name buttons that have no text', 'Add visible text or an aria-label to each button that has none.', 'Every button has an accessible name.'],
+  missingLang: ['Set the page language', 'Add lang="en-GB" to the html element.', 'The html element has a lang attribute.'],
+  missingLandmarks: ['Add the missing landmarks', 'Wrap the page regions in main, nav, header and footer elements (or the matching roles).', 'Every expected landmark is present.'],
+  unlabelledInput: ['Label the form fields', 'Give each form field a label element or an aria-label.', 'Every form field has a label.'],
+  lowContrast: ['Raise text contrast', 'Change the inline text and background colours to meet the contrast ratio.', 'No inline styles fall below the contrast ratio.']
+};
+
+const PERFORMANCE_CHECKS = {
+  htmlBytes: ['Reduce the HTML size', 'Remove inline data, unused markup and embedded scripts from the page HTML.'],
+  renderBlockingScripts: ['Defer render-blocking scripts', 'Add defer or async to scripts in the head, or move them to the end of the body.'],
+  renderBlockingStyles: ['Reduce render-blocking stylesheets', 'Combine stylesheets in the head, or load non-critical CSS after first render.'],
+  renderBlockingBytes: ['Shrink render-blocking resources', 'Minify and split the scripts and stylesheets loaded in the head.'],
+  thirdPartyHosts: ['Reduce third-party hosts', 'Remove unused third-party tags or serve them through the tag manager only where needed.'],
+  imageBytes: ['Reduce image transfer size', 'Compress images and serve them in WebP or AVIF at the size they are displayed.'],
+  resourceHints: ['Add preload or preconnect hints', 'Add a preload hint for the hero image or a preconnect hint for the main asset host.']
+};
+
+function task(check, severity, title, action, acceptance, evidence) {
+  return { check, severity, title, action, acceptance, evidence };
+}
+
+function criterionSeverity(gym, key, rules) {
+  const c = gym.criteria[key];
+  if (c && c.pass) return 'Low';
+  return rules.fixPriority.criteria.includes(key) ? 'High' : 'Medium';
+}
+
+function coreFacilitiesTasks(gym, rules) {
+  const found = gym.coreFacilitiesFound || [];
+  const severity = criterionSeverity(gym, 'coreFacilities', rules);
+  return rules.coreFacilities
+    .filter((f) => !found.includes(f.label))
+    .map((f) =>
+      task(
+        `missing-${f.key}`,
+        severity,
+        `List ${f.label} in the facilities copy`,
+        `Name ${f.label} explicitly in a dedicated facilities section near the top of the page.`,
+        `The page copy matches /${f.pattern}/.`,
+        `Missing from the page copy: ${f.label}.`
+      )
+    );
+}
+
+function imageryTasks(gym, rules) {
+  const { minMeaningfulImages, minModernFormat, minLazy } = rules.imagery;
+  const imagery = gym.imagery;
+  const analysed = imagery.analysis && imagery.analysis.checked;
+  const modernCount = analysed ? imagery.analysis.modernFormatCount : imagery.modernFormatCount;
+  const severity = criterionSeverity(gym, 'imagery', rules);
+  const tasks = [];
+  if (imagery.meaningfulCount < minMeaningfulImages) {
+    tasks.push(
+      task(
+        'count',
+        severity,
+        'Add more club photography',
+        `Add at least ${minMeaningfulImages - imagery.meaningfulCount} more high-quality photos of the club.`,
+        `The page has at least ${minMeaningfulImages} relevant images.`,
+        `Relevant images: ${imagery.meaningfulCount} (target ${minMeaningfulImages}+).`
+      )
+    );
+  }
+  if (modernCount < minModernFormat) {
+    tasks.push(
+      task(
+        'modernFormat',
+        severity,
+        'Serve images in WebP or AVIF',
+        'Serve the hero and gallery images in WebP or AVIF.',
+        `WebP or AVIF images: at least ${minModernFormat}.`,
+        `Modern format: ${modernCount} of ${minModernFormat} target.`
+      )
+    );
+  }
+  if (imagery.lazyCount < minLazy) {
+    tasks.push(
+      task(
+        'lazyLoad',
+        severity,
+        'Lazy-load non-critical images',
+        'Add loading="lazy" to images below the fold.',
+        `Lazy-loaded images: at least ${minLazy}.`,
+        `Lazy-load: ${imagery.lazyCount} of ${minLazy} target.`
+      )
+    );
+  }
+  if (analysed && imagery.analysis.checked > imagery.analysis.good) {
+    const flagged = imagery.images.filter((img) => img.issues && img.issues.length);
+    tasks.push(
+      task(
+        'quality',
+        severity,
+        'Replace or re-export flagged images',
+        'Replace shared images with photos of this club and re-export the others at the size they are displayed.',
+        'Every downloaded image is reachable, within the byte budget, correctly sized and unique to the club.',
+        flagged.map((img) => `${img.url} (${img.issues.join(', ')})`).join('; ')
+      )
+    );
+  }
+  return tasks;
+}
+
+function structuredDataTasks(gym, rules) {
+  const sd = gym.structuredData;
+  const config = rules.structuredData;
+  const severity = criterionSeverity(gym, 'structuredData', rules);
+  const tasks = [];
+  if (sd.parseErrors) {
+    tasks.push(
+      task(
+        'parseErrors',
+        severity,
+        'Fix invalid JSON-LD',
+        `Fix the ${sd.parseErrors} JSON-LD block(s) that are not valid JSON.`,
+        'Every application/ld+json block parses as JSON.',
+        `${sd.parseErrors} of ${sd.blocks} JSON-LD blocks failed to parse.`
+      )
+    );
+  }
+  if (!sd.entity) {
+    tasks.push(
+      task(
+        'entity',
+        severity,
+        'Add club structured data',
+        `Add a JSON-LD ${config.gymTypes[0]} entity with ${config.required.join(', ')}.`,
+        `The page has a ${config.gymTypes.join(', ')} entity with every required property.`,
+        sd.types.length ? `Types found: ${sd.types.join(', ')}.` : 'No JSON-LD types found.'
+      )
+    );
+    return tasks;
+  }
+  for (const prop of sd.missingRequired) {
+    tasks.push(
+      task(
+        `missing-${prop}`,
+        severity,
+        `Add ${prop} to the structured data`,
+        `Add ${prop} to the ${sd.entity.type} JSON-LD entity.`,
+        `${prop} is present and not empty on the ${sd.entity.type} entity.`,
+        `Missing required: ${prop}.`
+      )
+    );
+  }
+  if (sd.conflicts.length) {
+    tasks.push(
+      task(
+        'conflicts',
+        severity,
+        'Make the structured data match the page',
+        'Update the JSON-LD or the page copy so the name, telephone and postcode agree.',
+        'The JSON-LD name, telephone and postcode match the page.',
+        sd.conflicts.join('; ')
+      )
+    );
+  }
+  return tasks;
+}
+
+function seoTasks(gym, rules) {
+  const severity = criterionSeverity(gym, 'seo', rules);
+  return scoreSeo(gym.seo, rules).issues.map((issue) => {
+    const [title, action, acceptance] = SEO_CHECKS[issue.key](rules.seo);
+    return task(issue.key, severity, title, action, acceptance, issue.message);
+  });
+}
+
+function accessibilityTasks(gym, rules) {
+  const severity = criterionSeverity(gym, 'accessibility', rules);
+  return gym.accessibility.findings.map((f) => {
+    const [title, action, acceptance] = ACCESSIBILITY_CHECKS[f.key];
+    const where = f.selectors.length ? ` (${f.selectors.join(', ')})` : '';
+    return task(f.key, severity, title, action, acceptance, `${f.message}${where}`);
+  });
+}
+
+function performanceTasks(gym, rules) {
+  const severity = criterionSeverity(gym, 'performance', rules);
+  return scorePerformance(gym.performance, rules).issues.map((issue) => {
+    const [title, action] = PERFORMANCE_CHECKS[issue.key];
+    return task(issue.key, severity, title, action, 'The metric is within the budget in config/rules.json.', issue.message);
+  });
+}
+
+function joinRouteTasks(gym, rules) {
+  if (gym.joinRoutePresent || (gym.linkCheck && gym.linkCheck.joinRouteBroken)) return [];
+  return [
+    task(
+      'missing',
+      rules.fixPriority.highWhenJoinRouteMissing ? 'High' : 'Medium',
+      'Add a working online join route',
+      'Add a "Membership options" or "Join online" link near the top of the page that goes to the online join flow.',
+      'The audit finds a join route and the primary join link works.',
+      gym.joinRouteEvidence
+    )
+  ];
+}
+
+function linkTasks(gym) {
+  const tasks = [];
+  const brokenJoin = gym.linkCheck.join.filter((l) => l.broken);
+  if (brokenJoin.length) {
+    tasks.push(
+      task(
+        'brokenJoinLinks',
+        'High',
+        'Fix broken join links',
+        'Point every join link at a live membership or join page.',
+        'Every join link returns a 2xx status without redirecting to the homepage.',
+        brokenJoin.map((l) => `"${l.text || l.url}" ${l.url} → ${l.reason}`).join('; ')
+      )
+    );
+  }
+  for (const link of gym.linkCheck.subpages.filter((l) => l.broken)) {
+    tasks.push(
+      task(
+        `brokenSubpage-${link.text}`,
+        'Medium',
+        `Fix the /${link.text} subpage`,
+        `Publish or redirect ${link.url} to the right club page.`,
+        `${link.url} returns a 2xx status without redirecting to the homepage.`,
+        `${link.url} → ${link.reason}`
+      )
+    );
+  }
+  return tasks;
+}
+
+function clubDescriptionTasks(gym, rules) {
+  if (gym.clubDescription.score >= rules.scoring.passScores.clubDescription) return [];
+  const { copy } = gym.clubDescription;
+  const missing = copy && copy.missing.length ? ` Mention ${copy.missing.join('; ')}.` : '';
+  return [
+    task(
+      'rewrite',
+      'Medium',
+      gym.clubDescription.tone === 'Boilerplate' ? 'Replace the shared club description' : 'Rewrite the club description',
+      `Rewrite the opening copy for this club in short, plain sentences.${missing}`,
+      `The club description scores at least ${rules.scoring.passScores.clubDescription}.`,
+      gym.clubDescription.text
+    )
+  ];
+}
+
+function googleProfileTasks(gym) {
+  const d = gym.google.details;
+  const tasks = [];
+  const add = (check, title, action, acceptance, evidence) => tasks.push(task(check, 'Low', title, action, acceptance, evidence));
+  if (!d.has_hours) add('hours', 'Add opening hours to the Google profile', 'Add or verify the opening hours on the Google Business Profile.', 'The Google profile lists opening hours.', 'Opening hours: Missing.');
+  if ((d.photos_count || 0) < 5) {
+    add('photos', 'Add photos to the Google profile', 'Add high-quality profile and interior photos to the Google Business Profile.', 'The Google profile has at least 5 photos.', `Photos: ${d.photos_count || 0}.`);
+  }
+  if (!d.has_website) add('website', 'Link the Google profile to the gym page', 'Set the Google profile website to the gym landing page.', 'The Google profile has a website link.', 'Website: Missing.');
+  if (!d.has_phone) add('phone', 'Add a phone number to the Google profile', 'Add the club\'s direct phone number to the Google profile.', 'The Google profile has a phone number.', 'Phone: Missing.');
+  for (const m of gym.napConsistency.mismatches) {
+    add(`nap-${m.field}`, `Make the ${m.field} match Google`, `Update the page or the Google profile so the ${m.field} is the same on both.`, `The page and Google ${m.field} match.`, m.message);
+  }
+  return tasks;
+}
+
+const CHECK_GROUPS = [
+  { criterion: 'joinRoute', assessed: (g) => g.subScores.joinRoute != null, build: joinRouteTasks },
+  { criterion: 'links', assessed: (g) => Boolean(g.linkCheck), build: linkTasks },
+  { criterion: 'coreFacilities', assessed: (g) => Boolean(g.criteria.coreFacilities), build: coreFacilitiesTasks },
+  {
+    criterion: 'imagery',
+    assessed: (g, check) => Boolean(g.criteria.imagery) && (check !== 'quality' || Boolean(g.imagery.analysis && g.imagery.analysis.checked)),
+    build: imageryTasks
+  },
+  { criterion: 'structuredData', assessed: (g) => Boolean(g.criteria.structuredData), build: structuredDataTasks },
+  {
+    criterion: 'seo',
+    assessed: (g, check) => Boolean(g.criteria.seo) && (check !== 'ogImageUnreachable' || g.seo.ogImageStatus != null),
+    build: seoTasks
+  },
+  { criterion: 'accessibility', assessed: (g) => Boolean(g.criteria.accessibility), build: accessibilityTasks },
+  {
+    criterion: 'performance',
+    assessed: (g, check) => Boolean(g.criteria.performance) && (check !== 'imageBytes' || g.performance.imageBytes != null),
+    build: performanceTasks
+  },
+  { criterion: 'clubDescription', assessed: (g) => g.subScores.clubDescription != null, build: clubDescriptionTasks },
+  { criterion: 'googleProfile', assessed: (g) => Boolean(g.google && g.google.status === 'ok'), build: googleProfileTasks }
+];
+
+function ticketId(slug, criterion, check) {
+  return `${slug}/${criterion}/${check}`;
+}
+
+function buildTickets(gyms, rules, { labels = {}, generatedAt = null } = {}) {
+  const tickets = [];
+  for (const gym of gyms) {
+    for (const group of CHECK_GROUPS) {
+      if (!group.assessed(gym)) continue;
+      for (const t of group.build(gym, rules)) {
+        tickets.push({
+          id: ticketId(gym.slug, group.criterion, t.check),
+          slug: gym.slug,
+          gymName: gym.gymName,
+          url: gym.url,
+          region: gym.region || '',
+          criterion: group.criterion,
+          criterionLabel: labels[group.criterion] || group.criterion,
+          ...t,
+          status: 'open',
+          firstSeen: generatedAt,
+          lastSeen: generatedAt,
+          resolvedAt: null,
+          staleSince: null
+        });
+      }
+    }
+  }
+  return sortTickets(tickets);
+}
+
+function sortTickets(tickets) {
+  return tickets.sort(
+    (a, b) =>
+      STATUS_RANK[a.status] - STATUS_RANK[b.status] ||
+      SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] ||
+      a.slug.localeCompare(b.slug) ||
+      a.id.localeCompare(b.id)
+  );
+}
+
+function wasAssessed(ticket, gym) {
+  const group = CHECK_GROUPS.find((g) => g.criterion === ticket.criterion);
+  return Boolean(gym && group && group.assessed(gym, ticket.check));
+}
+
+function expired(since, generatedAt) {
+  const age = Date.parse(generatedAt) - Date.parse(since);
+  return age > RETENTION_DAYS * DAY_MS;
+}
+
+function trackTickets(previous, current, gyms, generatedAt) {
+  const bySlug = new Map(gyms.map((g) => [g.slug, g]));
+  const before = new Map((previous || []).map((t) => [t.id, t]));
+  const currentIds = new Set(current.map((t) => t.id));
+  const counts = { open: current.length, new: 0, reopened: 0, resolved: 0, carried: 0, stale: 0, dropped: 0 };
+
+  const tracked = current.map((t) => {
+    const prev = before.get(t.id);
+    if (!prev) {
+      counts.new += 1;
+      return t;
+    }
+    if (prev.status === 'resolved') counts.reopened += 1;
+    return { ...t, firstSeen: prev.firstSeen || t.firstSeen };
+  });
+
+  for (const prev of before.values()) {
+    if (currentIds.has(prev.id)) continue;
+    const gym = bySlug.get(prev.slug);
+    if (prev.status === 'resolved' || (prev.status === 'stale' && !gym)) {
+      if (expired(prev.resolvedAt || prev.staleSince, generatedAt)) {
+        counts.dropped += 1;
+      } else {
+        if (prev.status === 'stale') counts.stale += 1;
+        tracked.push(prev);
+      }
+    } else if (!gym) {
+      counts.stale += 1;
+      tracked.push({ ...prev, status: 'stale', staleSince: generatedAt });
+    } else if (wasAssessed(prev, gym)) {
+      counts.resolved += 1;
+      tracked.push({ ...prev, status: 'resolved', resolvedAt: generatedAt, staleSince: null });
+    } else {
+      counts.carried += 1;
+      counts.open += 1;
+      tracked.push({ ...prev, status: 'open', staleSince: null });
+    }
+  }
+
+  return { tickets: sortTickets(tracked), counts };
+}
+
+function csvCell(value) {
+  return `"${String(value == null ? '' : value).replaceAll('"', '""')}"`;
+}
+
+function ticketDescription(t) {
+  return [`Gym: ${t.gymName} (${t.url})`, `Action: ${t.action}`, `Acceptance check: ${t.acceptance}`, `Evidence: ${t.evidence}`, `Audit ID: ${t.id}`].join('\n');
+}
+
+function generateTicketsCsv(tickets) {
+  const header = ['Summary', 'Description', 'Issue Type', 'Priority', 'Status', 'Labels', 'Labels', 'Component/s', 'External ID'];
+  const rows = tickets.map((t) =>
+    [
+      `${t.gymName}: ${t.title}`,
+      ticketDescription(t),
+      'Task',
+      t.severity,
+      CSV_STATUS[t.status],
+      t.criterion,
+      `gym-${t.slug}`,
+      t.region,
+      t.id
+    ]
+      .map(csvCell)
+      .join(',')
+  );
+  return [header.join(','), ...rows].join('\n');
+}
+
+function generateGymTicketsMarkdown(gym, tickets) {
+  const open = tickets.filter((t) => t.status === 'open');
+  const resolved = tickets.filter((t) => t.status === 'resolved');
+  const lines = [
+    `# ${gym.gymName}: remediation tasks`,
+    '',
+    `- Page: ${gym.url}`,
+    `- Score: ${gym.score} / 100 (fix priority ${gym.fixPriority})`,
+    ...(gym.region ? [`- Region: ${gym.region}${gym.city ? `, ${gym.city}` : ''}`] : []),
+    '',
+    `## Open (${open.length})`,
+    ''
+  ];
+  if (!open.length) lines.push('No open tasks.', '');
+  for (const t of open) {
+    lines.push(
+      `### [${t.severity}] ${t.title}`,
+      '',
+      `- ID: \`${t.id}\``,
+      `- Criterion: ${t.criterionLabel}`,
+      `- Action: ${t.action}`,
+      `- Acceptance check: ${t.acceptance}`,
+      `- Evidence: ${t.evidence}`,
+      ...(t.firstSeen ? [`- Open since: ${t.firstSeen.slice(0, 10)}`] : []),
+      ''
+    );
+  }
+  if (resolved.length) {
+    lines.push(`## Resolved (${resolved.length})`, '');
+    for (const t of resolved) lines.push(`- ${t.title} (\`${t.id}\`)${t.resolvedAt ? `, resolved ${t.resolvedAt.slice(0, 10)}` : ''}`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+module.exports = { buildTickets, trackTickets, generateTicketsCsv, generateGymTicketsMarkdown };
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { auditPage, auditSitemap, generateHtml, loadRules, loadSites, benchmarkReports, generateBenchmarkHtml } = require('..');
+const { validateSites, applySiteRules, gymUrl, slugFromUrl } = require('../lib/sites');
+const { generateBenchmarkCsv } = require('../lib/benchmark');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const SITES = path.join(FIXTURES, 'sites.json');
+const rules = loadRules();
+const rivalHtml = fs.readFileSync(path.join(FIXTURES, 'rival-gym.html'), 'utf8');
+
+function rivalProfile(baseUrl) {
+  return {
+    name: 'Rival Gyms',
+    baseUrl,
+    sitemapUrl: `${baseUrl}/sitemap.xml`,
+    gymPath: '/clubs/{slug}',
+    excludeSlugs: ['offers'],
+    joinCta: { textTerms: ['sign up'], hrefPattern: 'signup', onlinePattern: 'signup' }
+  };
+}
+
+test('the default profiles describe the Nuffield gym URLs and exclusions', () => {
+  const profiles = loadSites();
+  const nuffield = profiles.sites[profiles.defaultSite];
+  assert.equal(nuffield.sitemapUrl, 'https://www.nuffieldhealth.com/sitemap_gyms.xml');
+  assert.equal(slugFromUrl(nuffield, 'https://www.nuffieldhealth.com/gyms/aberdeen/'), 'aberdeen');
+  assert.equal(slugFromUrl(nuffield, 'https://www.nuffieldhealth.com/gyms/aberdeen/timetable'), null);
+  assert.equal(gymUrl(nuffield, 'bath'), 'https://www.nuffieldhealth.com/gyms/bath');
+  assert.ok(nuffield.excludeSlugs.includes('membership'));
+  assert.ok(Object.keys(profiles.sites).length > 1);
+});
+
+test('validateSites lists every problem in the profiles', () => {
+  assert.throws(
+    () =>
+      validateSites(
+        {
+          version: '1',
+          defaultSite: 'missing',
+          sites: {
+            Bad_Key: { name: 'x', baseUrl: 'https://a.example/path', sitemapUrl: 'sitemap.xml', gymPath: 'clubs' },
+            rival: { ...rivalProfile('https://rival.example'), gymUrlPattern: '^https://rival\\.example/clubs/[a-z]+$', joinCta: { colour: 'red' } }
+          }
+        },
+        'bad.json'
+      ),
+    (err) =>
+      /Invalid sites file bad\.json/.test(err.message) &&
+      /sites\.Bad_Key must be named/.test(err.message) &&
+      /sites\.Bad_Key\.baseUrl must be an http\(s\) origin/.test(err.message) &&
+      /sites\.Bad_Key\.sitemapUrl must be an absolute/.test(err.message) &&
+      /sites\.Bad_Key\.gymPath must start with \/ and contain \{slug\} once/.test(err.message) &&
+      /sites\.rival\.gymUrlPattern must have exactly one capture group/.test(err.message) &&
+      /sites\.rival\.joinCta\.colour is not recognised/.test(err.message) &&
+      /defaultSite "missing" is not one of: Bad_Key, rival/.test(err.message)
+  );
+});
+
+test('applySiteRules layers the profile join signals over the scoring rules', () => {
+  const { sites } = validateSites({ version: '1', defaultSite: 'rival', sites: { rival: rivalProfile('https://rival.example') } }, 'inline');
+  const siteRules = applySiteRules(rules, sites.rival);
+  assert.deepEqual(siteRules.joinCta.textTerms, ['sign up']);
+  assert.equal(siteRules.joinCta.membershipOptionsRe, rules.joinCta.membershipOptionsRe);
+  assert.equal(siteRules.site.key, 'rival');
+
+  const gym = auditPage(rivalHtml, 'https://www.rival-gyms.example/clubs/leeds', { rules, sites: SITES, site: 'rival' });
+  assert.equal(gym.slug, 'leeds');
+  assert.equal(gym.joinRoutePresent, true);
+  assert.equal(gym.gymPageSignals.hasTimetableOrSubNav, true);
+});
+
+test('auditSitemap replays a competitor snapshot with its own profile', async () => {
+  const report = await auditSitemap(null, { replay: path.join(FIXTURES, 'rival-snapshot'), rules, sites: SITES });
+  assert.equal(report.site.key, 'rival');
+  assert.equal(report.source, 'https://www.rival-gyms.example/sitemap.xml');
+  assert.deepEqual(report.gyms.map((g) => g.slug), ['leeds']);
+  assert.equal(report.coverage.counts.excluded_slug, 1);
+  assert.match(report.coverage.pages.find((p) => p.slug === 'offers').detail, /excludeSlugs/);
+  assert.match(generateHtml(report), /<h1>Rival Gyms Gym Landing Page Audit<\/h1>/);
+  assert.doesNotMatch(generateHtml(report), /class="brand"|Nuffield Health logo|logo_inverse/);
+
+  await assert.rejects(
+    auditSitemap(null, { replay: path.join(FIXTURES, 'rival-snapshot'), rules, sites: SITES, site: 'nuffield' }),
+    (err) => err.code === 'USAGE' && /captured for site "rival"/.test(err.message)
+  );
+});
+
+test('auditSitemap crawls a local stand-in site through its profile', async () => {
+  const server = http.createServer((req, res) => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    if (req.url === '/sitemap.xml') {
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      res.end(`<urlset><url><loc>${base}/clubs/leeds</loc></url><url><loc>${base}/clubs/offers</loc></url></urlset>`);
+    } else if (req.url === '/clubs/leeds') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(rivalHtml);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const profiles = validateSites({ version: '1', defaultSite: 'local', sites: { local: rivalProfile(base) } }, 'inline');
+    const report = await auditSitemap(null, { rules, sites: profiles, skip: ['google'], http: { retries: 0, maxRequestsPerSecondPerHost: 50 } });
+    assert.deepEqual(report.gyms.map((g) => g.url), [`${base}/clubs/leeds`]);
+    assert.equal(report.gyms[0].joinRoutePresent, true);
+  } finally {
+    server.close();
+  }
+});
+
+test('benchmarkReports compares pass rates and scores side by side', async () => {
+  const nuffield = await auditSitemap(null, { replay: path.join(FIXTURES, 'snapshot'), rules, sites: SITES });
+  const rival = await auditSitemap(null, { replay: path.join(FIXTURES, 'rival-snapshot'), rules, sites: SITES });
+  const benchmark = benchmarkReports([nuffield, rival]);
+
+  assert.equal(benchmark.baseline, 'nuffield');
+  assert.deepEqual(
+    benchmark.sites.map((s) => [s.key, s.gyms, s.averageScore]),
+    [
+      ['nuffield', 1, 100],
+      ['rival', 1, rival.gyms[0].score]
+    ]
+  );
+  assert.equal(benchmark.sites[0].passRates.imagery, 100);
+  assert.equal(benchmark.sites[1].passRates.imagery, 0);
+  assert.deepEqual(benchmark.leaders.imagery, ['nuffield']);
+  assert.deepEqual(benchmark.leaders.joinRoute, ['nuffield', 'rival']);
+  assert.deepEqual(benchmark.warnings, []);
+
+  assert.match(generateBenchmarkCsv(benchmark), /^site,name,gyms,averageScore,medianScore,highPriority,highPriorityRate,coreFacilitiesPassRate,/);
+  const html = generateBenchmarkHtml(benchmark);
+  assert.match(html, /<th>Nuffield Health<\/th><th>Rival Gyms<\/th>/);
+  assert.match(html, /<tr><td>Imagery pass rate<\/td><td><b>100%<\/b><\/td><td>0% <span class="small">\(-100 vs Nuffield Health\)<\/span><\/td><\/tr>/);
+
+  rival.disabled = ['seo'];
+  assert.deepEqual(benchmarkReports([nuffield, rival]).warnings, ['Rival Gyms was audited with seo switched off.']);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { SCORED_CRITERIA } = require('..');
+const { parseCommandLine, checkGates } = require('../lib/cli');
+
+const ROOT = path.join(__dirname, '..');
+const AUDIT = path.join(ROOT, 'audit.js');
+const GOOD_PAGE = path.join(__dirname, 'fixtures', 'good-gym.html');
+
+const DEFAULTS = {
+  root: ROOT,
+  outDir: path.join(ROOT, 'docs'),
+  dataDir: path.join(ROOT, 'data'),
+  rulesPath: path.join(ROOT, 'config', 'rules.json'),
+  regionsPath: path.join(ROOT, 'config', 'regions.json'),
+  sitesPath: path.join(ROOT, 'config', 'sites.json'),
+  http: { timeoutMs: 20000, retries: 2, maxRequestsPerSecondPerHost: 2 },
+  concurrency: 4,
+  placesUrl: null,
+  criteria: SCORED_CRITERIA
+};
+
+function parse(...argv) {
+  return parseCommandLine(argv, DEFAULTS);
+}
+
+function usageMessage(fn) {
+  try {
+    fn();
+  } catch (err) {
+    assert.equal(err.code, 'USAGE');
+    return err.message;
+  }
+  assert.fail('expected a usage error');
+}
+
+function run(...argv) {
+  return spawnSync(process.execPath, [AUDIT, ...argv], { cwd: ROOT, encoding: 'utf8' });
+}
+
+test('parseCommandLine defaults to the audit command and reads its options', () => {
+  const { command, options } = parse('--site', 'rival', '--skip', 'performance,google', '--max-high', '3', '--timeout', '5');
+  assert.equal(command, 'audit');
+  assert.equal(options.site, 'rival');
+  assert.equal(options.outDir, path.join(DEFAULTS.outDir, 'sites', 'rival'));
+  assert.equal(options.dataDir, path.join(DEFAULTS.dataDir, 'sites', 'rival'));
+  assert.deepEqual(options.disabledCriteria, ['performance']);
+  assert.equal(options.skipGoogle, true);
+  assert.deepEqual(options.gates, { maxHigh: 3, minAverage: null, maxRegressions: null });
+  assert.equal(options.http.timeoutMs, 5000);
+  assert.equal(options.concurrency, 4);
+
+  assert.equal(parse('--help').command, 'help');
+  assert.deepEqual(parse('diff', 'a.json', 'b.json').options.files, [path.join(ROOT, 'a.json'), path.join(ROOT, 'b.json')]);
+  assert.equal(parse('page', 'gym.html', '--min-score', '70').options.minScore, 70);
+});
+
+test('parseCommandLine rejects bad options with usage errors', () => {
+  assert.match(usageMessage(() => parse('--nope')), /Unknown option '--nope'/);
+  assert.match(usageMessage(() => parse('lint')), /^Unknown command "lint"/);
+  assert.match(usageMessage(() => parse('diff', 'a.json')), /^diff needs two report files/);
+  assert.match(usageMessage(() => parse('page')), /^page needs one URL or HTML file/);
+  assert.match(usageMessage(() => parse('--max-high=-1')), /^--max-high must be a non-negative number/);
+  assert.match(usageMessage(() => parse('--concurrency', '0')), /^--concurrency must be at least 1/);
+  assert.match(usageMessage(() => parse('--skip', 'colour')), /^--skip does not know colour/);
+  assert.match(usageMessage(() => parse('--capture', '--replay', 'snap')), /cannot be used together/);
+  assert.match(usageMessage(() => parse('--site', 'Rival Gyms')), /^--site must be a site profile name/);
+});
+
+test('checkGates reports each gate that fails', () => {
+  const report = {
+    gyms: [{ fixPriority: 'High' }, { fixPriority: 'High' }, { fixPriority: 'Low' }],
+    summary: { averageScore: 62 },
+    changes: { counts: { regressions: 4 } }
+  };
+  assert.deepEqual(checkGates({ maxHigh: null, minAverage: null, maxRegressions: null }, report), []);
+  assert.deepEqual(checkGates({ maxHigh: 2, minAverage: 60, maxRegressions: 4 }, report), []);
+  assert.deepEqual(checkGates({ maxHigh: 1, minAverage: 70, maxRegressions: 3 }, report), [
+    '2 gyms are High priority (maximum 1)',
+    'average score 62 is below 70',
+    '4 regressions since the previous report (maximum 3)'
+  ]);
+  assert.deepEqual(checkGates({ maxRegressions: 0 }, { ...report, changes: null }), []);
+});
+
+test('the command line exits 0, 2 or 3 and prints usage errors without a stack trace', () => {
+  assert.equal(run('--help').status, 0);
+  assert.equal(run('page', GOOD_PAGE).status, 0);
+  assert.equal(run('page', GOOD_PAGE, '--min-score', '101').status, 3);
+
+  const unknown = run('--nope');
+  assert.equal(unknown.status, 2);
+  assert.match(unknown.stderr, /^Error: Unknown option '--nope'/);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gym-cli-'));
+  try {
+    const missing = run('page', GOOD_PAGE, '--rules', path.join(dir, 'missing.json'));
+    assert.equal(missing.status, 2);
+    assert.match(missing.stderr, /^Error: Could not read rules file /);
+    assert.doesNotMatch(missing.stderr, /\n\s+at /);
+
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+    assert.match(run('page', GOOD_PAGE, '--rules', path.join(dir, 'broken.json')).stderr, /^Error: Could not parse rules file /);
+
+    fs.writeFileSync(path.join(dir, 'invalid.json'), JSON.stringify({ version: 1 }));
+    const invalid = run('page', GOOD_PAGE, '--rules', path.join(dir, 'invalid.json'));
+    assert.equal(invalid.status, 2);
+    assert.match(invalid.stderr, /^Error: Invalid rules file /);
+
+    const sites = run('page', GOOD_PAGE, '--sites', path.join(dir, 'missing.json'));
+    assert.equal(sites.status, 2);
+    assert.match(sites.stderr, /^Error: Could not read sites file /);
+
+    fs.writeFileSync(path.join(dir, 'regions.json'), JSON.stringify({ regions: 'north' }));
+    const regions = run('--replay', path.join(__dirname, 'fixtures', 'snapshot'), '--regions', path.join(dir, 'regions.json'), '--data-dir', dir, '--out-dir', dir);
+    assert.equal(regions.status, 2);
+    assert.match(regions.stderr, /^Error: Invalid regions file /);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
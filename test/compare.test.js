@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { compareReports } = require('..');
+
+function gym(slug, score, fixPriority, results, joinRoutePresent = true) {
+  return {
+    slug,
+    gymName: `${slug[0].toUpperCase()}${slug.slice(1)} Gym`,
+    url: `https://www.nuffieldhealth.com/gyms/${slug}`,
+    score,
+    fixPriority,
+    joinRoutePresent,
+    criteria: Object.fromEntries(Object.entries(results).map(([key, result]) => [key, { result }]))
+  };
+}
+
+function report(gyms, summary, sha256 = 'a') {
+  return { generatedAt: '2026-01-01T00:00:00.000Z', rules: { version: '1', sha256 }, summary, gyms };
+}
+
+const BEFORE = report(
+  [
+    gym('aberdeen', 100, 'Low', { coreFacilities: 'Pass', imagery: 'Pass', seo: 'Pass' }),
+    gym('bath', 40, 'High', { coreFacilities: 'Fail', imagery: 'Fail', seo: 'Fail' }, false),
+    gym('york', 70, 'Medium', { coreFacilities: 'Pass', imagery: 'Fail', seo: 'Pass' })
+  ],
+  { total: 3, imageryPass: 1, averageScore: 70 }
+);
+
+const AFTER = report(
+  [
+    gym('aberdeen', 80, 'High', { coreFacilities: 'Pass', imagery: 'Fail', seo: 'Pass' }, false),
+    gym('bath', 65, 'Medium', { coreFacilities: 'Pass', imagery: 'Fail', seo: 'Fail' }, true),
+    gym('leeds', 90, 'Low', { coreFacilities: 'Pass', imagery: 'Pass', seo: 'Pass' })
+  ],
+  { total: 3, imageryPass: 1, averageScore: 78, napMismatches: 2 },
+  'b'
+);
+
+test('compareReports lists criteria that flipped in either direction', () => {
+  const changes = compareReports(BEFORE, AFTER);
+  assert.deepEqual(
+    changes.criteria.map((c) => [c.slug, c.criterion, c.from, c.to, c.direction]),
+    [
+      ['aberdeen', 'imagery', 'Pass', 'Fail', 'regressed'],
+      ['aberdeen', 'joinRoute', 'Pass', 'Fail', 'regressed'],
+      ['bath', 'coreFacilities', 'Fail', 'Pass', 'improved'],
+      ['bath', 'joinRoute', 'Fail', 'Pass', 'improved']
+    ]
+  );
+});
+
+test('compareReports reports fixPriority changes and score deltas', () => {
+  const changes = compareReports(BEFORE, AFTER);
+  assert.deepEqual(
+    changes.fixPriority.map((c) => [c.slug, c.from, c.to, c.direction]),
+    [
+      ['aberdeen', 'Low', 'High', 'regressed'],
+      ['bath', 'High', 'Medium', 'improved']
+    ]
+  );
+  assert.deepEqual(
+    changes.scores.map((s) => [s.slug, s.from, s.to, s.delta, s.direction]),
+    [
+      ['aberdeen', 100, 80, -20, 'regressed'],
+      ['bath', 40, 65, 25, 'improved']
+    ]
+  );
+  assert.deepEqual(changes.counts, { regressions: 3, improvements: 3, added: 1, removed: 1 });
+});
+
+test('compareReports lists added and removed gyms, summary deltas and rule changes', () => {
+  const changes = compareReports(BEFORE, AFTER);
+  assert.deepEqual(changes.added, [{ slug: 'leeds', gymName: 'Leeds Gym', url: 'https://www.nuffieldhealth.com/gyms/leeds' }]);
+  assert.deepEqual(changes.removed, [{ slug: 'york', gymName: 'York Gym', url: 'https://www.nuffieldhealth.com/gyms/york' }]);
+  assert.deepEqual(changes.summary, {
+    total: { before: 3, after: 3, delta: 0 },
+    imageryPass: { before: 1, after: 1, delta: 0 },
+    averageScore: { before: 70, after: 78, delta: 8 },
+    napMismatches: { before: null, after: 2, delta: null }
+  });
+  assert.equal(changes.rulesChanged, true);
+  assert.equal(compareReports(BEFORE, { ...AFTER, rules: BEFORE.rules }).rulesChanged, false);
+});
+
+test('the diff command writes the comparison and applies --max-regressions', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gym-diff-'));
+  try {
+    const previous = path.join(dir, 'previous.json');
+    const current = path.join(dir, 'current.json');
+    fs.writeFileSync(previous, JSON.stringify(BEFORE));
+    fs.writeFileSync(current, JSON.stringify(AFTER));
+    const audit = path.join(__dirname, '..', 'audit.js');
+
+    const printed = spawnSync(process.execPath, [audit, 'diff', previous, current], { encoding: 'utf8' });
+    assert.equal(printed.status, 0, printed.stderr);
+    assert.deepEqual(JSON.parse(printed.stdout).counts, { regressions: 3, improvements: 3, added: 1, removed: 1 });
+
+    const out = path.join(dir, 'changes.json');
+    const gated = spawnSync(process.execPath, [audit, 'diff', previous, current, '--out', out, '--max-regressions', '2'], { encoding: 'utf8' });
+    assert.equal(gated.status, 3);
+    assert.match(gated.stderr, /Quality gate failed: 3 regressions/);
+    assert.equal(JSON.parse(fs.readFileSync(out, 'utf8')).removed[0].slug, 'york');
+
+    const missing = spawnSync(process.execPath, [audit, 'diff', previous], { encoding: 'utf8' });
+    assert.equal(missing.status, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const cheerio = require('cheerio');
+const { auditSitemap, generateHtml, generateGymPage, generateCsv, loadRules, markCopySimilarity } = require('..');
+const { extractIntro, analyzeCopy, assessCopy, readingEase, words, sentences } = require('../lib/copy');
+
+const SNAPSHOT = path.join(__dirname, 'fixtures', 'snapshot');
+const rules = loadRules();
+const POOL = { label: 'Pool', re: /\bpool\b/ };
+
+const SHARED =
+  'Our club has everything you need to reach your goals. Train on modern equipment, join a class or unwind after your workout. Our friendly team are here to help you every step of the way and make every visit count.';
+
+function gymWithIntro(slug, gymName, town, text) {
+  const copy = analyzeCopy({ text, source: 'page copy' }, { towns: [town], facilities: [POOL] }, rules);
+  return { slug, gymName, clubDescription: assessCopy(copy, rules) };
+}
+
+test('readingEase scores short plain sentences above long technical ones', () => {
+  const plain = 'Swim in our pool. Lift in the gym. Relax in the sauna.';
+  const dense = 'Comprehensive cardiovascular conditioning opportunities accommodate individualised physiological requirements throughout membership.';
+  assert.deepEqual(sentences(plain), ['Swim in our pool.', 'Lift in the gym.', 'Relax in the sauna.']);
+  assert.ok(readingEase(words(plain), 3) > 90);
+  assert.equal(readingEase(words(dense), 1), 0);
+});
+
+test('extractIntro reads main paragraphs and skips navigation and short lines', () => {
+  const $ = cheerio.load(
+    '<header><p>Accept all cookies to continue browsing this website today</p></header><main><p>Join now</p><p>Our Leeds club is a short walk from the station.</p></main>'
+  );
+  assert.deepEqual(extractIntro($, { h1: 'Leeds Gym', metaDescription: 'Meta' }, rules), {
+    text: 'Our Leeds club is a short walk from the station.',
+    source: 'page copy'
+  });
+  assert.deepEqual(extractIntro(cheerio.load('<h1>Leeds Gym</h1>'), { h1: 'Leeds Gym', metaDescription: '' }, rules), { text: 'Leeds Gym', source: 'H1' });
+});
+
+test('analyzeCopy counts the town, landmarks and facilities found on the page', () => {
+  const copy = analyzeCopy(
+    { text: 'Our Leeds club is opposite the station. Swim in the pool before work.', source: 'page copy' },
+    { towns: ['Leeds'], facilities: [POOL, { label: 'Sauna', re: /\bsauna\b/ }] },
+    rules
+  );
+  assert.equal(copy.words, 13);
+  assert.equal(copy.sentences, 2);
+  assert.deepEqual(copy.local, { town: 'Leeds', landmarks: ['station', 'opposite'], facilities: ['Pool'], count: 4 });
+  assert.deepEqual(copy.facilitiesMissing, ['Sauna']);
+});
+
+test('markCopySimilarity flags intros reused across gyms once place names are ignored', () => {
+  const gyms = [
+    gymWithIntro('leeds', 'Leeds Gym', 'Leeds', `Welcome to Leeds. ${SHARED}`),
+    gymWithIntro('york', 'York Gym', 'York', `Welcome to York. ${SHARED}`),
+    gymWithIntro('bath', 'Bath Gym', 'Bath', 'Bath is a spa city and our pool sits next to the river, ten minutes from the station by bus.')
+  ];
+  const groups = markCopySimilarity(gyms, rules);
+  assert.deepEqual(groups, [{ slugs: ['leeds', 'york'], similarity: 1 }]);
+  assert.equal(gyms[0].clubDescription.copy.similarity.gymName, 'York Gym');
+  assert.equal(gyms[2].clubDescription.copy.similarity.value < rules.clubDescription.maxSimilarity, true);
+
+  const assessed = assessCopy(gyms[0].clubDescription.copy, rules);
+  assert.equal(assessed.tone, 'Boilerplate');
+  assert.match(assessed.text, /it reuses the intro on York Gym/);
+  assert.match(assessed.text, /Shared sentence: "Our friendly team are here to help you every step of the way and make every visit count\."/);
+  assert.match(assessed.text, /Missing differentiators: a nearby landmark or transport link; facilities found on the page: Pool\./);
+});
+
+test('assessCopy quotes the weakest sentence when the copy is not reused', () => {
+  const copy = analyzeCopy(
+    { text: 'Welcome to our club in Leeds. We offer a range of options for all of the people who might like to come along and take part in the things that we do here each and every day.', source: 'page copy' },
+    { towns: ['Leeds'], facilities: [POOL] },
+    rules
+  );
+  const assessed = assessCopy({ ...copy, similarity: { value: 0, slug: null, gymName: null, sharedSentence: '' } }, rules);
+  assert.equal(assessed.tone, 'Needs improvement');
+  assert.match(assessed.text, /Weakest sentence: "We offer a range of options/);
+  assert.deepEqual(assessed.copy.missing, ['a nearby landmark or transport link', 'facilities found on the page: Pool', 'a clear member benefit', 'distinctive language about the experience']);
+});
+
+test('auditSitemap reports copy statistics in the JSON, CSV and HTML', async () => {
+  const report = await auditSitemap(null, { replay: SNAPSHOT, rules });
+  const gym = report.gyms.find((g) => g.slug === 'aberdeen');
+  assert.equal(gym.clubDescription.tone, 'Appealing');
+  assert.deepEqual(gym.clubDescription.copy.local.landmarks, ['station', 'city centre', 'walk from']);
+  assert.deepEqual(report.copyReuse, { maxSimilarity: rules.clubDescription.maxSimilarity, groups: [] });
+  assert.match(generateCsv(report).split('\n')[0], /,clubDescriptionWords,clubDescriptionReadingEase,clubDescriptionLocalMentions,clubDescriptionSimilarity,/);
+  assert.match(generateGymPage(gym, report), /<h2>Club description copy<\/h2>[\s\S]*<dt>Reading ease<\/dt>/);
+
+  report.copyReuse.groups.push({ slugs: ['aberdeen', 'bath'], similarity: 0.8 });
+  assert.match(generateHtml(report), /<h2>Club descriptions reused across gyms<\/h2>[\s\S]*80% similar/);
+});
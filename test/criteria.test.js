@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { CRITERIA, auditPage, loadRules } = require('..');
+const { DEFAULT_RULES_PATH, validateRules } = require('../lib/rules');
+
+const rules = loadRules();
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+const good = auditPage(fixture('good-gym.html'), 'https://www.nuffieldhealth.com/gyms/aberdeen', { rules });
+const poor = auditPage(fixture('poor-gym.html'), 'https://www.nuffieldhealth.com/gyms/bath', { rules });
+
+for (const { key, label } of CRITERIA) {
+  test(`${label} passes on the good fixture`, () => {
+    assert.equal(good.criteria[key].result, 'Pass', good.criteria[key].evidence);
+    assert.ok(good.criteria[key].score >= rules.scoring.passScores[key]);
+    assert.equal(good.subScores[key], good.criteria[key].score);
+  });
+
+  test(`${label} fails on the poor fixture`, () => {
+    assert.equal(poor.criteria[key].result, 'Fail', poor.criteria[key].evidence);
+    assert.ok(poor.criteria[key].score < rules.scoring.passScores[key]);
+    assert.equal(poor.subScores[key], poor.criteria[key].score);
+  });
+}
+
+test('failure evidence names what to fix', () => {
+  assert.match(poor.criteria.coreFacilities.evidence, /Missing from the page copy: Sauna, Steam, Pool, PT, Classes/);
+  assert.match(poor.criteria.imagery.evidence, /Relevant images: 2 \(target 8\+\)/);
+  assert.match(poor.criteria.structuredData.evidence, /JSON-LD types found: Organization/);
+  assert.match(poor.criteria.seo.evidence, /robots meta tag contains noindex/);
+  assert.match(poor.criteria.accessibility.evidence, /; The html element has no lang attribute \(e\.g\. html\);/);
+  assert.match(poor.criteria.accessibility.evidence, /Findings: 2 meaningful images have no alt text .*; 1 link has generic text such as "read more" /);
+  assert.match(poor.criteria.accessibility.evidence, /; 4 landmarks are missing \(main, nav, header, footer\);/);
+  assert.match(poor.criteria.performance.evidence, /Render-blocking scripts is 5 \(budget 2\)/);
+});
+
+test('images marked decorative with an empty alt are not missing alt text', () => {
+  const html =
+    '<html lang="en"><body><img src="/img/pool.jpg"><img src="/img/divider.jpg" alt=""><img src="/img/wave.jpg" role="presentation"></body></html>';
+  const gym = auditPage(html, 'https://www.nuffieldhealth.com/gyms/bath', { rules });
+  const missingAlt = gym.accessibility.findings.find((f) => f.key === 'missingAlt');
+  assert.equal(missingAlt.count, 1);
+  assert.equal(missingAlt.message, '1 meaningful image has no alt text');
+});
+
+test('join route is detected from the membership links', () => {
+  assert.equal(good.joinRoutePresent, true);
+  assert.equal(good.subScores.joinRoute, 100);
+  assert.equal(poor.joinRoutePresent, false);
+  assert.equal(poor.subScores.joinRoute, 0);
+});
+
+test('club description tone follows the page copy', () => {
+  assert.equal(good.clubDescription.tone, 'Appealing');
+  assert.equal(poor.clubDescription.tone, 'Needs improvement');
+});
+
+test('overall score and fix priority', () => {
+  assert.equal(good.score, 100);
+  assert.equal(good.fixPriority, 'Low');
+  assert.ok(poor.score < 50);
+  assert.equal(poor.fixPriority, 'High');
+});
+
+test('gym page signals', () => {
+  assert.equal(good.isLikelyGymPage, true);
+  assert.equal(good.slug, 'aberdeen');
+  assert.equal(good.gymName, 'Aberdeen Fitness & Wellbeing Gym');
+  assert.equal(poor.isLikelyGymPage, false);
+});
+
+test('skipped criteria are left out of the score', () => {
+  const row = auditPage(fixture('poor-gym.html'), 'https://www.nuffieldhealth.com/gyms/bath', { rules, skip: ['performance'] });
+  assert.equal(row.criteria.performance, undefined);
+  assert.equal(row.subScores.performance, undefined);
+  assert.ok(row.score < poor.score);
+});
+
+test('unknown skip entries are rejected', () => {
+  assert.throws(() => auditPage('<html></html>', 'https://www.nuffieldhealth.com/gyms/bath', { rules, skip: ['speed'] }), /skip does not know speed/);
+});
+
+test('rules can be given as a file path', () => {
+  const row = auditPage(fixture('good-gym.html'), 'https://www.nuffieldhealth.com/gyms/aberdeen', {
+    rules: path.join(__dirname, '..', 'config', 'rules.json')
+  });
+  assert.equal(row.score, good.score);
+});
+
+test('the rules file rejects unknown fixPriority criteria alongside other problems', () => {
+  const raw = JSON.parse(fs.readFileSync(DEFAULT_RULES_PATH, 'utf8'));
+  raw.fixPriority.criteria = ['coreFacilities', 'imagry', 'pricing'];
+  raw.fixPriority.mediumMinFailures = 5;
+  assert.throws(
+    () => validateRules(raw, 'bad.json'),
+    (err) =>
+      /^Invalid rules file bad\.json:/.test(err.message) &&
+      /fixPriority\.criteria has unknown criteria imagry, pricing \(use coreFacilities, imagery, /.test(err.message) &&
+      /fixPriority\.mediumMinFailures must not be greater than fixPriority\.highMinFailures/.test(err.message)
+  );
+});
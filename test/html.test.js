@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { auditSitemap, generateHtml, generateGymPage, loadRules } = require('..');
+const { escapeHtml, gymPageFile, renderBarChart } = require('../lib/html');
+
+const SNAPSHOT = path.join(__dirname, 'fixtures', 'snapshot');
+const rules = loadRules();
+
+async function hostileReport() {
+  const report = await auditSitemap(null, { replay: SNAPSHOT, rules });
+  const gym = report.gyms[0];
+  gym.gymName = '<script>alert("x")</script> & Co';
+  gym.criteria.seo.evidence = 'Title is <b>"quoted"</b>';
+  gym.url = 'https://www.nuffieldhealth.com/gyms/aberdeen?a=1&b="2"';
+  return report;
+}
+
+test('escapeHtml escapes markup characters', () => {
+  assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(42), '42');
+});
+
+test('gymPageFile keeps slugs safe as file names', () => {
+  assert.equal(gymPageFile('aberdeen'), 'aberdeen.html');
+  assert.equal(gymPageFile('../st albans'), '___st_albans.html');
+});
+
+test('renderBarChart draws one bar per row with links and titles', () => {
+  const svg = renderBarChart({
+    title: 'Pass <and> fail',
+    legend: [{ label: 'Pass', className: 'pass' }],
+    rows: [{ label: 'SEO', segments: [{ value: 3, className: 'pass', label: '3 Pass', href: '#seo=Pass' }, { value: 0, className: 'fail', label: '0 Fail' }] }]
+  });
+  assert.match(svg, /^<svg class="chart"/);
+  assert.match(svg, /aria-label="Pass &lt;and&gt; fail"/);
+  assert.match(svg, /<a href="#seo=Pass"><rect class="pass"/);
+  assert.doesNotMatch(svg, /0 Fail/);
+});
+
+test('generateHtml escapes gym names, evidence and URLs', async () => {
+  const html = generateHtml(await hostileReport());
+  assert.doesNotMatch(html, /<script>alert/);
+  assert.match(html, /&lt;script&gt;alert\(&quot;x&quot;\)&lt;\/script&gt; &amp; Co/);
+  assert.match(html, /Title is &lt;b&gt;&quot;quoted&quot;&lt;\/b&gt;/);
+  assert.match(html, /href="https:\/\/www\.nuffieldhealth\.com\/gyms\/aberdeen\?a=1&amp;b=&quot;2&quot;"/);
+});
+
+test('generateHtml links each gym to its detail page and draws the charts', async () => {
+  const report = await auditSitemap(null, { replay: SNAPSHOT, rules });
+  const html = generateHtml(report);
+  assert.match(html, /<a href="gyms\/aberdeen\.html">Aberdeen Fitness &amp; Wellbeing Gym<\/a>/);
+  assert.match(html, /<svg class="chart"[^>]*aria-label="Pass and fail counts by criterion"/);
+  assert.match(html, /href="#fixPriority=Low"/);
+  assert.match(html, /data-filter-key="seo"/);
+  assert.match(html, /<img src="https:\/\/www\.nuffieldhealth\.com\/assets\/dist\/images\/logo_inverse\.svg" alt="Nuffield Health logo" \/>/);
+  assert.doesNotMatch(html, /https?:\/\/[^"]*\.(js|css)"/);
+});
+
+test('generateGymPage shows evidence, facilities and Google status', async () => {
+  const report = await hostileReport();
+  const page = generateGymPage(report.gyms[0], report);
+  assert.doesNotMatch(page, /<script>alert/);
+  assert.match(page, /<title>&lt;script&gt;/);
+  assert.match(page, /<a href="\.\.\/index\.html">/);
+  assert.match(page, /Core facilities are clearly listed/);
+  assert.match(page, /<h2>Facilities found<\/h2>/);
+  assert.match(page, /Google data unavailable: replaying a saved snapshot without network access\./);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createHttpClient } = require('../lib/http-client');
+
+async function withServer(handler, run) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+function fastClient(options = {}) {
+  return createHttpClient({ retries: 2, backoffMs: 5, maxRequestsPerSecondPerHost: 0, respectRobots: false, ...options });
+}
+
+test('a body that is cut off mid-read is retried', async () => {
+  let hits = 0;
+  await withServer(
+    (req, res) => {
+      hits += 1;
+      res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Length': '100' });
+      if (hits === 1) {
+        res.write('<html>');
+        setTimeout(() => res.destroy(), 50);
+      } else {
+        res.end('<html>'.padEnd(100, ' '));
+      }
+    },
+    async (base) => {
+      const client = fastClient();
+      const page = await client.fetchText(`${base}/gyms/leeds`);
+      assert.equal(page.status, 200);
+      assert.equal(page.text.length, 100);
+      assert.equal(hits, 2);
+      assert.equal(client.stats().retries, 1);
+    }
+  );
+});
+
+test('server errors are retried with backoff until they clear or the retries run out', async () => {
+  let hits = 0;
+  await withServer(
+    (req, res) => {
+      hits += 1;
+      res.writeHead(req.url === '/down' || hits < 3 ? 503 : 200);
+      res.end('ok');
+    },
+    async (base) => {
+      const client = fastClient();
+      assert.equal((await client.fetchText(`${base}/gyms/leeds`)).status, 200);
+      assert.equal(hits, 3);
+
+      hits = 0;
+      assert.equal((await client.fetchText(`${base}/down`)).status, 503);
+      assert.equal(hits, 3);
+      assert.deepEqual(client.log.map((e) => e.attempt), [1, 2, 3, 1, 2, 3]);
+    }
+  );
+});
+
+test('Retry-After overrides the backoff for 429 responses', async () => {
+  let hits = 0;
+  await withServer(
+    (req, res) => {
+      hits += 1;
+      res.writeHead(hits === 1 ? 429 : 200, hits === 1 ? { 'Retry-After': '1' } : {});
+      res.end('ok');
+    },
+    async (base) => {
+      const started = Date.now();
+      const page = await fastClient({ backoffMs: 5 }).fetchText(`${base}/gyms/leeds`);
+      assert.equal(page.status, 200);
+      assert.ok(Date.now() - started >= 900);
+    }
+  );
+});
+
+test('robots.txt disallow rules block requests before they are sent', async () => {
+  const paths = [];
+  await withServer(
+    (req, res) => {
+      paths.push(req.url);
+      if (req.url === '/robots.txt') {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('User-agent: *\nDisallow: /private\nAllow: /private/open\n');
+      } else {
+        res.writeHead(200);
+        res.end('ok');
+      }
+    },
+    async (base) => {
+      const client = fastClient({ respectRobots: true });
+      await assert.rejects(client.fetchText(`${base}/private/page`), (err) => err.code === 'ROBOTS_DISALLOWED');
+      assert.equal((await client.fetchText(`${base}/private/open`)).status, 200);
+      assert.deepEqual(paths, ['/robots.txt', '/private/open']);
+      assert.equal(client.stats().robotsBlocked, 1);
+    }
+  );
+});
+
+test('browser page loads pass the robots.txt check and are logged', async () => {
+  await withServer(
+    (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(req.url === '/robots.txt' ? 'User-agent: *\nDisallow: /private\n' : 'ok');
+    },
+    async (base) => {
+      const client = fastClient({ respectRobots: true });
+      await client.admit(`${base}/gyms/leeds`);
+      await assert.rejects(client.admit(`${base}/private`), (err) => err.code === 'ROBOTS_DISALLOWED');
+      assert.deepEqual(
+        client.log.filter((e) => !e.url.endsWith('/robots.txt')).map((e) => [e.url.slice(base.length), e.via || e.blocked]),
+        [
+          ['/gyms/leeds', 'browser'],
+          ['/private', 'robots.txt']
+        ]
+      );
+    }
+  );
+});
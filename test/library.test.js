@@ -0,0 +1,222 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawnSync } = require('child_process');
+const lib = require('..');
+const { buildTickets } = require('../lib/tickets');
+const { createSnapshotRecorder, loadSnapshot } = require('../lib/snapshot');
+const { validateSites } = require('../lib/sites');
+
+const SNAPSHOT = path.join(__dirname, 'fixtures', 'snapshot');
+const rules = lib.loadRules();
+
+test('importing the module has no side effects', () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'gym-audit-'));
+  try {
+    const run = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(path.join(__dirname, '..'))})`], { cwd, encoding: 'utf8' });
+    assert.equal(run.status, 0, run.stderr);
+    assert.equal(run.stdout, '');
+    assert.deepEqual(fs.readdirSync(cwd), []);
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
+
+test('the module loads without sharp and --analyze-images explains what is missing', () => {
+  const script = `
+    const Module = require('module');
+    const load = Module._load;
+    Module._load = function (request, ...rest) {
+      if (request === 'sharp') throw new Error("Cannot find module 'sharp'");
+      return load.call(this, request, ...rest);
+    };
+    const lib = require(${JSON.stringify(path.join(__dirname, '..'))});
+    lib.auditSitemap('http://127.0.0.1:9/sitemap.xml', { analyzeImages: true }).catch((err) => console.log(err.code, err.message));
+  `;
+  const run = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8' });
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /^USAGE --analyze-images needs the sharp package/);
+});
+
+test('parseLocs returns decoded sitemap URLs', () => {
+  const xml = '<urlset><url><loc>https://example.com/gyms/a?x=1&amp;y=2</loc></url><url><loc>https://example.com/gyms/b</loc></url></urlset>';
+  assert.deepEqual(lib.parseLocs(xml), ['https://example.com/gyms/a?x=1&y=2', 'https://example.com/gyms/b']);
+  assert.deepEqual(lib.parseLocs('<urlset></urlset>'), []);
+});
+
+test('normalizeGoogleAssessment passes lookup messages through', () => {
+  assert.deepEqual(lib.normalizeGoogleAssessment({ status: 'not_found', message: 'Google profile not found for this gym.' }), {
+    reviewSummary: 'Google profile not found for this gym.',
+    profileAssessment: 'Google profile not found for this gym.'
+  });
+  assert.equal(lib.normalizeGoogleAssessment(null).reviewSummary, 'Google data unavailable.');
+});
+
+test('normalizeGoogleAssessment summarises a complete profile', () => {
+  const result = lib.normalizeGoogleAssessment({
+    status: 'ok',
+    details: { rating: 4.6, user_ratings_total: 212, photos_count: 12, has_hours: true, has_website: true, has_phone: true, business_status: 'OPERATIONAL' }
+  });
+  assert.equal(result.reviewSummary, 'Google rating: 4.6 from 212 reviews.');
+  assert.match(result.profileAssessment, /Claimed status: Likely claimed \(inferred\)/);
+  assert.doesNotMatch(result.profileAssessment, /Recommended actions/);
+});
+
+test('normalizeGoogleAssessment lists missing profile details', () => {
+  const result = lib.normalizeGoogleAssessment({ status: 'ok', details: { photos_count: 1 } });
+  assert.equal(result.reviewSummary, 'Google rating: N/A from 0 reviews.');
+  assert.match(result.profileAssessment, /Possibly unclaimed\/incomplete/);
+  assert.match(result.profileAssessment, /add\/verify opening hours; add more high-quality profile and interior photos/);
+});
+
+test('auditSitemap builds a report from a replayed snapshot', async () => {
+  const report = await lib.auditSitemap(null, { replay: SNAPSHOT, rules });
+  assert.equal(report.source, 'https://www.nuffieldhealth.com/sitemap_gyms.xml');
+  assert.deepEqual(report.snapshot, { mode: 'replay', id: 'test-fixture', capturedAt: '2026-01-01T00:00:00.000Z' });
+  assert.equal(report.coverage.counts.included, 1);
+  assert.equal(report.coverage.counts.excluded_slug, 1);
+  assert.equal(report.coverage.counts.not_gym_page, 1);
+  assert.deepEqual(report.gyms.map((g) => g.slug), ['aberdeen']);
+  assert.equal(report.gyms[0].google.status, 'offline');
+  assert.equal(report.gyms[0].seo.ogImageStatus, null);
+  assert.equal(report.summary.averageScore, 100);
+});
+
+test('rendered pages saved in a snapshot are replayed with render', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gym-render-'));
+  try {
+    const fixture = loadSnapshot(SNAPSHOT);
+    const recorder = createSnapshotRecorder(dir, fixture);
+    const cta = { text: 'Join now', href: '/join', visible: true, top: 120, width: 160, height: 48, aboveFold: true };
+    const render = recorder.recordRendering(async (url) => {
+      const page = await fixture.fetchText(url);
+      const html = page.text.replace('</head>', '<script src="/tag-manager.js"></script><script src="https://widgets.example.com/chat.js"></script></head>');
+      return { status: 200, html, viewports: { mobile: { width: 390, height: 844, ctas: [cta] }, desktop: { width: 1366, height: 768, ctas: [cta] } } };
+    });
+    await recorder.fetchText(fixture.manifest.sitemapUrl);
+    await recorder.fetchText('https://www.nuffieldhealth.com/gyms/aberdeen');
+    await render('https://www.nuffieldhealth.com/gyms/aberdeen');
+    recorder.finalize({ sitemapUrl: fixture.manifest.sitemapUrl });
+
+    const rendered = await lib.auditSitemap(null, { replay: dir, rules, render: true });
+    assert.equal(rendered.gyms[0].rendering.mode, 'browser');
+    assert.equal(rendered.gyms[0].rendering.viewports.mobile.cta.text, 'Join now');
+    const plain = await lib.auditSitemap(null, { replay: dir, rules });
+    assert.equal(plain.gyms[0].rendering.mode, 'static');
+    assert.deepEqual(rendered.gyms[0].performance, plain.gyms[0].performance);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('auditSitemap applies slug filters, URL lists and skips', async () => {
+  const filtered = await lib.auditSitemap(null, { replay: SNAPSHOT, rules, exclude: ['aber*'] });
+  assert.equal(filtered.coverage.counts.excluded_filter, 1);
+  assert.equal(filtered.coverage.counts.not_gym_page, 1);
+  assert.equal(filtered.gyms.length, 0);
+
+  const listed = await lib.auditSitemap(null, { replay: SNAPSHOT, rules, urls: ['aberdeen'], skip: ['seo', 'google'] });
+  assert.equal(listed.source, 'URL list');
+  assert.deepEqual(listed.disabled, ['seo', 'google']);
+  assert.equal(listed.gyms[0].criteria.seo, undefined);
+  assert.equal(listed.gyms[0].google.status, 'skipped');
+});
+
+test('render-blocking files and og:images are only requested with measureResources and checkOgImages', async () => {
+  const heads = [];
+  const server = http.createServer((req, res) => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    if (req.method === 'HEAD') heads.push(req.url);
+    if (req.url === '/sitemap.xml') {
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      res.end(`<urlset><url><loc>${base}/gyms/leeds</loc></url></urlset>`);
+    } else if (req.url === '/gyms/leeds') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'good-gym.html'), 'utf8');
+      res.end(html.replace('<head>', '<head><script src="/app.js"></script>').replace('https://www.nuffieldhealth.com/img/aberdeen.jpg', '/og.jpg'));
+    } else if (req.url === '/og.jpg') {
+      res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+      res.end();
+    } else if (req.url === '/app.js') {
+      res.writeHead(200, { 'Content-Type': 'text/javascript', 'Content-Length': '250000' });
+      res.end(req.method === 'HEAD' ? undefined : ''.padEnd(250000));
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const sites = validateSites({ version: '1', defaultSite: 'local', sites: { local: { name: 'Local', baseUrl: base, sitemapUrl: `${base}/sitemap.xml`, gymPath: '/gyms/{slug}' } } }, 'inline');
+    const options = { rules, sites, skip: ['google'], http: { retries: 0, maxRequestsPerSecondPerHost: 50 } };
+
+    const estimated = await lib.auditSitemap(null, options);
+    assert.deepEqual(heads, []);
+    assert.equal(estimated.performance.resourceRequests, 0);
+    assert.equal(estimated.gyms[0].performance.renderBlockingBytes, null);
+    assert.equal(estimated.gyms[0].seo.ogImageStatus, null);
+
+    const measured = await lib.auditSitemap(null, { ...options, measureResources: true });
+    assert.deepEqual(heads, ['/app.js']);
+    assert.equal(measured.performance.resourceRequests, 1);
+    assert.equal(measured.gyms[0].performance.renderBlockingBytes, 250000);
+
+    const checked = await lib.auditSitemap(null, { ...options, checkOgImages: true });
+    assert.deepEqual(heads, ['/app.js', '/og.jpg']);
+    assert.equal(checked.gyms[0].seo.ogImageStatus, 200);
+
+    const replayed = await lib.auditSitemap(null, { replay: SNAPSHOT, rules, checkOgImages: true });
+    assert.equal(replayed.gyms[0].seo.ogImageStatus, 200);
+  } finally {
+    server.close();
+  }
+});
+
+test('auditSitemap reports progress through the log option', async () => {
+  const lines = [];
+  await lib.auditSitemap(null, { replay: SNAPSHOT, rules, log: (line) => lines.push(line) });
+  assert.ok(lines.some((line) => line.startsWith('Replaying snapshot test-fixture')));
+});
+
+test('reports render as CSV and HTML', async () => {
+  const report = await lib.auditSitemap(null, { replay: SNAPSHOT, rules });
+  const csv = lib.generateCsv(report).split('\n');
+  assert.match(csv[0], /^gymName,url,fixPriority,score,/);
+  assert.equal(csv.filter(Boolean).length, 2);
+  assert.match(lib.generateHtml(report), /Aberdeen Fitness &(amp;)? Wellbeing Gym/);
+});
+
+test('the report command rebuilds the pages, rollups and task exports from the JSON', async () => {
+  const report = await lib.auditSitemap(null, { replay: SNAPSHOT, rules });
+  const poorHtml = fs.readFileSync(path.join(__dirname, 'fixtures', 'poor-gym.html'), 'utf8');
+  report.gyms.push(lib.auditPage(poorHtml, 'https://www.nuffieldhealth.com/gyms/bath', { rules }));
+  report.tickets = buildTickets(report.gyms, rules);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gym-report-'));
+  try {
+    const file = path.join(dir, 'saved.json');
+    fs.writeFileSync(file, JSON.stringify(report));
+    const args = [path.join(__dirname, '..', 'audit.js'), 'report', file, '--out-dir', path.join(dir, 'docs'), '--data-dir', path.join(dir, 'data')];
+    const run = spawnSync(process.execPath, args, { encoding: 'utf8' });
+    assert.equal(run.status, 0, run.stderr);
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'docs', 'gyms')), ['aberdeen.html', 'bath.html']);
+    assert.match(fs.readFileSync(path.join(dir, 'docs', 'index.html'), 'utf8'), /href="gyms\/aberdeen\.html"/);
+    assert.ok(fs.existsSync(path.join(dir, 'data', 'audit-report.csv')));
+    assert.match(fs.readFileSync(path.join(dir, 'data', 'audit-rollups.csv'), 'utf8'), /^grouping,name,gyms,averageScore,highPriority,/);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'data', 'audit-tickets.json'), 'utf8')).tickets.length, report.tickets.length);
+    assert.match(fs.readFileSync(path.join(dir, 'data', 'audit-tickets.csv'), 'utf8'), /"bath\/coreFacilities\/missing-pool"/);
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'data', 'tickets')), ['bath.md']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('compareReports finds no changes between identical reports', async () => {
+  const report = await lib.auditSitemap(null, { replay: SNAPSHOT, rules });
+  const changes = lib.compareReports(report, report);
+  assert.equal(changes.counts.regressions, 0);
+  assert.equal(changes.counts.improvements, 0);
+});
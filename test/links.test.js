@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { auditPage, loadRules } = require('..');
+const { createHttpClient } = require('../lib/http-client');
+const { createLinkChecker, verifyGymLinks, buildLinkCheckEvidence } = require('../lib/link-checker');
+
+const rules = loadRules();
+const GYM_URL = 'https://www.nuffieldhealth.com/gyms/leeds';
+
+function stubChecker(statuses) {
+  return createLinkChecker(async (url) => ({ status: statuses[url] || 200, url, chain: [] }));
+}
+
+test('a broken primary join CTA breaks the join route even when a nav link works', async () => {
+  const html =
+    '<html><body><h1>Leeds Gym</h1><a href="/gyms/leeds/join-now">Join now</a><nav><a href="/memberships">Membership</a></nav></body></html>';
+  const gym = auditPage(html, GYM_URL, { rules });
+  assert.deepEqual(
+    gym.joinCandidates.map((j) => j.url),
+    ['https://www.nuffieldhealth.com/gyms/leeds/join-now', 'https://www.nuffieldhealth.com/memberships']
+  );
+
+  const linkCheck = await verifyGymLinks(gym, stubChecker({ 'https://www.nuffieldhealth.com/gyms/leeds/join-now': 404 }), rules);
+  assert.equal(linkCheck.primaryJoinLink, 'https://www.nuffieldhealth.com/gyms/leeds/join-now');
+  assert.equal(linkCheck.brokenJoinLinks, 1);
+  assert.equal(linkCheck.joinRouteBroken, true);
+  assert.match(buildLinkCheckEvidence(linkCheck), /^Join route is broken: the primary join link failed \("Join now" → HTTP 404/);
+});
+
+test('the membership options link is the primary join route when the page has one', async () => {
+  const html =
+    '<html><body><h1>Leeds Gym</h1><a href="/gyms/leeds/join-now">Join now</a><a href="/gyms/leeds/memberships">Membership options</a></body></html>';
+  const gym = auditPage(html, GYM_URL, { rules });
+  const linkCheck = await verifyGymLinks(gym, stubChecker({ 'https://www.nuffieldhealth.com/gyms/leeds/join-now': 404 }), rules);
+  assert.equal(linkCheck.primaryJoinLink, 'https://www.nuffieldhealth.com/gyms/leeds/memberships');
+  assert.equal(linkCheck.joinRouteBroken, false);
+  assert.match(buildLinkCheckEvidence(linkCheck), /^Broken join links: "Join now" → HTTP 404/);
+});
+
+test('the link checker flags error statuses and redirects to the homepage from a live server', async () => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/join') {
+      res.writeHead(301, { Location: '/' });
+    } else if (req.url === '/gyms/leeds/services' || req.url === '/old-offer') {
+      res.writeHead(404);
+    } else {
+      res.writeHead(200);
+    }
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const client = createHttpClient({ retries: 0, maxRequestsPerSecondPerHost: 0, respectRobots: false });
+    const checker = createLinkChecker((url) => client.fetchStatus(url));
+    const gym = {
+      slug: 'leeds',
+      url: `${base}/gyms/leeds`,
+      joinCandidates: [
+        { text: 'Membership options', url: `${base}/memberships` },
+        { text: 'Join now', url: `${base}/join` },
+        { text: 'Offer', url: `${base}/old-offer` }
+      ]
+    };
+    const linkCheck = await verifyGymLinks(gym, checker, rules);
+    assert.deepEqual(
+      linkCheck.join.map((l) => [l.text, l.status, l.broken, l.reason]),
+      [
+        ['Membership options', 200, false, ''],
+        ['Join now', 200, true, 'redirects to the homepage'],
+        ['Offer', 404, true, 'HTTP 404']
+      ]
+    );
+    assert.deepEqual(linkCheck.subpages.filter((l) => l.broken).map((l) => l.text), ['services']);
+    assert.equal(linkCheck.joinRouteBroken, false);
+
+    await verifyGymLinks(gym, checker, rules);
+    assert.deepEqual(checker.stats, { requests: 6, cacheHits: 6 });
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { auditSitemap, loadRules } = require('..');
+const { DEFAULT_FIXTURES, startPlacesMockServer } = require('../lib/places-mock-server');
+
+const rules = loadRules();
+const GOOD_HTML = fs.readFileSync(path.join(__dirname, 'fixtures', 'good-gym.html'), 'utf8');
+const ABERDEEN = 'https://www.nuffieldhealth.com/gyms/aberdeen';
+const BATH = 'https://www.nuffieldhealth.com/gyms/bath';
+
+function bathHtml() {
+  return GOOD_HTML.replaceAll('Aberdeen', 'Bath')
+    .replaceAll('aberdeen', 'bath')
+    .replaceAll('Union Street', 'Example Street')
+    .replaceAll('AB10 1AA', 'BA1 1AA')
+    .replaceAll('1224 123456', '1225 999888')
+    .replace('"latitude":57.14,"longitude":-2.1', '"latitude":51.381,"longitude":-2.359');
+}
+
+function writeSnapshot(dir) {
+  fs.writeFileSync(path.join(dir, 'aberdeen.html'), GOOD_HTML);
+  fs.writeFileSync(path.join(dir, 'bath.html'), bathHtml());
+  const pages = [
+    { url: ABERDEEN, status: 200, finalUrl: ABERDEEN, file: 'aberdeen.html' },
+    { url: BATH, status: 200, finalUrl: BATH, file: 'bath.html' }
+  ];
+  const manifest = { formatVersion: 1, id: 'places-test', capturedAt: '2026-01-01T00:00:00.000Z', urlList: [ABERDEEN, BATH], pages };
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest));
+}
+
+test('auditSitemap enriches a replayed snapshot from the Places stand-in and caches the lookups', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gym-places-'));
+  const { server, baseUrl } = await startPlacesMockServer({ fixtures: DEFAULT_FIXTURES, port: 0 });
+  try {
+    writeSnapshot(dir);
+    const options = { replay: dir, rules, placesUrl: baseUrl, googleCacheFile: path.join(dir, 'google-cache.json') };
+    const report = await auditSitemap(null, options);
+    const bath = report.gyms.find((g) => g.slug === 'bath');
+    const aberdeen = report.gyms.find((g) => g.slug === 'aberdeen');
+
+    assert.equal(bath.google.status, 'ok');
+    assert.equal(bath.google.placeId, 'fixture-bath-gym');
+    assert.equal(bath.reviewAnalysis.reviewCount, 5);
+    assert.deepEqual(
+      bath.reviewAnalysis.complaints.map((c) => [c.key, c.negative, c.addressedOnPage]),
+      [
+        ['parking', 2, false],
+        ['changing-rooms', 2, false]
+      ]
+    );
+    assert.deepEqual(bath.reviewAnalysis.praise, [{ key: 'staff', label: 'Staff', positive: 2 }]);
+    assert.match(bath.googleReview, /^Google rating: 4\.3 from 212 reviews\./);
+
+    assert.deepEqual(bath.napConsistency, { status: 'consistent', checked: ['phone', 'postcode', 'address'], mismatches: [] });
+    assert.equal(aberdeen.google.placeId, 'fixture-aberdeen-other');
+    assert.equal(aberdeen.napConsistency.status, 'mismatch');
+    assert.deepEqual(aberdeen.napConsistency.mismatches.map((m) => m.field), ['address']);
+    assert.equal(report.summary.napMismatches, 1);
+
+    assert.equal(report.google.usage.apiCalls, 4);
+    assert.equal(report.google.usage.cacheHits, 0);
+    assert.ok(fs.existsSync(options.googleCacheFile));
+
+    const cached = await auditSitemap(null, options);
+    assert.equal(cached.google.usage.apiCalls, 0);
+    assert.equal(cached.google.usage.cacheHits, 4);
+    assert.equal(cached.gyms.find((g) => g.slug === 'bath').google.stale, false);
+    assert.deepEqual(cached.gyms.find((g) => g.slug === 'bath').reviewAnalysis, bath.reviewAnalysis);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { auditSitemap, generateHtml, generateGymPage, loadRules, loadRegions, assignGroup } = require('..');
+const { validateRegions, buildRollups } = require('../lib/regions');
+
+const SNAPSHOT = path.join(__dirname, 'fixtures', 'snapshot');
+const rules = loadRules();
+const regions = loadRegions();
+
+function gymRow(overrides) {
+  return { slug: 'example', gymName: '', title: '', nap: {}, structuredData: {}, ...overrides };
+}
+
+test('assignGroup prefers postcode districts over areas', () => {
+  const kingston = assignGroup(gymRow({ gymName: 'Kingston Fitness & Wellbeing Gym', nap: { postcode: 'KT1 1AB' } }), regions);
+  assert.equal(kingston.region, 'London');
+  assert.equal(kingston.city, 'London');
+  assert.match(kingston.evidence, /postcode district KT1/);
+
+  const leeds = assignGroup(gymRow({ gymName: 'Leeds Fitness & Wellbeing Gym', nap: { postcode: 'LS1 4AB' } }), regions);
+  assert.equal(leeds.region, 'North');
+  assert.equal(leeds.city, 'Leeds');
+  assert.match(leeds.evidence, /postcode area LS/);
+});
+
+test('assignGroup falls back to city names, the title and the defaults', () => {
+  const glasgow = assignGroup(gymRow({ gymName: 'Glasgow Central Gym' }), regions);
+  assert.deepEqual([glasgow.region, glasgow.city, glasgow.format], ['Scotland', 'Glasgow', 'Gym']);
+
+  const unknown = assignGroup(gymRow({ gymName: 'Somewhere Club', title: 'Gyms in Little Snoring NR21 | Nuffield Health' }), regions);
+  assert.deepEqual([unknown.region, unknown.city, unknown.format], ['Unassigned', 'Little Snoring', 'Other']);
+});
+
+test('assignGroup applies gym overrides from the mapping file', () => {
+  const group = assignGroup(gymRow({ slug: 'stockley-park', gymName: 'Stockley Park Fitness & Wellbeing Gym', nap: { postcode: 'UB11 1AB' } }), regions);
+  assert.equal(group.region, 'London');
+  assert.equal(group.format, 'Fitness & Wellbeing');
+  assert.match(group.evidence, /Region London \(mapping file\)/);
+});
+
+test('validateRegions lists every problem in the mapping', () => {
+  assert.throws(
+    () =>
+      validateRegions(
+        {
+          version: '1',
+          defaultRegion: 'Unassigned',
+          defaultFormat: 'Other',
+          regions: [{ name: 'North', postcodes: ['LS'], cities: 'Leeds' }],
+          formats: [{ name: 'Gym', pattern: '(' }],
+          gyms: { leeds: { region: 'Mars', size: 'big' } }
+        },
+        'bad.json'
+      ),
+    (err) =>
+      /Invalid regions file bad\.json/.test(err.message) &&
+      /regions\[0\]\.cities must be an array of strings/.test(err.message) &&
+      /formats\[0\]\.pattern/.test(err.message) &&
+      /gyms\.leeds\.size is not recognised/.test(err.message) &&
+      /gyms\.leeds\.region "Mars"/.test(err.message)
+  );
+});
+
+test('buildRollups reports pass rates, average score and High priority counts', () => {
+  const gyms = [
+    { slug: 'a', region: 'North', city: 'Leeds', format: 'Gym', score: 80, fixPriority: 'Low', joinRoutePresent: true, criteria: { seo: { pass: true } } },
+    { slug: 'b', region: 'North', city: 'York', format: 'Gym', score: 41, fixPriority: 'High', joinRoutePresent: false, criteria: { seo: { pass: false } } },
+    { slug: 'c', region: 'Wales', city: '', format: 'Other', score: 60, fixPriority: 'High', joinRoutePresent: true, criteria: {} }
+  ];
+  const rollups = buildRollups(gyms, regions, ['seo']);
+  assert.deepEqual(rollups.regions[0], {
+    name: 'North',
+    gyms: 2,
+    averageScore: 61,
+    highPriority: 1,
+    passRates: { seo: 50, joinRoute: 50 },
+    slugs: ['a', 'b']
+  });
+  assert.equal(rollups.regions[1].passRates.seo, null);
+  assert.deepEqual(
+    rollups.cities.map((r) => r.name),
+    ['Leeds', 'York']
+  );
+  assert.equal(rollups.mapping.file, 'config/regions.json');
+});
+
+test('auditSitemap groups gyms and the HTML shows the rollups', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'regions-')), 'regions.yaml');
+  fs.writeFileSync(
+    file,
+    ['version: test', 'defaultRegion: Elsewhere', 'defaultFormat: Club', 'regions:', '  - name: Highlands', '    postcodes: [AB, IV]', '    cities: [Aberdeen]', 'formats:', '  - name: Wellbeing', '    pattern: wellbeing'].join('\n')
+  );
+  const report = await auditSitemap(null, { replay: SNAPSHOT, rules, regions: file });
+  const gym = report.gyms.find((g) => g.slug === 'aberdeen');
+  assert.deepEqual([gym.region, gym.city, gym.format], ['Highlands', 'Aberdeen', 'Wellbeing']);
+  assert.equal(report.rollups.regions[0].name, 'Highlands');
+  assert.equal(report.rollups.mapping.version, 'test');
+
+  const html = generateHtml(report);
+  assert.match(html, /<h2>Regions and formats<\/h2>/);
+  assert.match(html, /<a href="#region=Highlands">Highlands<\/a>/);
+  assert.match(html, /<td data-filter-value="Wellbeing">Wellbeing<\/td>/);
+  assert.match(generateGymPage(gym, report), /<h2>Region and format<\/h2>/);
+
+  delete report.rollups;
+  assert.doesNotMatch(generateHtml(report), /Regions and formats/);
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { auditPage, auditSitemap, generateGymPage, loadRules, trackTickets, generateTicketsCsv, generateGymTicketsMarkdown } = require('..');
+const { buildTickets } = require('../lib/tickets');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const SNAPSHOT = path.join(FIXTURES, 'snapshot');
+const rules = loadRules();
+const poorHtml = fs.readFileSync(path.join(FIXTURES, 'poor-gym.html'), 'utf8');
+const goodHtml = fs.readFileSync(path.join(FIXTURES, 'good-gym.html'), 'utf8');
+
+function poorGym() {
+  return auditPage(poorHtml, 'https://www.nuffieldhealth.com/gyms/bath', { rules });
+}
+
+test('buildTickets turns each failing check into a task with a stable ID', () => {
+  const tickets = buildTickets([poorGym()], rules, { generatedAt: '2026-01-01T00:00:00.000Z' });
+  const again = buildTickets([poorGym()], rules, { generatedAt: '2026-02-01T00:00:00.000Z' });
+  assert.ok(tickets.length > 5);
+  assert.deepEqual(
+    tickets.map((t) => t.id),
+    again.map((t) => t.id)
+  );
+  assert.equal(new Set(tickets.map((t) => t.id)).size, tickets.length);
+
+  const missingPool = tickets.find((t) => t.id === 'bath/coreFacilities/missing-pool');
+  assert.equal(missingPool.severity, 'High');
+  assert.equal(missingPool.status, 'open');
+  assert.match(missingPool.action, /Name Pool explicitly/);
+  assert.match(missingPool.acceptance, /The page copy matches/);
+  assert.ok(tickets.every((t) => t.title && t.action && t.acceptance && t.evidence != null));
+  assert.equal(tickets[0].severity, 'High');
+});
+
+test('a gym that passes every check has no tasks', () => {
+  const gym = auditPage(goodHtml, 'https://www.nuffieldhealth.com/gyms/aberdeen', { rules });
+  assert.deepEqual(buildTickets([gym], rules), []);
+});
+
+test('trackTickets resolves fixed tasks and carries tasks that were not re-checked', () => {
+  const before = trackTickets([], buildTickets([poorGym()], rules, { generatedAt: '2026-01-01' }), [], '2026-01-01').tickets;
+
+  const fixed = poorGym();
+  fixed.coreFacilitiesFound.push('Pool');
+  delete fixed.criteria.seo;
+  const after = trackTickets(before, buildTickets([fixed], rules, { generatedAt: '2026-02-01' }), [fixed], '2026-02-01');
+
+  const byId = new Map(after.tickets.map((t) => [t.id, t]));
+  assert.equal(byId.get('bath/coreFacilities/missing-pool').status, 'resolved');
+  assert.equal(byId.get('bath/coreFacilities/missing-pool').resolvedAt, '2026-02-01');
+  assert.equal(byId.get('bath/seo/noindex').status, 'open');
+  assert.equal(byId.get('bath/imagery/count').firstSeen, '2026-01-01');
+  assert.equal(byId.get('bath/imagery/count').lastSeen, '2026-02-01');
+  assert.equal(after.counts.resolved, 1);
+  assert.equal(after.counts.new, 0);
+  assert.ok(after.counts.carried > 0);
+
+  const reopened = trackTickets(after.tickets, buildTickets([poorGym()], rules), [poorGym()], '2026-03-01');
+  assert.equal(reopened.counts.reopened, 1);
+  assert.equal(reopened.tickets.find((t) => t.id === 'bath/coreFacilities/missing-pool').status, 'open');
+});
+
+test('trackTickets marks tasks for gyms left out of the run as stale', () => {
+  const before = trackTickets([], buildTickets([poorGym()], rules, { generatedAt: '2026-01-01' }), [poorGym()], '2026-01-01').tickets;
+
+  const missing = trackTickets(before, [], [], '2026-02-01');
+  assert.ok(missing.tickets.every((t) => t.status === 'stale' && t.staleSince === '2026-02-01'));
+  assert.equal(missing.counts.open, 0);
+  assert.equal(missing.counts.stale, before.length);
+  assert.equal(missing.counts.resolved, 0);
+
+  const stillMissing = trackTickets(missing.tickets, [], [], '2026-03-01');
+  assert.ok(stillMissing.tickets.every((t) => t.status === 'stale' && t.staleSince === '2026-02-01'));
+
+  const fixed = poorGym();
+  fixed.coreFacilitiesFound.push('Pool');
+  const back = trackTickets(stillMissing.tickets, buildTickets([fixed], rules), [fixed], '2026-04-01');
+  const byId = new Map(back.tickets.map((t) => [t.id, t]));
+  assert.equal(byId.get('bath/coreFacilities/missing-pool').status, 'resolved');
+  assert.equal(byId.get('bath/coreFacilities/missing-pool').staleSince, null);
+  assert.equal(byId.get('bath/imagery/count').status, 'open');
+  assert.equal(byId.get('bath/imagery/count').firstSeen, '2026-01-01');
+  assert.equal(back.counts.stale, 0);
+  assert.equal(back.counts.open, before.length - 1);
+});
+
+test('trackTickets drops resolved and stale tasks after 90 days', () => {
+  const fixed = poorGym();
+  fixed.coreFacilitiesFound.push('Pool');
+  const before = [
+    ...buildTickets([poorGym()], rules, { generatedAt: '2026-01-01' }).filter((t) => t.id === 'bath/coreFacilities/missing-pool'),
+    ...buildTickets([{ ...poorGym(), slug: 'york' }], rules, { generatedAt: '2026-01-01' }).slice(0, 1)
+  ];
+  const run = trackTickets(before, [], [fixed], '2026-01-10T00:00:00.000Z');
+  assert.deepEqual(run.tickets.map((t) => [t.slug, t.status]), [['york', 'stale'], ['bath', 'resolved']]);
+
+  const kept = trackTickets(run.tickets, [], [fixed], '2026-04-10T00:00:00.000Z');
+  assert.equal(kept.tickets.length, 2);
+  assert.equal(kept.counts.dropped, 0);
+
+  const dropped = trackTickets(run.tickets, [], [fixed], '2026-04-11T00:00:00.000Z');
+  assert.deepEqual(dropped.tickets, []);
+  assert.equal(dropped.counts.dropped, 2);
+});
+
+test('an og:image task stays open when the og:image was not checked again', () => {
+  const broken = auditPage(goodHtml, 'https://www.nuffieldhealth.com/gyms/aberdeen', { rules });
+  broken.seo.ogImageStatus = 404;
+  const before = trackTickets([], buildTickets([broken], rules), [broken], '2026-01-01').tickets;
+  assert.deepEqual(before.map((t) => t.id), ['aberdeen/seo/ogImageUnreachable']);
+
+  const unchecked = auditPage(goodHtml, 'https://www.nuffieldhealth.com/gyms/aberdeen', { rules });
+  const after = trackTickets(before, buildTickets([unchecked], rules), [unchecked], '2026-02-01');
+  assert.equal(after.tickets[0].status, 'open');
+  assert.equal(after.counts.carried, 1);
+
+  unchecked.seo.ogImageStatus = 200;
+  assert.equal(trackTickets(before, [], [unchecked], '2026-02-01').tickets[0].status, 'resolved');
+});
+
+test('tickets export as issue-import CSV and per-gym Markdown', () => {
+  const gym = poorGym();
+  const tickets = buildTickets([gym], rules, { labels: { coreFacilities: 'Core Facilities' } });
+  const csv = generateTicketsCsv(tickets);
+  assert.match(csv, /^Summary,Description,Issue Type,Priority,Status,Labels,Labels,Component\/s,External ID\n/);
+  assert.match(csv, /"Bath Gym: List Pool in the facilities copy","Gym: Bath Gym \(https:\/\/www\.nuffieldhealth\.com\/gyms\/bath\)\nAction: /);
+  assert.match(csv, /,"Task","High","Open","coreFacilities","gym-bath","","bath\/coreFacilities\/missing-pool"/);
+
+  const markdown = generateGymTicketsMarkdown(gym, tickets);
+  assert.match(markdown, /^# .*: remediation tasks/);
+  assert.match(markdown, /### \[High\] List Pool in the facilities copy\n\n- ID: `bath\/coreFacilities\/missing-pool`\n- Criterion: Core Facilities/);
+});
+
+test('auditSitemap returns tickets and the detail page lists open tasks', async () => {
+  const report = await auditSitemap(null, { replay: SNAPSHOT, rules });
+  assert.ok(Array.isArray(report.tickets));
+  assert.equal(report.summary.openTickets, report.ticketCounts.open);
+
+  const gym = report.gyms[0];
+  report.tickets.push({ ...buildTickets([poorGym()], rules)[0], slug: gym.slug, title: 'Fix <this>' });
+  assert.match(generateGymPage(gym, report), /<h2>Remediation tasks \(\d+ open\)<\/h2>[\s\S]*Fix &lt;this&gt;/);
+});